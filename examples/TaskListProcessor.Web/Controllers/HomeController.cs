@@ -2,6 +2,7 @@ using Microsoft.AspNetCore.Mvc;
 using TaskListProcessor.Web.Models;
 using TaskListProcessor.Web.Services;
 using System.Diagnostics;
+using System.Net.WebSockets;
 using System.Text.Json;
 using System.Text.Json.Serialization;
 
@@ -13,17 +14,40 @@ public class HomeController : Controller
     private readonly ILogger<HomeController> _logger;
     private readonly SeoMetadataService _seoMetadataService;
     private readonly SitemapService _sitemapService;
+    private readonly StreamingSessionService _streamingSessionService;
+
+    // How long a long-polling request waits for new results before answering with none
+    private static readonly TimeSpan LongPollWait = TimeSpan.FromSeconds(25);
+
+    // How long an SSE or WebSocket stream waits for the next result before checking in again
+    private static readonly TimeSpan StreamWait = TimeSpan.FromSeconds(15);
+
+    // Last frame of every SSE and WebSocket stream
+    private const string EndEventType = "end";
+    private const string ExpiredRunMessage = "Streaming run not found or expired";
+
+    // Streaming frames are camelCase on every transport; requests are read
+    // case-insensitively since the client posts PascalCase configurations
+    private static readonly JsonSerializerOptions StreamingJsonOptions = new()
+    {
+        NumberHandling = JsonNumberHandling.AllowNamedFloatingPointLiterals,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true,
+        Converters = { new JsonStringEnumConverter() }
+    };
 
     public HomeController(
         TaskProcessingService taskProcessingService, 
         ILogger<HomeController> logger, 
         SeoMetadataService seoMetadataService,
-        SitemapService sitemapService)
+        SitemapService sitemapService,
+        StreamingSessionService streamingSessionService)
     {
         _taskProcessingService = taskProcessingService;
         _logger = logger;
         _seoMetadataService = seoMetadataService;
         _sitemapService = sitemapService;
+        _streamingSessionService = streamingSessionService;
     }
 
     public IActionResult Index()
@@ -137,48 +161,16 @@ public class HomeController : Controller
             return BadRequest("At least one city must be selected");
         }
 
-        _logger.LogInformation("Starting streaming processing for cities: {Cities}", string.Join(", ", config.SelectedCities));
-
-        Response.ContentType = "text/event-stream";
-        Response.Headers["Cache-Control"] = "no-cache";
-
-        // Configure JSON serializer to handle infinity values
-        var jsonOptions = new JsonSerializerOptions
+        var session = ResumeOrStartSession(GetLastEventId(), config, out var after);
+        if (session == null)
         {
-            NumberHandling = JsonNumberHandling.AllowNamedFloatingPointLiterals,
-            PropertyNamingPolicy = JsonNamingPolicy.CamelCase
-        };
-
-        try
-        {
-            var resultCount = 0;
-            await foreach (var result in _taskProcessingService.ProcessStreamingDemoAsync(config.SelectedCities))
-            {
-                resultCount++;
-                _logger.LogInformation("Streaming result #{Count}: IsCompleted={IsCompleted}, TaskCount={TaskCount}",
-                    resultCount, result.IsCompleted, result.DetailedTelemetry?.Count ?? 0);
-
-                var json = System.Text.Json.JsonSerializer.Serialize(result, jsonOptions);
-
-                // Send SSE event with explicit formatting
-                await Response.WriteAsync($"id: {resultCount}\n");
-                await Response.WriteAsync($"event: taskUpdate\n");
-                await Response.WriteAsync($"data: {json}\n\n");
-                await Response.Body.FlushAsync();
-
-                _logger.LogInformation("Sent SSE event #{Count}", resultCount);
-            }
-
-            _logger.LogInformation("Streaming completed. Total results sent: {Count}", resultCount);
-        }
-        catch (Exception ex)
-        {
-            _logger.LogError(ex, "Error in streaming processing");
-            var errorResult = new { error = "An error occurred during streaming", details = ex.Message };
-            var errorJson = System.Text.Json.JsonSerializer.Serialize(errorResult, jsonOptions);
-            await Response.WriteAsync($"data: {errorJson}\n\n");
+            return NotFound(ExpiredRunMessage);
         }
 
+        _logger.LogInformation("Streaming session {SessionId} for cities: {Cities} after event {After}",
+            session.Id, string.Join(", ", config.SelectedCities), after);
+
+        await WriteEventStreamAsync(session, after);
         return new EmptyResult();
     }
 
@@ -188,11 +180,13 @@ public class HomeController : Controller
         Response.ContentType = "text/event-stream";
         Response.Headers["Cache-Control"] = "no-cache";
 
-        _logger.LogInformation("Starting test streaming");
+        // Test messages are generated, not processed, so a resumed stream simply continues the count
+        var resumeAfter = int.TryParse(GetLastEventId(), out var lastEventId) && lastEventId > 0 ? lastEventId : 0;
+        _logger.LogInformation("Starting test streaming after event {LastEventId}", resumeAfter);
 
         try
         {
-            for (int i = 1; i <= 5; i++)
+            for (int i = resumeAfter + 1; i <= 5; i++)
             {
                 var testData = new { message = $"Test message {i}", timestamp = DateTime.Now };
                 var json = System.Text.Json.JsonSerializer.Serialize(testData);
@@ -203,11 +197,16 @@ public class HomeController : Controller
                 await Response.Body.FlushAsync();
 
                 _logger.LogInformation("Sent test message {i}", i);
-                await Task.Delay(1000); // 1 second delay
+                await Task.Delay(1000, HttpContext.RequestAborted); // 1 second delay
             }
 
+            await WriteEndEventAsync(null);
             _logger.LogInformation("Test streaming completed");
         }
+        catch (OperationCanceledException) when (HttpContext.RequestAborted.IsCancellationRequested)
+        {
+            _logger.LogInformation("Test streaming stopped by the client");
+        }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error in test streaming");
@@ -228,47 +227,249 @@ public class HomeController : Controller
             cityList = new List<string> { "London", "Paris" };
         }
 
-        _logger.LogInformation("Starting GET streaming processing for cities: {Cities}", string.Join(", ", cityList));
+        var config = new ProcessingConfigurationViewModel { SelectedCities = cityList };
+        var session = ResumeOrStartSession(GetLastEventId(), config, out var after);
+        if (session == null)
+        {
+            return NotFound(ExpiredRunMessage);
+        }
 
-        Response.ContentType = "text/event-stream";
-        Response.Headers["Cache-Control"] = "no-cache";
+        _logger.LogInformation("GET streaming session {SessionId} for cities: {Cities} after event {After}",
+            session.Id, string.Join(", ", cityList), after);
 
-        var jsonOptions = new JsonSerializerOptions
+        await WriteEventStreamAsync(session, after);
+        return new EmptyResult();
+    }
+
+    /// <summary>
+    /// WebSocket streaming transport. The first client message is
+    /// { lastEventId, body: ProcessingConfigurationViewModel }; every result is sent as
+    /// { id, type: "taskUpdate", data }, then { type: "end", data: { error } } once the run is done,
+    /// and the socket is closed normally. A lastEventId resumes the buffered run it came from.
+    /// </summary>
+    [HttpGet]
+    public async Task StreamingSocket()
+    {
+        if (!HttpContext.WebSockets.IsWebSocketRequest)
         {
-            NumberHandling = JsonNumberHandling.AllowNamedFloatingPointLiterals,
-            PropertyNamingPolicy = JsonNamingPolicy.CamelCase
-        };
+            Response.StatusCode = StatusCodes.Status400BadRequest;
+            return;
+        }
+
+        using var socket = await HttpContext.WebSockets.AcceptWebSocketAsync();
+
+        StreamingSocketRequestViewModel? request;
+        try
+        {
+            request = await ReceiveJsonAsync<StreamingSocketRequestViewModel>(socket, HttpContext.RequestAborted);
+        }
+        catch (JsonException)
+        {
+            await socket.CloseOutputAsync(WebSocketCloseStatus.PolicyViolation, "Invalid streaming request", CancellationToken.None);
+            return;
+        }
+
+        var config = request?.Body;
+        if (config?.SelectedCities == null || !config.SelectedCities.Any())
+        {
+            await socket.CloseOutputAsync(WebSocketCloseStatus.PolicyViolation, "At least one city must be selected", CancellationToken.None);
+            return;
+        }
+
+        // The WebSocket transport sends the last event id it has in its first message
+        var session = ResumeOrStartSession(request!.LastEventId, config, out var after);
+        if (session == null)
+        {
+            await socket.CloseOutputAsync(WebSocketCloseStatus.PolicyViolation, ExpiredRunMessage, CancellationToken.None);
+            return;
+        }
+
+        _logger.LogInformation("WebSocket streaming session {SessionId} for cities: {Cities} after event {After}",
+            session.Id, string.Join(", ", config.SelectedCities), after);
+
+        // Stop sending as soon as the client closes its end; the run itself carries on for a resume
+        var cancellation = CancellationTokenSource.CreateLinkedTokenSource(HttpContext.RequestAborted);
+        var closeWatcher = CancelOnCloseAsync(socket, cancellation);
 
         try
         {
-            var resultCount = 0;
-            await foreach (var result in _taskProcessingService.ProcessStreamingDemoAsync(cityList))
+            await foreach (var streamingEvent in session.ReadEventsAsync(after, StreamWait, cancellation.Token))
             {
-                resultCount++;
-                _logger.LogInformation("GET Streaming result #{Count}: IsCompleted={IsCompleted}, TaskCount={TaskCount}",
-                    resultCount, result.IsCompleted, result.DetailedTelemetry?.Count ?? 0);
+                var frame = JsonSerializer.SerializeToUtf8Bytes(
+                    new StreamingFrame(session.GetEventId(streamingEvent.Id), streamingEvent.Type, streamingEvent.Data),
+                    StreamingJsonOptions);
+                await socket.SendAsync(frame, WebSocketMessageType.Text, true, cancellation.Token);
+            }
+
+            // An explicit end, so a dropped socket is never mistaken for a finished run
+            var end = JsonSerializer.SerializeToUtf8Bytes(new { type = EndEventType, data = new { error = session.Error } }, StreamingJsonOptions);
+            await socket.SendAsync(end, WebSocketMessageType.Text, true, cancellation.Token);
 
-                var json = System.Text.Json.JsonSerializer.Serialize(result, jsonOptions);
+            _logger.LogInformation("WebSocket streaming session {SessionId} completed", session.Id);
+            await socket.CloseOutputAsync(WebSocketCloseStatus.NormalClosure, "Streaming completed", CancellationToken.None);
+        }
+        catch (Exception ex) when (ex is OperationCanceledException || ex is WebSocketException)
+        {
+            _logger.LogInformation("WebSocket client left streaming session {SessionId}", session.Id);
+            if (socket.State == WebSocketState.CloseReceived)
+            {
+                await socket.CloseOutputAsync(WebSocketCloseStatus.NormalClosure, "Streaming stopped", CancellationToken.None);
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error in WebSocket streaming");
+            if (socket.State == WebSocketState.Open)
+            {
+                await socket.CloseOutputAsync(WebSocketCloseStatus.InternalServerError, "An error occurred during streaming", CancellationToken.None);
+            }
+        }
 
-                await Response.WriteAsync($"id: {resultCount}\n");
-                await Response.WriteAsync($"event: taskUpdate\n");
+        await closeWatcher;
+    }
+
+    /// <summary>
+    /// Long-polling streaming transport: start a session, then fetch its results with PollStreamingSession
+    /// </summary>
+    [HttpPost]
+    public IActionResult StartStreamingSession([FromBody] ProcessingConfigurationViewModel config)
+    {
+        if (config.SelectedCities == null || !config.SelectedCities.Any())
+        {
+            return BadRequest("At least one city must be selected");
+        }
+
+        var session = _streamingSessionService.Start(config);
+        return Json(new { sessionId = session.Id }, StreamingJsonOptions);
+    }
+
+    /// <summary>
+    /// Results of a long-polling session after the given event id, waiting briefly when there are none yet
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> PollStreamingSession([FromQuery] string? sessionId, [FromQuery] int after = 0)
+    {
+        var session = _streamingSessionService.Get(sessionId);
+        if (session == null)
+        {
+            return NotFound("Streaming session not found or expired");
+        }
+
+        Response.Headers["Cache-Control"] = "no-cache";
+
+        var batch = await session.WaitForResultsAsync(after, LongPollWait, HttpContext.RequestAborted);
+        return Json(batch, StreamingJsonOptions);
+    }
+
+    // Id of the last SSE frame a resuming client already has: the Last-Event-ID header sent by
+    // fetch streams, or the lastEventId query value EventSource reconnects carry; null for a new run
+    private string? GetLastEventId()
+    {
+        return Request.Headers["Last-Event-ID"].FirstOrDefault() ?? Request.Query["lastEventId"].FirstOrDefault();
+    }
+
+    // A new run of config, or the buffered run a reconnecting client's last event id names.
+    // Null when that run has expired: it is not started again, since the client already shows part of it.
+    private StreamingSession? ResumeOrStartSession(string? lastEventId, ProcessingConfigurationViewModel config, out int after)
+    {
+        after = 0;
+        if (string.IsNullOrEmpty(lastEventId))
+        {
+            return _streamingSessionService.Start(config);
+        }
+
+        return _streamingSessionService.TryResume(lastEventId, out var session, out after) ? session : null;
+    }
+
+    // Send a session's events after the given one as text/event-stream, then the end event.
+    // Leaving early does not stop the run, so the client can reconnect and pick up from its last id.
+    private async Task WriteEventStreamAsync(StreamingSession session, int after)
+    {
+        var cancellationToken = HttpContext.RequestAborted;
+
+        Response.ContentType = "text/event-stream";
+        Response.Headers["Cache-Control"] = "no-cache";
+
+        try
+        {
+            await foreach (var streamingEvent in session.ReadEventsAsync(after, StreamWait, cancellationToken))
+            {
+                var json = JsonSerializer.Serialize(streamingEvent.Data, StreamingJsonOptions);
+
+                await Response.WriteAsync($"id: {session.GetEventId(streamingEvent.Id)}\n");
+                await Response.WriteAsync($"event: {streamingEvent.Type}\n");
                 await Response.WriteAsync($"data: {json}\n\n");
                 await Response.Body.FlushAsync();
 
-                _logger.LogInformation("GET Sent SSE event #{Count}", resultCount);
+                _logger.LogInformation("Sent SSE event #{Count} of session {SessionId}: IsCompleted={IsCompleted}",
+                    streamingEvent.Id, session.Id, streamingEvent.Data.IsCompleted);
             }
 
-            _logger.LogInformation("GET Streaming completed. Total results sent: {Count}", resultCount);
+            await WriteEndEventAsync(session.Error);
+            _logger.LogInformation("Streaming session {SessionId} completed", session.Id);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            _logger.LogInformation("Client left streaming session {SessionId}", session.Id);
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error in GET streaming processing");
-            var errorResult = new { error = "An error occurred during streaming", details = ex.Message };
-            var errorJson = System.Text.Json.JsonSerializer.Serialize(errorResult, jsonOptions);
-            await Response.WriteAsync($"data: {errorJson}\n\n");
+            _logger.LogError(ex, "Error sending streaming session {SessionId}", session.Id);
         }
+    }
 
-        return new EmptyResult();
+    // EventSource cannot tell a server closing the response from a dropped connection, so every
+    // SSE stream finishes with this event: { error: null } or the message of the failed run
+    private async Task WriteEndEventAsync(string? error)
+    {
+        var json = JsonSerializer.Serialize(new { error }, StreamingJsonOptions);
+        await Response.WriteAsync($"event: {EndEventType}\n");
+        await Response.WriteAsync($"data: {json}\n\n");
+        await Response.Body.FlushAsync();
+    }
+
+    // Read one complete text message and deserialize it; null if the client closed instead
+    private static async Task<T?> ReceiveJsonAsync<T>(WebSocket socket, CancellationToken cancellationToken)
+    {
+        using var message = new MemoryStream();
+        var buffer = new byte[4096];
+        WebSocketReceiveResult received;
+        do
+        {
+            received = await socket.ReceiveAsync(new ArraySegment<byte>(buffer), cancellationToken);
+            if (received.MessageType == WebSocketMessageType.Close)
+            {
+                return default;
+            }
+            message.Write(buffer, 0, received.Count);
+        }
+        while (!received.EndOfMessage);
+
+        message.Position = 0;
+        return await JsonSerializer.DeserializeAsync<T>(message, StreamingJsonOptions, cancellationToken);
+    }
+
+    // Drain the socket until the client's close frame arrives, then cancel the run
+    private static async Task CancelOnCloseAsync(WebSocket socket, CancellationTokenSource cancellation)
+    {
+        var buffer = new byte[1024];
+        try
+        {
+            while (socket.State == WebSocketState.Open || socket.State == WebSocketState.CloseSent)
+            {
+                var received = await socket.ReceiveAsync(new ArraySegment<byte>(buffer), cancellation.Token);
+                if (received.MessageType == WebSocketMessageType.Close)
+                {
+                    break;
+                }
+            }
+        }
+        catch (Exception ex) when (ex is OperationCanceledException || ex is WebSocketException)
+        {
+            // The request was aborted; there is nothing left to read
+        }
+
+        cancellation.Cancel();
     }
 
     public IActionResult Demo()
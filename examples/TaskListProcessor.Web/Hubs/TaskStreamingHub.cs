@@ -0,0 +1,71 @@
+using System.Runtime.CompilerServices;
+using Microsoft.AspNetCore.SignalR;
+using TaskListProcessor.Web.Models;
+using TaskListProcessor.Web.Services;
+
+namespace TaskListProcessor.Web.Hubs;
+
+/// <summary>
+/// SignalR hub behind the "hub" streaming transport. StreamTasks streams the same
+/// TaskProcessingResultViewModel updates as the ProcessStreamingTasks SSE endpoint, as
+/// { id, type, data } items. A reconnecting client passes the id of the last item it has
+/// and the buffered run continues from there.
+/// </summary>
+public class TaskStreamingHub : Hub
+{
+    // How long the stream waits for the next result before checking in again
+    private static readonly TimeSpan StreamWait = TimeSpan.FromSeconds(15);
+
+    private readonly StreamingSessionService _streamingSessionService;
+    private readonly ILogger<TaskStreamingHub> _logger;
+
+    public TaskStreamingHub(StreamingSessionService streamingSessionService, ILogger<TaskStreamingHub> logger)
+    {
+        _streamingSessionService = streamingSessionService;
+        _logger = logger;
+    }
+
+    public IAsyncEnumerable<StreamingFrame> StreamTasks(
+        ProcessingConfigurationViewModel config,
+        string? lastEventId,
+        CancellationToken cancellationToken)
+    {
+        if (config.SelectedCities == null || !config.SelectedCities.Any())
+        {
+            throw new HubException("At least one city must be selected");
+        }
+
+        var after = 0;
+        StreamingSession? session;
+        if (string.IsNullOrEmpty(lastEventId))
+        {
+            session = _streamingSessionService.Start(config);
+        }
+        else if (!_streamingSessionService.TryResume(lastEventId, out session, out after))
+        {
+            throw new HubException("Streaming run not found or expired");
+        }
+
+        _logger.LogInformation("Hub streaming session {SessionId} for cities: {Cities} after item {After}",
+            session.Id, string.Join(", ", config.SelectedCities), after);
+
+        return ReadFramesAsync(session, after, cancellationToken);
+    }
+
+    // The session's frames after the given one; a failed run completes the stream with its error
+    private static async IAsyncEnumerable<StreamingFrame> ReadFramesAsync(
+        StreamingSession session,
+        int after,
+        [EnumeratorCancellation] CancellationToken cancellationToken)
+    {
+        await foreach (var streamingEvent in session.ReadEventsAsync(after, StreamWait, cancellationToken))
+        {
+            yield return new StreamingFrame(session.GetEventId(streamingEvent.Id), streamingEvent.Type, streamingEvent.Data);
+        }
+
+        if (session.Error != null)
+        {
+            throw new HubException(session.Error);
+        }
+    }
+}
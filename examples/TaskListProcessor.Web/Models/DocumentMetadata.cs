@@ -123,6 +123,58 @@ public class TocItem
     public string Id { get; set; } = string.Empty;
 }
 
+/// <summary>
+/// Document entry in the client-side search index
+/// </summary>
+public class SearchIndexDocument
+{
+    /// <summary>
+    /// The document title
+    /// </summary>
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// URL of the rendered document
+    /// </summary>
+    public string Url { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Display category name
+    /// </summary>
+    public string Category { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Searchable sections, one per heading
+    /// </summary>
+    public List<SearchIndexSection> Sections { get; set; } = new();
+}
+
+/// <summary>
+/// Heading section in the client-side search index
+/// </summary>
+public class SearchIndexSection
+{
+    /// <summary>
+    /// Heading text
+    /// </summary>
+    public string Heading { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Anchor ID of the rendered heading (empty for text before the first heading)
+    /// </summary>
+    public string Anchor { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Heading level (1-6)
+    /// </summary>
+    public int Level { get; set; }
+
+    /// <summary>
+    /// Plain text of the section body
+    /// </summary>
+    public string Text { get; set; } = string.Empty;
+}
+
 /// <summary>
 /// Breadcrumb navigation item
 /// </summary>
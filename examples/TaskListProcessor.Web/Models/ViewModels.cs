@@ -93,3 +93,9 @@ public enum ProcessingScenario
     ConcurrentProcessingDemo,
     StreamingDemo
 }
+
+public class StreamingSocketRequestViewModel
+{
+    public string? LastEventId { get; set; }
+    public ProcessingConfigurationViewModel? Body { get; set; }
+}
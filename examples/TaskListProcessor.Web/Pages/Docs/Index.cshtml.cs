@@ -62,6 +62,23 @@ public class IndexModel : PageModel
         }
     }
 
+    /// <summary>
+    /// Search index for the client-side docs search (GET /Docs?handler=SearchIndex).
+    /// The index is prebuilt by the BuildSearchIndex target and copied into the publish output.
+    /// </summary>
+    public IActionResult OnGetSearchIndex()
+    {
+        var path = Path.Combine(AppContext.BaseDirectory, MarkdownService.SearchIndexFileName);
+        if (!System.IO.File.Exists(path))
+        {
+            _logger.LogError("Search index not found at {Path}; it is generated when the project is built", path);
+            return StatusCode(500, "Search index not available");
+        }
+
+        Response.Headers.CacheControl = "public, max-age=3600";
+        return PhysicalFile(path, "application/json");
+    }
+
     private List<DocumentMetadata> GetFeaturedDocuments(List<DocumentMetadata> allDocuments)
     {
         var featured = new List<string>
@@ -1,5 +1,6 @@
 using CityThingsToDo;
 using CityWeatherService;
+using TaskListProcessor.Web.Hubs;
 using TaskListProcessor.Web.Services;
 using System.Text.Json.Serialization;
 using System.Text.Json;
@@ -47,6 +48,14 @@ builder.Services.AddControllersWithViews()
         options.JsonSerializerOptions.Converters.Add(new JsonStringEnumConverter());
     });
 
+// SignalR hub for the "hub" streaming transport (camelCase payloads, like the SSE endpoints)
+builder.Services.AddSignalR()
+    .AddJsonProtocol(options =>
+    {
+        options.PayloadSerializerOptions.NumberHandling = JsonNumberHandling.AllowNamedFloatingPointLiterals;
+        options.PayloadSerializerOptions.Converters.Add(new JsonStringEnumConverter());
+    });
+
 // Add logging
 builder.Services.AddLogging(logging =>
 {
@@ -72,9 +81,17 @@ builder.Services.AddScoped<TaskProcessingService>();
 builder.Services.AddSingleton<MarkdownService>();
 builder.Services.AddSingleton<SeoMetadataService>();
 builder.Services.AddSingleton<SitemapService>();
+builder.Services.AddSingleton<StreamingSessionService>();
 
 var app = builder.Build();
 
+// Build step: write the docs search index and exit (see the BuildSearchIndex target in the project file)
+if (args.Length == 2 && args[0] == "--build-search-index")
+{
+    await app.Services.GetRequiredService<MarkdownService>().WriteSearchIndexAsync(args[1]);
+    return;
+}
+
 // Use response compression
 app.UseResponseCompression();
 
@@ -105,11 +122,15 @@ app.Use(async (context, next) =>
 app.UseHttpsRedirection();
 app.UseStaticFiles();
 
+// WebSocket and hub streaming transports
+app.UseWebSockets();
+
 app.UseRouting();
 
 app.UseAuthorization();
 
 app.MapRazorPages(); // Add Razor Pages routing
+app.MapHub<TaskStreamingHub>("/hubs/task-streaming");
 app.MapControllerRoute(
     name: "default",
     pattern: "{controller=Home}/{action=Index}/{id?}");
@@ -1,8 +1,10 @@
 using Markdig;
 using Markdig.Extensions.AutoIdentifiers;
+using Markdig.Renderers.Html;
 using Markdig.Syntax;
 using Markdig.Syntax.Inlines;
 using Microsoft.Extensions.Caching.Memory;
+using System.Text.Json;
 using System.Text.RegularExpressions;
 using TaskListProcessor.Web.Models;
 
@@ -18,6 +20,14 @@ public class MarkdownService
     private readonly string _docsPath;
     private readonly MarkdownPipeline _pipeline;
 
+    // Section text kept per heading in the search index
+    private const int MaxSearchSectionLength = 1500;
+
+    /// <summary>
+    /// File the build writes the search index to, next to the application's assembly
+    /// </summary>
+    public const string SearchIndexFileName = "docs-search-index.json";
+
     public MarkdownService(
         IMemoryCache cache,
         ILogger<MarkdownService> logger,
@@ -316,6 +326,53 @@ public class MarkdownService
             .ToList();
     }
 
+    /// <summary>
+    /// Build the client-side search index: every document split into heading sections
+    /// with the anchor IDs used by the rendered HTML
+    /// </summary>
+    public async Task<List<SearchIndexDocument>> BuildSearchIndexAsync()
+    {
+        var documents = await GetAllDocumentsAsync();
+        var index = new List<SearchIndexDocument>();
+
+        foreach (var document in documents)
+        {
+            try
+            {
+                var markdown = await File.ReadAllTextAsync(GetFullPath(document.Path));
+                index.Add(new SearchIndexDocument
+                {
+                    Title = document.Title,
+                    Url = $"/Docs/{document.UrlPath}",
+                    Category = FormatCategoryName(document.Category),
+                    Sections = ExtractSearchSections(markdown, document.Title)
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error indexing document: {Path}", document.Path);
+            }
+        }
+
+        _logger.LogInformation("Built search index for {Count} documents", index.Count);
+        return index;
+    }
+
+    /// <summary>
+    /// Write the search index as JSON. Runs at build time (the BuildSearchIndex target in the
+    /// project file), so requests only ever serve the prebuilt file.
+    /// </summary>
+    public async Task WriteSearchIndexAsync(string outputPath)
+    {
+        var index = await BuildSearchIndexAsync();
+
+        Directory.CreateDirectory(Path.GetDirectoryName(Path.GetFullPath(outputPath))!);
+        await using var stream = File.Create(outputPath);
+        await JsonSerializer.SerializeAsync(stream, index);
+
+        _logger.LogInformation("Wrote search index to {Path}", outputPath);
+    }
+
     // Helper methods
 
     private string GetFullPath(string relativePath)
@@ -411,6 +468,52 @@ public class MarkdownService
         return text.ToString().Trim();
     }
 
+    private List<SearchIndexSection> ExtractSearchSections(string markdown, string title)
+    {
+        var doc = Markdown.Parse(markdown, _pipeline);
+        var sections = new List<SearchIndexSection>();
+        var current = new SearchIndexSection { Heading = title, Level = 1 };
+        var text = new System.Text.StringBuilder();
+
+        void Flush()
+        {
+            current.Text = (text.Length > MaxSearchSectionLength
+                ? text.ToString(0, MaxSearchSectionLength)
+                : text.ToString()).TrimEnd();
+
+            if (!string.IsNullOrEmpty(current.Anchor) || current.Text.Length > 0)
+            {
+                sections.Add(current);
+            }
+            text.Clear();
+        }
+
+        foreach (var block in doc.Descendants<LeafBlock>())
+        {
+            if (block is HeadingBlock heading)
+            {
+                Flush();
+                current = new SearchIndexSection
+                {
+                    Heading = GetHeadingText(heading),
+                    Anchor = heading.GetAttributes().Id ?? string.Empty,
+                    Level = heading.Level
+                };
+                continue;
+            }
+
+            // Code blocks have no inlines and are left out of the index
+            var blockText = GetBlockText(block);
+            if (blockText.Length > 0)
+            {
+                text.Append(blockText).Append(' ');
+            }
+        }
+
+        Flush();
+        return sections;
+    }
+
     private string GenerateId(string text)
     {
         return Regex.Replace(text.ToLowerInvariant(), @"[^a-z0-9]+", "-").Trim('-');
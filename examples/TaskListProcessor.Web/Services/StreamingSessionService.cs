@@ -0,0 +1,257 @@
+using System.Collections.Concurrent;
+using System.Diagnostics.CodeAnalysis;
+using System.Runtime.CompilerServices;
+using TaskListProcessor.Web.Models;
+
+namespace TaskListProcessor.Web.Services;
+
+/// <summary>
+/// Runs streaming demos in the background and buffers their results for every streaming
+/// transport. A client that reconnects resumes the same run from the buffer, using the
+/// "{sessionId}:{eventId}" id of the last frame it has; the run is never started again.
+/// </summary>
+public class StreamingSessionService : IDisposable
+{
+    private static readonly TimeSpan SessionIdleTimeout = TimeSpan.FromMinutes(2);
+    private static readonly TimeSpan CleanupInterval = TimeSpan.FromSeconds(30);
+
+    private readonly ConcurrentDictionary<string, StreamingSession> _sessions = new();
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<StreamingSessionService> _logger;
+    private readonly Timer _cleanupTimer;
+
+    public StreamingSessionService(IServiceScopeFactory scopeFactory, ILogger<StreamingSessionService> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+        _cleanupTimer = new Timer(_ => RemoveExpiredSessions(), null, CleanupInterval, CleanupInterval);
+    }
+
+    /// <summary>
+    /// Start processing the given configuration in a new session
+    /// </summary>
+    public StreamingSession Start(ProcessingConfigurationViewModel config)
+    {
+        var session = new StreamingSession(Guid.NewGuid().ToString("N"));
+        _sessions[session.Id] = session;
+
+        _logger.LogInformation("Starting streaming session {SessionId} for cities: {Cities}", session.Id, string.Join(", ", config.SelectedCities));
+        _ = Task.Run(() => RunAsync(session, config));
+
+        return session;
+    }
+
+    /// <summary>
+    /// Find a live session, marking it as recently used
+    /// </summary>
+    public StreamingSession? Get(string? sessionId)
+    {
+        if (string.IsNullOrEmpty(sessionId) || !_sessions.TryGetValue(sessionId, out var session))
+        {
+            return null;
+        }
+
+        session.LastAccessUtc = DateTime.UtcNow;
+        return session;
+    }
+
+    /// <summary>
+    /// Find the session a client's last event id ("{sessionId}:{eventId}") belongs to,
+    /// and the event to continue after. False when the id is malformed or the session expired.
+    /// </summary>
+    public bool TryResume(string? lastEventId, [NotNullWhen(true)] out StreamingSession? session, out int after)
+    {
+        session = null;
+        after = 0;
+
+        var separator = lastEventId?.LastIndexOf(':') ?? -1;
+        if (separator <= 0 || !int.TryParse(lastEventId![(separator + 1)..], out after) || after < 0)
+        {
+            return false;
+        }
+
+        session = Get(lastEventId[..separator]);
+        return session != null;
+    }
+
+    private async Task RunAsync(StreamingSession session, ProcessingConfigurationViewModel config)
+    {
+        try
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var taskProcessingService = scope.ServiceProvider.GetRequiredService<TaskProcessingService>();
+
+            await foreach (var result in taskProcessingService.ProcessStreamingDemoAsync(config, session.Cancellation.Token))
+            {
+                session.Add(result);
+            }
+
+            session.Complete(null);
+            _logger.LogInformation("Streaming session {SessionId} completed", session.Id);
+        }
+        catch (OperationCanceledException) when (session.Cancellation.IsCancellationRequested)
+        {
+            session.Complete("The streaming session expired");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error in streaming session {SessionId}", session.Id);
+            session.Complete($"An error occurred during streaming: {ex.Message}");
+        }
+    }
+
+    // Abandoned sessions stop processing and are forgotten once no client has polled them for a while
+    private void RemoveExpiredSessions()
+    {
+        var cutoff = DateTime.UtcNow - SessionIdleTimeout;
+        foreach (var (id, session) in _sessions)
+        {
+            if (session.LastAccessUtc < cutoff && _sessions.TryRemove(id, out _))
+            {
+                _logger.LogInformation("Streaming session {SessionId} expired", id);
+                session.Cancellation.Cancel();
+            }
+        }
+    }
+
+    public void Dispose()
+    {
+        _cleanupTimer.Dispose();
+        foreach (var session in _sessions.Values)
+        {
+            session.Cancellation.Cancel();
+        }
+        _sessions.Clear();
+    }
+}
+
+/// <summary>
+/// Buffered results of one long-polling streaming run
+/// </summary>
+public class StreamingSession
+{
+    private readonly object _gate = new();
+    private readonly List<TaskProcessingResultViewModel> _results = new();
+    private TaskCompletionSource _changed = new(TaskCreationOptions.RunContinuationsAsynchronously);
+
+    public StreamingSession(string id)
+    {
+        Id = id;
+    }
+
+    public string Id { get; }
+    public CancellationTokenSource Cancellation { get; } = new();
+    public DateTime LastAccessUtc { get; set; } = DateTime.UtcNow;
+    public bool IsCompleted { get; private set; }
+    public string? Error { get; private set; }
+
+    public void Add(TaskProcessingResultViewModel result)
+    {
+        lock (_gate)
+        {
+            _results.Add(result);
+            SignalChanged();
+        }
+    }
+
+    public void Complete(string? error)
+    {
+        lock (_gate)
+        {
+            IsCompleted = true;
+            Error = error;
+            SignalChanged();
+        }
+    }
+
+    /// <summary>
+    /// Id of one of this session's events as sent to clients, which resume with it
+    /// </summary>
+    public string GetEventId(int eventId) => $"{Id}:{eventId}";
+
+    /// <summary>
+    /// Every event after the given id as it arrives, until the run completes (then see
+    /// <see cref="Error"/>). The session counts as in use while it is being read.
+    /// </summary>
+    public async IAsyncEnumerable<StreamingEvent> ReadEventsAsync(int after, TimeSpan wait,
+        [EnumeratorCancellation] CancellationToken cancellationToken)
+    {
+        while (true)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+            LastAccessUtc = DateTime.UtcNow;
+
+            var batch = await WaitForResultsAsync(after, wait, cancellationToken);
+            foreach (var streamingEvent in batch.Events)
+            {
+                after = streamingEvent.Id;
+                yield return streamingEvent;
+            }
+
+            if (batch.Completed)
+            {
+                yield break;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Results after the given event id (ids count from 1), waiting up to <paramref name="wait"/>
+    /// for new ones when there are none yet
+    /// </summary>
+    public async Task<StreamingBatch> WaitForResultsAsync(int after, TimeSpan wait, CancellationToken cancellationToken)
+    {
+        Task changed;
+        lock (_gate)
+        {
+            if (_results.Count > after || IsCompleted)
+            {
+                return CreateBatch(after);
+            }
+            changed = _changed.Task;
+        }
+
+        await Task.WhenAny(changed, Task.Delay(wait, cancellationToken));
+
+        lock (_gate)
+        {
+            return CreateBatch(after);
+        }
+    }
+
+    // Called under _gate
+    private StreamingBatch CreateBatch(int after)
+    {
+        var start = Math.Clamp(after, 0, _results.Count);
+        var events = _results
+            .Skip(start)
+            .Select((result, index) => new StreamingEvent(start + index + 1, "taskUpdate", result))
+            .ToList();
+
+        return new StreamingBatch(events, IsCompleted, Error);
+    }
+
+    // Called under _gate
+    private void SignalChanged()
+    {
+        var changed = _changed;
+        _changed = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+        changed.TrySetResult();
+    }
+}
+
+/// <summary>
+/// One buffered streaming frame, numbered like the SSE endpoints' event ids
+/// </summary>
+public record StreamingEvent(int Id, string Type, TaskProcessingResultViewModel Data);
+
+/// <summary>
+/// One buffered event as the WebSocket and hub transports send it; Id is the resumable
+/// "{sessionId}:{eventId}" form
+/// </summary>
+public record StreamingFrame(string Id, string Type, TaskProcessingResultViewModel Data);
+
+/// <summary>
+/// Response of a long-polling request
+/// </summary>
+public record StreamingBatch(IReadOnlyList<StreamingEvent> Events, bool Completed, string? Error);
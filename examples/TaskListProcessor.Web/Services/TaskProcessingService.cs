@@ -1,6 +1,7 @@
 using CityThingsToDo;
 using CityWeatherService;
 using TaskListProcessing.Core;
+using TaskListProcessing.Options;
 using TaskListProcessing.Telemetry;
 using TaskListProcessor.Web.Models;
 using static CityThingsToDo.CityThingsToDoService;
@@ -10,6 +11,9 @@ namespace TaskListProcessor.Web.Services;
 
 public class TaskProcessingService
 {
+    // The cancellation demo deliberately times out before its slowest task finishes
+    private static readonly TimeSpan CancellationDemoTimeout = TimeSpan.FromMilliseconds(200);
+
     private readonly WeatherService _weatherService;
     private readonly CityThingsToDoService _thingsToDoService;
     private readonly ILogger<TaskProcessingService> _logger;
@@ -146,26 +150,9 @@ public class TaskProcessingService
         {
             using var processor = new TaskListProcessorEnhanced("Cancellation Demo", _logger);
             using var cts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
-            cts.CancelAfter(TimeSpan.FromMilliseconds(200)); // Short timeout for demo
+            cts.CancelAfter(CancellationDemoTimeout);
 
-            var taskFactories = new Dictionary<string, Func<CancellationToken, Task<object?>>>
-            {
-                ["Quick Task"] = async ct =>
-                {
-                    await Task.Delay(50, ct);
-                    return "Quick result";
-                },
-                ["Medium Task"] = async ct =>
-                {
-                    await Task.Delay(150, ct);
-                    return "Medium result";
-                },
-                ["Slow Task"] = async ct =>
-                {
-                    await Task.Delay(500, ct);
-                    return "Slow result";
-                }
-            };
+            var taskFactories = CreateCancellationDemoTaskFactories();
 
             await processor.ProcessTasksAsync(taskFactories, cancellationToken: cts.Token);
 
@@ -184,22 +171,55 @@ public class TaskProcessingService
         return result;
     }
 
+    /// <summary>
+    /// Stream a partial result after every completed task, then a final result. The run honours the
+    /// configuration's Scenario, MaxConcurrentTasks and TimeoutMinutes; a run that times out ends with
+    /// a final result carrying the timeout error, while cancellation by the caller is thrown as usual.
+    /// </summary>
     public async IAsyncEnumerable<TaskProcessingResultViewModel> ProcessStreamingDemoAsync(
-        List<string> cities,
+        ProcessingConfigurationViewModel config,
         [System.Runtime.CompilerServices.EnumeratorCancellation] CancellationToken cancellationToken = default)
     {
-        _logger.LogInformation("ProcessStreamingDemoAsync started for cities: {Cities}", string.Join(", ", cities));
-
-        using var processor = new TaskListProcessorEnhanced("Streaming Demo", _logger);
-        var taskFactories = CreateCityTaskFactories(cities);
+        var (taskFactories, cities) = CreateStreamingTaskFactories(config);
+        var maxConcurrentTasks = Math.Max(config.MaxConcurrentTasks, 1);
+
+        _logger.LogInformation(
+            "ProcessStreamingDemoAsync started for {Scenario} with cities: {Cities}, MaxConcurrentTasks={MaxConcurrentTasks}, TimeoutMinutes={TimeoutMinutes}",
+            config.Scenario, string.Join(", ", cities), maxConcurrentTasks, config.TimeoutMinutes);
+
+        using var processor = new TaskListProcessorEnhanced(
+            "Streaming Demo",
+            _logger,
+            new TaskListProcessorOptions { MaxConcurrentTasks = maxConcurrentTasks });
+        using var cts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        cts.CancelAfter(config.Scenario == ProcessingScenario.CancellationDemo
+            ? CancellationDemoTimeout
+            : TimeSpan.FromMinutes(config.TimeoutMinutes));
 
         _logger.LogInformation("Created {Count} task factories", taskFactories.Count);
 
         var startTime = DateTime.UtcNow;
         var completedTasks = new List<TaskTelemetryViewModel>();
+        var timedOut = false;
 
-        await foreach (var taskResult in processor.ProcessTasksStreamAsync(taskFactories, cancellationToken))
+        // Enumerated by hand because a yield cannot sit inside the try that catches the timeout
+        await using var taskResults = processor.ProcessTasksStreamAsync(taskFactories, cts.Token).GetAsyncEnumerator(cts.Token);
+        while (true)
         {
+            try
+            {
+                if (!await taskResults.MoveNextAsync())
+                {
+                    break;
+                }
+            }
+            catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+            {
+                timedOut = true;
+                break;
+            }
+
+            var taskResult = taskResults.Current;
             _logger.LogInformation("Task completed: {TaskName}, Success: {IsSuccessful}",
                 taskResult.Name, taskResult.IsSuccessful);
 
@@ -226,16 +246,61 @@ public class TaskProcessingService
             ProcessorName = "Streaming Demo",
             StartTime = startTime,
             EndTime = DateTime.UtcNow,
-            IsCompleted = true,
+            IsCompleted = !timedOut,
+            HasErrors = timedOut || completedTasks.Any(t => !t.IsSuccessful),
+            ErrorMessage = timedOut ? "Processing was cancelled due to timeout" : null,
             DetailedTelemetry = completedTasks,
             TelemetrySummary = CalculatePartialTelemetrySummary(completedTasks),
             CityResults = ConvertToCityResultsFromTelemetry(completedTasks, cities)
         };
+        finalResult.TotalDurationMs = (long)(finalResult.EndTime.Value - startTime).TotalMilliseconds;
 
-        _logger.LogInformation("Yielding final result with {Count} tasks", completedTasks.Count);
+        _logger.LogInformation("Yielding final result with {Count} tasks (timed out: {TimedOut})", completedTasks.Count, timedOut);
         yield return finalResult;
     }
 
+    // The tasks a streamed run processes for its scenario, and the cities they report on
+    private (Dictionary<string, Func<CancellationToken, Task<object?>>> TaskFactories, List<string> Cities) CreateStreamingTaskFactories(
+        ProcessingConfigurationViewModel config)
+    {
+        switch (config.Scenario)
+        {
+            case ProcessingScenario.IndividualTask:
+                var city = config.SelectedCities.FirstOrDefault() ?? "London";
+                var taskFactories = new Dictionary<string, Func<CancellationToken, Task<object?>>>
+                {
+                    [$"{city} Weather"] = async ct => await _weatherService.GetWeather(city)
+                };
+                return (taskFactories, new List<string> { city });
+            case ProcessingScenario.CancellationDemo:
+                return (CreateCancellationDemoTaskFactories(), new List<string>());
+            default:
+                return (CreateCityTaskFactories(config.SelectedCities), config.SelectedCities);
+        }
+    }
+
+    private static Dictionary<string, Func<CancellationToken, Task<object?>>> CreateCancellationDemoTaskFactories()
+    {
+        return new Dictionary<string, Func<CancellationToken, Task<object?>>>
+        {
+            ["Quick Task"] = async ct =>
+            {
+                await Task.Delay(50, ct);
+                return "Quick result";
+            },
+            ["Medium Task"] = async ct =>
+            {
+                await Task.Delay(150, ct);
+                return "Medium result";
+            },
+            ["Slow Task"] = async ct =>
+            {
+                await Task.Delay(500, ct);
+                return "Slow result";
+            }
+        };
+    }
+
     private Dictionary<string, Func<CancellationToken, Task<object?>>> CreateCityTaskFactories(List<string> cities)
     {
         var taskFactories = new Dictionary<string, Func<CancellationToken, Task<object?>>>();
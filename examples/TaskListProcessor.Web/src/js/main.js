@@ -4,9 +4,22 @@ window.bootstrap = bootstrap;
 
 // Import existing functionality (we'll move the current site.js content here)
 import './modules/core';
+import './modules/theme';
+import './modules/notifications';
+import './modules/api';
 import './modules/ui-enhancements';
 import './modules/charts';
+import './modules/transports';
 import './modules/streaming';
+import './modules/log-viewer';
+import './modules/dashboard';
+import './modules/results';
+import './modules/progress';
+import './modules/runs';
+import './modules/history';
+import './modules/export';
+import './modules/samples';
+import './modules/search';
 import './modules/prism';
 
 // Initialize the application when DOM is loaded
@@ -0,0 +1,231 @@
+/**
+ * TaskListProcessor Web - API Module
+ * Client for the HomeController processing endpoints with validation and error mapping
+ */
+
+const Api = {
+    endpoints: {
+        processTasks: '/Home/ProcessTasks',
+        processStreamingTasks: '/Home/ProcessStreamingTasks'
+    },
+
+    // ProcessingScenario enum (serialized as strings by JsonStringEnumConverter)
+    scenarios: ['MainProcessing', 'IndividualTask', 'CancellationDemo', 'ConcurrentProcessingDemo', 'StreamingDemo'],
+
+    // Limits offered by the configuration forms
+    limits: {
+        maxConcurrentTasks: { min: 1, max: 20 },
+        timeoutMinutes: { min: 1, max: 10 }
+    },
+
+    // Extra time allowed on top of the server-side TimeoutMinutes before the request is abandoned
+    timeoutGrace: 30000,
+
+    // Characters of an unparseable response body kept on the error
+    responseSnippetLength: 200,
+
+    // Build a ProcessingConfigurationViewModel payload. Throws an ApiError of kind
+    // "validation" (with a `details` list) when the input is not acceptable.
+    buildConfiguration(input = {}) {
+        const config = {
+            SelectedCities: (input.SelectedCities || input.selectedCities || [])
+                .map(city => String(city).trim())
+                .filter(Boolean),
+            MaxConcurrentTasks: this.toInteger(input.MaxConcurrentTasks ?? input.maxConcurrentTasks, 10),
+            TimeoutMinutes: this.toInteger(input.TimeoutMinutes ?? input.timeoutMinutes, 5),
+            EnableDetailedTelemetry: input.EnableDetailedTelemetry ?? input.enableDetailedTelemetry ?? true,
+            ShowIndividualResults: input.ShowIndividualResults ?? input.showIndividualResults ?? true,
+            Scenario: input.Scenario || input.scenario || 'MainProcessing'
+        };
+
+        const problems = this.validateConfiguration(config);
+        if (problems.length > 0) {
+            throw this.createError(problems[0], { kind: 'validation', details: problems });
+        }
+
+        return config;
+    },
+
+    // Return a list of validation messages (empty when the configuration is valid)
+    validateConfiguration(config) {
+        const problems = [];
+        const { maxConcurrentTasks, timeoutMinutes } = this.limits;
+
+        if (!Array.isArray(config.SelectedCities) || config.SelectedCities.length === 0) {
+            problems.push('At least one city must be selected');
+        }
+        if (!Number.isInteger(config.MaxConcurrentTasks) ||
+            config.MaxConcurrentTasks < maxConcurrentTasks.min || config.MaxConcurrentTasks > maxConcurrentTasks.max) {
+            problems.push(`Max concurrent tasks must be between ${maxConcurrentTasks.min} and ${maxConcurrentTasks.max}`);
+        }
+        if (!Number.isInteger(config.TimeoutMinutes) ||
+            config.TimeoutMinutes < timeoutMinutes.min || config.TimeoutMinutes > timeoutMinutes.max) {
+            problems.push(`Timeout must be between ${timeoutMinutes.min} and ${timeoutMinutes.max} minutes`);
+        }
+        if (!this.scenarios.includes(config.Scenario)) {
+            problems.push(`Unknown processing scenario "${config.Scenario}"`);
+        }
+
+        return problems;
+    },
+
+    // POST a configuration to /Home/ProcessTasks and resolve with the TaskProcessingResultViewModel.
+    // options.signal cancels the request; options.timeout (ms) overrides the default deadline.
+    async processTasks(input, options = {}) {
+        const config = this.buildConfiguration(input);
+        const timeout = options.timeout ?? config.TimeoutMinutes * 60000 + this.timeoutGrace;
+
+        return this.request(this.endpoints.processTasks, {
+            method: 'POST',
+            body: config,
+            signal: options.signal,
+            timeout: timeout
+        });
+    },
+
+    // Stream a configuration through /Home/ProcessStreamingTasks into a Streaming container
+    streamTasks(containerId, input, options = {}) {
+        const config = this.buildConfiguration({ Scenario: 'StreamingDemo', ...input });
+        return window.TaskListProcessor.Streaming.startPostStreaming(
+            containerId,
+            this.endpoints.processStreamingTasks,
+            config,
+            options
+        );
+    },
+
+    // fetch wrapper: JSON in and out, timeout and AbortSignal support, normalized errors
+    async request(url, options = {}) {
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const onAbort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', onAbort);
+        }
+        const timer = options.timeout
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, options.timeout)
+            : null;
+
+        try {
+            const response = await fetch(url, {
+                method: options.method || 'GET',
+                headers: {
+                    'Accept': 'application/json',
+                    ...(options.body !== undefined ? { 'Content-Type': 'application/json' } : {})
+                },
+                body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw await this.createResponseError(response);
+            }
+
+            return await this.readJson(response);
+        } catch (error) {
+            if (error.name === 'ApiError') throw error;
+
+            if (error.name === 'AbortError') {
+                throw timedOut
+                    ? this.createError(`The request timed out after ${Math.round(options.timeout / 1000)} seconds`, { kind: 'timeout' })
+                    : this.createError('The request was cancelled', { kind: 'aborted' });
+            }
+
+            throw this.createError('Network error occurred', { kind: 'network', details: [error.message] });
+        } finally {
+            clearTimeout(timer);
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+        }
+    },
+
+    // Parse a successful response. A body that is not JSON (an HTML error page from a proxy,
+    // a truncated response) is an ApiError of kind "invalid-response" with the status and
+    // the start of the body.
+    async readJson(response) {
+        const text = await response.text();
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            const snippet = text.trim().slice(0, this.responseSnippetLength);
+            throw this.createError('The server returned an invalid response', {
+                kind: 'invalid-response',
+                status: response.status,
+                details: [
+                    `HTTP ${response.status}: ${e.message}`,
+                    snippet ? `Response began with: ${snippet}` : 'The response body was empty'
+                ]
+            });
+        }
+    },
+
+    // Map an error response to an ApiError. The controller answers 500 with
+    // { error, details, innerException, stackTrace } and 400 with plain text.
+    async createResponseError(response) {
+        const fallback = `HTTP ${response.status}: ${response.statusText}`;
+        const kind = response.status >= 500 ? 'server' : response.status === 400 ? 'validation' : 'http';
+
+        let text = '';
+        try {
+            text = await response.text();
+        } catch (e) {
+            // Body unavailable; fall back to the status line
+        }
+
+        let body = null;
+        try {
+            body = text ? JSON.parse(text) : null;
+        } catch (e) {
+            // Plain-text response
+        }
+
+        if (body && typeof body === 'object') {
+            return this.createError(body.error || body.title || fallback, {
+                kind: kind,
+                status: response.status,
+                details: [body.details, body.innerException].filter(Boolean),
+                innerException: body.innerException || null,
+                stackTrace: body.stackTrace || []
+            });
+        }
+
+        return this.createError(text.trim() || fallback, { kind: kind, status: response.status });
+    },
+
+    // Normalized error: Error with name "ApiError", kind, status, details, innerException, stackTrace
+    createError(message, props = {}) {
+        const error = new Error(message);
+        error.name = 'ApiError';
+        error.kind = props.kind || 'http';
+        error.status = props.status ?? null;
+        error.details = props.details || [];
+        error.innerException = props.innerException || null;
+        error.stackTrace = props.stackTrace || [];
+        return error;
+    },
+
+    // One-line description of any error for display ("message: detail")
+    describeError(error) {
+        if (!error) return 'Unknown error';
+        const details = (error.details || []).filter(detail => detail && detail !== error.message);
+        return details.length > 0 ? `${error.message}: ${details.join(' – ')}` : error.message;
+    },
+
+    // Parse an integer form value, falling back when empty
+    toInteger(value, fallback) {
+        if (value === undefined || value === null || value === '') return fallback;
+        const number = Number(value);
+        return Number.isInteger(number) ? number : NaN;
+    }
+};
+
+// Expose to global namespace
+window.TaskListProcessor.Api = Api;
+
+export default Api;
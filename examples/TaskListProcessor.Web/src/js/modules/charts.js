@@ -1,228 +1,907 @@
 /**
  * TaskListProcessor Web - Charts Module
- * Handles chart rendering and data visualization
+ * Dependency-free SVG charts (bar, line, pie, donut, timeline) for processing telemetry
  */
 
 const Charts = {
     charts: {},
-    
+
+    // Series colors, resolved from Bootstrap CSS variables so they follow the theme
+    palette: [
+        'var(--bs-primary)',
+        'var(--bs-success)',
+        'var(--bs-warning)',
+        'var(--bs-info)',
+        'var(--bs-danger)',
+        'var(--bs-secondary)',
+        'var(--bs-purple, #6f42c1)',
+        'var(--bs-orange, #fd7e14)'
+    ],
+
+    // Colors taken from chart data: hex, rgb()/hsl(), CSS variables (optionally with a hex or named
+    // fallback) and color names. They are written into fill, stroke and style attributes, so anything
+    // else is replaced by a palette color.
+    colorPattern: /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([\d\s.,%/+-]*\)|var\(--[\w-]+(,\s*(#[0-9a-f]{3,8}|[a-z]+))?\)|[a-z]+)$/i,
+
+    // Plot area margins for the cartesian charts (bar, line)
+    margin: { top: 20, right: 20, bottom: 40, left: 56 },
+
+    animationDuration: '0.6s',
+
+    isInitialized: false,
+
     init() {
-        this.initializeCharts();
-        console.log('Charts module initialized');
-    },
+        if (this.isInitialized) return;
 
-    // Initialize all charts on the page
-    initializeCharts() {
-        const chartContainers = document.querySelectorAll('[data-chart-type]');
-        
-        chartContainers.forEach(container => {
-            const chartType = container.dataset.chartType;
-            const chartId = container.id || `chart-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-            
-            if (!container.id) {
-                container.id = chartId;
+        // data-chart-type containers get a chart whenever they appear, including rendered results
+        window.TaskListProcessor.Core.registerComponent({
+            name: 'chart',
+            selector: '[data-chart-type]',
+            mount: container => this.mountChart(container),
+            unmount: (container, chart) => {
+                // The id may already belong to a chart created for a replacement container
+                if (chart && this.charts[container.id] === chart) {
+                    this.destroyChart(container.id);
+                }
             }
-            
-            this.createChart(chartId, chartType, container.dataset);
         });
+
+        this.isInitialized = true;
+        console.log('Charts module initialized');
+    },
+
+    // Create the chart declared by a data-chart-type container, unless code already created it
+    mountChart(container) {
+        if (!container.id) {
+            container.id = `chart-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        }
+
+        const existing = this.charts[container.id];
+        if (existing && existing.container === container) return existing;
+
+        return this.createChart(container.id, container.dataset.chartType, container.dataset);
     },
 
-    // Create a chart based on type and configuration
-    createChart(chartId, chartType, config) {
-        // For now, create a placeholder chart
-        // In a real implementation, you would integrate with Chart.js, D3.js, or another charting library
+    // Create a chart based on type and configuration.
+    // config is either the container's dataset (data-chart-data, data-chart-labels,
+    // data-chart-values, data-chart-url, data-chart-source, data-width, data-height,
+    // data-chart-unit) or a plain object with the same keys plus an optional `data` property.
+    createChart(chartId, chartType, config = {}) {
         const container = document.getElementById(chartId);
         if (!container) return;
 
-        // Create a simple SVG chart placeholder
-        const chart = this.createPlaceholderChart(chartType, config);
-        container.innerHTML = chart;
-        
-        // Store chart reference
-        this.charts[chartId] = {
+        const chart = {
             type: chartType,
             config: config,
-            container: container
+            container: container,
+            data: null,
+            layout: {},
+            unbind: null
+        };
+        chart.data = this.prepareData(chart, config.data || this.readChartData(config));
+        this.charts[chartId] = chart;
+
+        this.bindTooltips(chart);
+        this.renderChart(chart);
+
+        if (config.chartUrl) {
+            this.loadChartData(chartId, config.chartUrl, {
+                method: config.chartMethod,
+                path: config.chartPath
+            });
+        }
+
+        if (config.chartSource && config.chartSource.startsWith('stream:')) {
+            this.bindStreamSource(chartId, config.chartSource.slice('stream:'.length));
+        }
+
+        return chart;
+    },
+
+    // Keep a chart in sync with the taskUpdate frames of a streaming container:
+    // one bar per task (ElapsedMilliseconds), green for success and red for failure.
+    // Timeline charts place each task where the frame that first reported it ended.
+    bindStreamSource(chartId, containerId) {
+        const chart = this.charts[chartId];
+        const source = document.getElementById(containerId);
+        if (!chart || !source) {
+            console.warn(`Cannot bind chart ${chartId} to stream container ${containerId}`);
+            return;
+        }
+
+        const tasks = new Map();
+
+        const onData = (event) => {
+            const Core = window.TaskListProcessor.Core;
+            const telemetry = Core.getProperty(event.detail, 'DetailedTelemetry');
+            if (!Array.isArray(telemetry)) return;
+
+            // Each frame's EndTime is when its newest task completed
+            const frameEnd = this.getElapsedSinceStart(
+                Core.getProperty(event.detail, 'StartTime'),
+                Core.getProperty(event.detail, 'EndTime')
+            );
+            telemetry.forEach(task => {
+                const name = this.getTaskField(task, 'TaskName');
+                const known = tasks.get(name);
+                tasks.set(name, { task: task, end: known ? known.end : frameEnd });
+            });
+
+            const entries = Array.from(tasks.values());
+            this.updateChart(chartId, chart.type === 'timeline'
+                ? this.getTimelineData(entries.map(entry => entry.task), { ends: entries.map(entry => entry.end) })
+                : this.getTaskDurationData(entries.map(entry => entry.task)));
+        };
+
+        // A fresh run (not a reconnect) starts with an empty chart
+        const onStatus = (event) => {
+            if (event.detail.status === 'connecting' && !event.detail.attempt) {
+                tasks.clear();
+                this.updateChart(chartId, null);
+            }
+        };
+
+        source.addEventListener('streaming-data', onData);
+        source.addEventListener('streaming-status', onStatus);
+        chart.unbind = () => {
+            source.removeEventListener('streaming-data', onData);
+            source.removeEventListener('streaming-status', onStatus);
+        };
+    },
+
+    // Chart data for a list of TaskTelemetryViewModel entries
+    getTaskDurationData(telemetry) {
+        return {
+            legend: [
+                { label: 'Success', color: 'var(--bs-success)' },
+                { label: 'Failed', color: 'var(--bs-danger)' }
+            ],
+            labels: telemetry.map(task => this.getTaskField(task, 'TaskName')),
+            datasets: [{
+                label: 'Duration',
+                values: telemetry.map(task => this.getTaskField(task, 'ElapsedMilliseconds')),
+                colors: telemetry.map(task => this.getTaskField(task, 'IsSuccessful')
+                    ? 'var(--bs-success)'
+                    : 'var(--bs-danger)'),
+                tooltips: telemetry.map(task => {
+                    const name = this.getTaskField(task, 'TaskName');
+                    const elapsed = this.getTaskField(task, 'ElapsedMilliseconds');
+                    const level = this.getTaskField(task, 'PerformanceLevel');
+                    const status = this.getTaskField(task, 'IsSuccessful') ? 'Success' : 'Failed';
+                    return `${name}: ${elapsed}ms${level ? ` (${level})` : ''} – ${status}`;
+                })
+            }]
         };
     },
 
-    // Create placeholder chart (replace with actual chart library integration)
-    createPlaceholderChart(type, config) {
-        const width = config.width || 400;
-        const height = config.height || 300;
-        
-        let chartContent = '';
-        
-        switch (type) {
-            case 'bar':
-                chartContent = this.createBarChartPlaceholder(width, height);
-                break;
-            case 'line':
-                chartContent = this.createLineChartPlaceholder(width, height);
-                break;
-            case 'pie':
-                chartContent = this.createPieChartPlaceholder(width, height);
-                break;
-            case 'donut':
-                chartContent = this.createDonutChartPlaceholder(width, height);
-                break;
-            default:
-                chartContent = this.createDefaultChartPlaceholder(width, height);
-        }
-        
+    // Milliseconds between two serialized DateTimes, or null when either is missing
+    getElapsedSinceStart(startTime, endTime) {
+        const start = Date.parse(startTime);
+        const end = Date.parse(endTime);
+        return Number.isNaN(start) || Number.isNaN(end) ? null : Math.max(end - start, 0);
+    },
+
+    // Timeline data for a list of TaskTelemetryViewModel entries.
+    // options.ends gives each task's completion offset (from stream frames); without it, start
+    // offsets are estimated by scheduling tasks in order onto options.maxConcurrent slots.
+    getTimelineData(telemetry, options = {}) {
+        const ends = options.ends || [];
+        const maxConcurrent = Math.max(Number(options.maxConcurrent) || telemetry.length, 1);
+        const slots = new Array(Math.min(maxConcurrent, Math.max(telemetry.length, 1))).fill(0);
+        let estimated = false;
+
+        const tasks = telemetry.map((task, index) => {
+            const name = this.getTaskField(task, 'TaskName');
+            const duration = this.toNumber(this.getTaskField(task, 'ElapsedMilliseconds'));
+            let start;
+
+            if (ends[index] != null) {
+                start = Math.max(ends[index] - duration, 0);
+            } else {
+                const slot = slots.indexOf(Math.min(...slots));
+                start = slots[slot];
+                slots[slot] = start + duration;
+                estimated = true;
+            }
+
+            return {
+                label: name,
+                group: this.getTaskGroup(name),
+                start: start,
+                end: start + duration,
+                isSuccessful: !!this.getTaskField(task, 'IsSuccessful'),
+                detail: this.getTaskField(task, 'PerformanceLevel') || ''
+            };
+        });
+
+        return { tasks: tasks, estimated: estimated };
+    },
+
+    // City a task belongs to ("London Weather" -> "London")
+    getTaskGroup(taskName) {
+        const match = /^(.*) (Weather|Things To Do)$/.exec(taskName || '');
+        return match ? match[1] : (taskName || '');
+    },
+
+    // TaskTelemetryViewModel field in either JSON casing
+    getTaskField(task, name) {
+        return window.TaskListProcessor.Core.getProperty(task, name);
+    },
+
+    // Read inline chart data from data-* attributes
+    readChartData(config) {
+        if (config.chartData) {
+            try {
+                return JSON.parse(config.chartData);
+            } catch (e) {
+                console.error('Invalid data-chart-data JSON:', e);
+                return null;
+            }
+        }
+
+        if (config.chartValues) {
+            const split = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+            return {
+                labels: split(config.chartLabels),
+                datasets: [{
+                    label: config.chartSeries || '',
+                    values: split(config.chartValues).map(Number)
+                }]
+            };
+        }
+
+        return null;
+    },
+
+    // Fetch chart data from an API endpoint and render it.
+    // options.path selects a nested property of the response (e.g. "TelemetrySummary").
+    async loadChartData(chartId, url, options = {}) {
+        const chart = this.charts[chartId];
+        if (!chart) {
+            console.warn(`Chart with ID ${chartId} not found`);
+            return;
+        }
+
+        try {
+            const response = await fetch(url, {
+                method: options.method || 'GET',
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            let data = await response.json();
+            if (options.path) {
+                data = options.path.split('.').reduce((value, key) => value == null ? value : value[key], data);
+            }
+
+            this.updateChart(chartId, data);
+        } catch (error) {
+            console.error(`Failed to load data for chart ${chartId}:`, error);
+            chart.container.innerHTML = this.wrapChart(
+                chart,
+                this.createEmptyChart(this.getSize(chart), 'Chart data could not be loaded'),
+                ''
+            );
+        }
+    },
+
+    // Normalize data for a chart; timelines also accept a TaskProcessingResultViewModel directly
+    prepareData(chart, data) {
+        const telemetry = window.TaskListProcessor.Core.getProperty(data, 'DetailedTelemetry');
+        if (chart.type === 'timeline' && Array.isArray(telemetry)) {
+            data = this.getTimelineData(telemetry, { maxConcurrent: chart.config.chartConcurrency });
+        }
+        return this.normalizeData(data);
+    },
+
+    // Normalize the accepted data shapes into { labels, datasets: [{ label, values, color, colors, tooltips }], legend }.
+    // Accepted: { labels, datasets }, { labels, values }, [{ label, value, color }] and [numbers].
+    normalizeData(data) {
+        if (!data) return { labels: [], datasets: [] };
+
+        // Timeline data is passed through as-is
+        if (Array.isArray(data.tasks)) {
+            return { labels: [], datasets: [], tasks: data.tasks, estimated: !!data.estimated };
+        }
+
+        if (Array.isArray(data)) {
+            return {
+                labels: data.map((point, index) => (point && typeof point === 'object')
+                    ? String(point.label ?? point.name ?? index + 1)
+                    : String(index + 1)),
+                datasets: [{
+                    label: '',
+                    values: data.map(point => this.toNumber(point && typeof point === 'object' ? point.value : point)),
+                    colors: data.map(point => (point && typeof point === 'object') ? point.color : undefined)
+                }]
+            };
+        }
+
+        const datasets = data.datasets ||
+            (data.values ? [{ label: data.label || '', values: data.values, colors: data.colors, tooltips: data.tooltips }] : []);
+
+        return {
+            legend: data.legend,
+            labels: (data.labels || []).map(String),
+            datasets: datasets.map(dataset => ({
+                label: dataset.label || '',
+                values: (dataset.values || dataset.data || []).map(value => this.toNumber(value)),
+                color: dataset.color,
+                colors: dataset.colors,
+                tooltips: dataset.tooltips
+            }))
+        };
+    },
+
+    // Coerce a value to a finite number (server telemetry may contain Infinity/NaN literals)
+    toNumber(value) {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : 0;
+    },
+
+    // Render (or re-render) a chart from its stored data
+    renderChart(chart) {
+        chart.container.innerHTML = this.getChartMarkup(chart);
+    },
+
+    // Chart markup without touching the DOM, e.g. for exported reports.
+    // config takes the same keys as createChart (data, chartUnit, chartTitle, width, height, ...).
+    renderToString(chartType, config = {}) {
+        const chart = {
+            type: chartType,
+            config: config,
+            container: null,
+            data: null,
+            layout: {},
+            unbind: null
+        };
+        chart.data = this.prepareData(chart, config.data || this.readChartData(config));
+        return this.getChartMarkup(chart);
+    },
+
+    // Small axis-free line for inline trends (metric cards); scaled to the values' own range
+    renderSparkline(values, options = {}) {
+        const width = options.width || 120;
+        const height = options.height || 32;
+        const color = this.getSafeColor(options.color, 'var(--bs-primary)');
+        const numbers = values.map(value => this.toNumber(value));
+
+        if (numbers.length < 2) {
+            return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true"></svg>`;
+        }
+
+        const min = Math.min(...numbers);
+        const range = Math.max(...numbers) - min || 1;
+        // 3px inset keeps the end-point marker inside the box
+        const step = (width - 6) / (numbers.length - 1);
+        const points = numbers.map((value, index) => {
+            const y = height - 3 - ((value - min) / range) * (height - 6);
+            return `${(3 + index * step).toFixed(1)},${y.toFixed(1)}`;
+        });
+        const last = points[points.length - 1].split(',');
+
+        return `
+            <svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+                <polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="1.5"
+                          stroke-linejoin="round" stroke-linecap="round"/>
+                <circle cx="${last[0]}" cy="${last[1]}" r="2.5" fill="${color}"/>
+            </svg>
+        `;
+    },
+
+    // Markup for a chart's current data; remembers the layout so the next render can animate from it
+    getChartMarkup(chart) {
+        const size = this.getSize(chart);
+        const hasData = chart.data.tasks
+            ? chart.data.tasks.length > 0
+            : chart.data.datasets.some(dataset => dataset.values.length > 0);
+        const previous = chart.layout;
+        chart.layout = {};
+
+        let content;
+        if (!hasData) {
+            content = this.createEmptyChart(size, 'No data available');
+        } else {
+            switch (chart.type) {
+                case 'bar':
+                    content = this.renderBarChart(chart, size, previous);
+                    break;
+                case 'line':
+                    content = this.renderLineChart(chart, size, previous);
+                    break;
+                case 'pie':
+                    content = this.renderPieChart(chart, size, previous, 0);
+                    break;
+                case 'donut':
+                    content = this.renderPieChart(chart, size, previous, 0.6);
+                    break;
+                case 'timeline':
+                    // Timelines grow with their task count
+                    size.height = this.getTimelineHeight(chart.data.tasks);
+                    content = this.renderTimelineChart(chart, size, previous);
+                    break;
+                default:
+                    content = this.createEmptyChart(size, `Unknown chart type "${chart.type}"`);
+            }
+        }
+
+        return this.wrapChart(chart, content, hasData ? this.renderLegend(chart) : '', size);
+    },
+
+    // Outer markup shared by every chart type
+    wrapChart(chart, content, legend, size = this.getSize(chart)) {
+        const { width, height } = size;
+        const title = chart.config.chartTitle ? this.escape(chart.config.chartTitle) : `${chart.type} chart`;
+
         return `
             <div class="chart-container">
-                <svg width="${width}" height="${height}" class="chart-svg">
-                    ${chartContent}
+                <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" class="chart-svg"
+                     role="img" aria-label="${title}">
+                    ${content}
                 </svg>
-                <div class="chart-legend mt-2">
-                    <small class="text-muted">Chart data will be loaded dynamically</small>
-                </div>
+                <div class="chart-legend mt-2">${legend}</div>
+                <div class="chart-tooltip" role="tooltip" hidden></div>
             </div>
         `;
     },
 
-    // Create bar chart placeholder
-    createBarChartPlaceholder(width, height) {
+    // Chart dimensions from data-width / data-height
+    getSize(chart) {
+        return {
+            width: Number(chart.config.width) || 400,
+            height: Number(chart.config.height) || 300
+        };
+    },
+
+    // Bar chart: one group per label, one bar per dataset
+    renderBarChart(chart, size, previous) {
+        const { labels, datasets } = chart.data;
+        const plot = this.getPlotArea(size);
+        const scale = this.getValueScale(datasets, plot);
+        const band = plot.width / Math.max(labels.length, 1);
+        const groupWidth = band * 0.7;
+        const barWidth = groupWidth / datasets.length;
+        const baseline = scale.toY(0);
+
         const bars = [];
-        const barWidth = 40;
-        const spacing = 20;
-        const maxBarHeight = height - 60;
-        
-        for (let i = 0; i < 5; i++) {
-            const barHeight = Math.random() * maxBarHeight + 20;
-            const x = 50 + i * (barWidth + spacing);
-            const y = height - barHeight - 30;
-            
-            bars.push(`
-                <rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" 
-                      fill="var(--bs-primary)" opacity="0.8" rx="4">
-                    <animate attributeName="height" from="0" to="${barHeight}" dur="1s" fill="freeze"/>
-                    <animate attributeName="y" from="${height - 30}" to="${y}" dur="1s" fill="freeze"/>
-                </rect>
-            `);
-        }
-        
-        return bars.join('');
+        labels.forEach((label, labelIndex) => {
+            datasets.forEach((dataset, datasetIndex) => {
+                const value = dataset.values[labelIndex] ?? 0;
+                const x = plot.left + band * labelIndex + (band - groupWidth) / 2 + barWidth * datasetIndex;
+                const y = Math.min(scale.toY(value), baseline);
+                const height = Math.abs(baseline - scale.toY(value));
+                const key = `bar:${datasetIndex}:${label}`;
+                const from = previous[key] || { x: x, y: baseline, height: 0 };
+                chart.layout[key] = { x: x, y: y, height: height };
+
+                bars.push(`
+                    <rect class="chart-bar" x="${x}" y="${y}" width="${Math.max(barWidth - 2, 1)}" height="${height}"
+                          fill="${this.getColor(dataset, datasetIndex, labelIndex)}" opacity="0.85" rx="3"
+                          data-chart-tooltip="${this.escape(this.getTooltip(chart, label, dataset, value, labelIndex))}">
+                        ${this.animate('x', from.x, x)}
+                        ${this.animate('y', from.y, y)}
+                        ${this.animate('height', from.height, height)}
+                    </rect>
+                `);
+            });
+        });
+
+        return this.renderAxes(chart, plot, scale, labels, index => plot.left + band * (index + 0.5)) + bars.join('');
+    },
+
+    // Line chart: one polyline per dataset with a marker per point
+    renderLineChart(chart, size, previous) {
+        const { labels, datasets } = chart.data;
+        const plot = this.getPlotArea(size);
+        const scale = this.getValueScale(datasets, plot);
+        const band = plot.width / Math.max(labels.length, 1);
+        const toX = index => plot.left + band * (index + 0.5);
+
+        const lines = datasets.map((dataset, datasetIndex) => {
+            const color = this.getColor(dataset, datasetIndex);
+            const points = labels.map((label, index) => ({
+                label: label,
+                value: dataset.values[index] ?? 0,
+                x: toX(index),
+                y: scale.toY(dataset.values[index] ?? 0)
+            }));
+            const pointList = points.map(point => `${point.x},${point.y}`).join(' ');
+            const key = `line:${datasetIndex}`;
+            const from = previous[key];
+            chart.layout[key] = { points: pointList, count: points.length };
+
+            // Morph from the previous shape when the point count matches, otherwise draw in
+            const lineAnimation = from && from.count === points.length
+                ? this.animate('points', from.points, pointList)
+                : `<animate attributeName="stroke-dasharray" from="0,10000" to="10000,0" dur="${this.animationDuration}" fill="freeze"/>`;
+
+            const markers = points.map((point, index) => {
+                const markerKey = `point:${datasetIndex}:${point.label}`;
+                const markerFrom = previous[markerKey] || { x: point.x, y: point.y };
+                chart.layout[markerKey] = { x: point.x, y: point.y };
+
+                return `
+                    <circle class="chart-point" cx="${point.x}" cy="${point.y}" r="4"
+                            fill="${this.getColor(dataset, datasetIndex, index)}"
+                            data-chart-tooltip="${this.escape(this.getTooltip(chart, point.label, dataset, point.value, index))}">
+                        ${this.animate('cx', markerFrom.x, point.x)}
+                        ${this.animate('cy', markerFrom.y, point.y)}
+                    </circle>
+                `;
+            }).join('');
+
+            return `
+                <polyline fill="none" stroke="${color}" stroke-width="3" stroke-linejoin="round"
+                          points="${pointList}" opacity="0.85">
+                    ${lineAnimation}
+                </polyline>
+                ${markers}
+            `;
+        });
+
+        return this.renderAxes(chart, plot, scale, labels, toX) + lines.join('');
     },
 
-    // Create line chart placeholder
-    createLineChartPlaceholder(width, height) {
-        const points = [];
-        const segments = 8;
-        
-        for (let i = 0; i <= segments; i++) {
-            const x = 50 + (i * (width - 100) / segments);
-            const y = 50 + Math.random() * (height - 100);
-            points.push(`${x},${y}`);
+    // Pie and donut charts. Slices are stroked circles (stroke-dasharray), which lets
+    // updates animate between old and new slice sizes. innerRatio 0 draws a pie.
+    renderPieChart(chart, size, previous, innerRatio) {
+        const { labels, datasets } = chart.data;
+        const dataset = datasets[0];
+        const values = labels.map((label, index) => Math.max(dataset.values[index] ?? 0, 0));
+        const total = values.reduce((sum, value) => sum + value, 0);
+
+        if (total === 0) {
+            return this.createEmptyChart(size, 'No data available');
         }
-        
+
+        const centerX = size.width / 2;
+        const centerY = size.height / 2;
+        const outerRadius = Math.min(size.width, size.height) / 2 - 10;
+        const innerRadius = outerRadius * innerRatio;
+        const radius = (outerRadius + innerRadius) / 2;
+        const thickness = outerRadius - innerRadius;
+        const circumference = 2 * Math.PI * radius;
+
+        let offset = 0;
+        const slices = values.map((value, index) => {
+            const length = (value / total) * circumference;
+            const key = `slice:${labels[index]}`;
+            const from = previous[key] || { length: 0, offset: offset };
+            chart.layout[key] = { length: length, offset: offset };
+
+            const percent = ((value / total) * 100).toFixed(1);
+            const tooltip = `${labels[index]}: ${this.formatValue(value, chart.config.chartUnit)} (${percent}%)`;
+            const slice = `
+                <circle class="chart-slice" cx="${centerX}" cy="${centerY}" r="${radius}" fill="none"
+                        stroke="${this.getColor(dataset, index, index)}" stroke-width="${thickness}"
+                        stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}"
+                        transform="rotate(-90 ${centerX} ${centerY})"
+                        data-chart-tooltip="${this.escape(tooltip)}">
+                    ${this.animate('stroke-dasharray', `${from.length} ${circumference - from.length}`, `${length} ${circumference - length}`)}
+                    ${this.animate('stroke-dashoffset', -from.offset, -offset)}
+                </circle>
+            `;
+
+            offset += length;
+            return slice;
+        });
+
+        const centerLabel = innerRatio > 0 ? `
+            <text class="chart-center-label" x="${centerX}" y="${centerY}" text-anchor="middle" dy="0.35em"
+                  font-size="22" font-weight="bold" fill="var(--bs-body-color)">
+                ${this.escape(chart.config.chartCenter || this.formatValue(total, chart.config.chartUnit))}
+            </text>
+        ` : '';
+
+        return slices.join('') + centerLabel;
+    },
+
+    // Row geometry for timeline charts
+    timeline: { rowHeight: 22, labelWidth: 150, axisHeight: 30 },
+
+    // SVG height needed to show every timeline row
+    getTimelineHeight(tasks) {
+        return this.margin.top + tasks.length * this.timeline.rowHeight + this.timeline.axisHeight;
+    },
+
+    // Timeline (Gantt) chart: one horizontal bar per task from start to end offset,
+    // grouped by city so overlapping (concurrent) execution is visible
+    renderTimelineChart(chart, size, previous) {
+        const { rowHeight, labelWidth, axisHeight } = this.timeline;
+        const left = labelWidth;
+        const top = this.margin.top;
+        const width = Math.max(size.width - left - this.margin.right, 1);
+        const bottom = size.height - axisHeight;
+
+        // Sort rows by group, then start, keeping the first-seen group order
+        const groupOrder = [];
+        chart.data.tasks.forEach(task => {
+            if (!groupOrder.includes(task.group)) groupOrder.push(task.group);
+        });
+        const rows = [...chart.data.tasks].sort((a, b) =>
+            groupOrder.indexOf(a.group) - groupOrder.indexOf(b.group) || a.start - b.start);
+
+        const maxEnd = Math.max(...rows.map(task => task.end), 1);
+        const ticks = this.getNiceTicks(0, maxEnd, 5);
+        const span = ticks[ticks.length - 1] || 1;
+        const toX = value => left + (value / span) * width;
+
+        const grid = ticks.map(tick => `
+            <line x1="${toX(tick)}" x2="${toX(tick)}" y1="${top}" y2="${bottom}"
+                  stroke="var(--bs-border-color)" stroke-dasharray="2 3"/>
+            <text x="${toX(tick)}" y="${bottom + 16}" text-anchor="middle"
+                  font-size="11" fill="var(--bs-secondary-color)">${this.escape(this.formatValue(tick, 'ms'))}</text>
+        `).join('');
+
+        let lastGroup = null;
+        const bars = rows.map((task, index) => {
+            const y = top + index * rowHeight;
+            const x = toX(task.start);
+            const barWidth = Math.max(toX(task.end) - x, 2);
+            const key = `task:${task.label}`;
+            const from = previous[key] || { x: x, width: 0 };
+            chart.layout[key] = { x: x, width: barWidth };
+
+            const shortLabel = task.label.startsWith(`${task.group} `)
+                ? task.label.slice(task.group.length + 1)
+                : task.label;
+            const groupHeader = task.group !== lastGroup ? `
+                ${index > 0 ? `<line x1="0" x2="${left + width}" y1="${y}" y2="${y}" stroke="var(--bs-border-color)"/>` : ''}
+                <text x="4" y="${y + rowHeight / 2}" dy="0.35em" font-size="12" font-weight="bold"
+                      fill="var(--bs-body-color)">${this.escape(task.group)}</text>
+            ` : '';
+            lastGroup = task.group;
+
+            const status = task.isSuccessful ? 'Success' : 'Failed';
+            const tooltip = `${task.label}: +${Math.round(task.start)}ms → ${Math.round(task.end)}ms ` +
+                `(${Math.round(task.end - task.start)}ms${task.detail ? `, ${task.detail}` : ''}) – ${status}`;
+
+            return `
+                ${groupHeader}
+                <text x="${left - 8}" y="${y + rowHeight / 2}" dy="0.35em" text-anchor="end"
+                      font-size="11" fill="var(--bs-secondary-color)">${this.escape(shortLabel)}</text>
+                <rect class="chart-bar" x="${x}" y="${y + 4}" width="${barWidth}" height="${rowHeight - 8}" rx="3"
+                      fill="${task.isSuccessful ? 'var(--bs-success)' : 'var(--bs-danger)'}" opacity="0.85"
+                      ${task.isSuccessful ? '' : 'stroke="var(--bs-danger-text-emphasis)" stroke-width="2"'}
+                      data-chart-tooltip="${this.escape(tooltip)}">
+                    ${this.animate('x', from.x, x)}
+                    ${this.animate('width', from.width, barWidth)}
+                </rect>
+            `;
+        }).join('');
+
         return `
-            <polyline fill="none" stroke="var(--bs-primary)" stroke-width="3" 
-                     points="${points.join(' ')}" opacity="0.8">
-                <animate attributeName="stroke-dasharray" from="0,1000" to="1000,0" dur="2s" fill="freeze"/>
-            </polyline>
-            ${points.map(point => {
-                const [x, y] = point.split(',');
-                return `<circle cx="${x}" cy="${y}" r="4" fill="var(--bs-primary)"/>`;
-            }).join('')}
+            <g class="chart-axes">
+                ${grid}
+                <line x1="${left}" x2="${left + width}" y1="${bottom}" y2="${bottom}" stroke="var(--bs-border-color)"/>
+            </g>
+            ${bars}
         `;
     },
 
-    // Create pie chart placeholder
-    createPieChartPlaceholder(width, height) {
-        const centerX = width / 2;
-        const centerY = height / 2;
-        const radius = Math.min(width, height) / 2 - 20;
-        
-        const slices = [
-            { percentage: 30, color: 'var(--bs-primary)' },
-            { percentage: 25, color: 'var(--bs-success)' },
-            { percentage: 20, color: 'var(--bs-warning)' },
-            { percentage: 15, color: 'var(--bs-info)' },
-            { percentage: 10, color: 'var(--bs-secondary)' }
-        ];
-        
-        let currentAngle = 0;
-        const paths = slices.map(slice => {
-            const angle = (slice.percentage / 100) * 360;
-            const startAngle = currentAngle;
-            const endAngle = currentAngle + angle;
-            
-            const x1 = centerX + radius * Math.cos(startAngle * Math.PI / 180);
-            const y1 = centerY + radius * Math.sin(startAngle * Math.PI / 180);
-            const x2 = centerX + radius * Math.cos(endAngle * Math.PI / 180);
-            const y2 = centerY + radius * Math.sin(endAngle * Math.PI / 180);
-            
-            const largeArc = angle > 180 ? 1 : 0;
-            
-            const path = `
-                <path d="M ${centerX} ${centerY} L ${x1} ${y1} A ${radius} ${radius} 0 ${largeArc} 1 ${x2} ${y2} Z"
-                      fill="${slice.color}" opacity="0.8">
-                    <animate attributeName="opacity" from="0" to="0.8" dur="1s" fill="freeze"/>
-                </path>
+    // Axes, gridlines and tick labels for cartesian charts
+    renderAxes(chart, plot, scale, labels, toX) {
+        const unit = chart.config.chartUnit;
+        const bottom = plot.top + plot.height;
+
+        const yTicks = scale.ticks.map(tick => `
+            <line x1="${plot.left}" x2="${plot.left + plot.width}" y1="${scale.toY(tick)}" y2="${scale.toY(tick)}"
+                  stroke="var(--bs-border-color)" stroke-dasharray="2 3"/>
+            <text x="${plot.left - 8}" y="${scale.toY(tick)}" text-anchor="end" dy="0.35em"
+                  font-size="11" fill="var(--bs-secondary-color)">${this.escape(this.formatValue(tick, unit))}</text>
+        `).join('');
+
+        // Thin out x labels so they do not overlap
+        const step = Math.max(1, Math.ceil(labels.length / Math.max(Math.floor(plot.width / 60), 1)));
+        const maxChars = Math.max(4, Math.floor((plot.width / Math.ceil(labels.length / step)) / 7));
+        const xTicks = labels.map((label, index) => {
+            if (index % step !== 0) return '';
+            const text = label.length > maxChars ? `${label.slice(0, maxChars - 1)}…` : label;
+            return `
+                <text x="${toX(index)}" y="${bottom + 16}" text-anchor="middle"
+                      font-size="11" fill="var(--bs-secondary-color)">
+                    <title>${this.escape(label)}</title>${this.escape(text)}
+                </text>
             `;
-            
-            currentAngle += angle;
-            return path;
         }).join('');
-        
-        return paths;
-    },
 
-    // Create donut chart placeholder
-    createDonutChartPlaceholder(width, height) {
-        const centerX = width / 2;
-        const centerY = height / 2;
-        const outerRadius = Math.min(width, height) / 2 - 20;
-        const innerRadius = outerRadius * 0.6;
-        
         return `
-            <circle cx="${centerX}" cy="${centerY}" r="${outerRadius}" 
-                   fill="var(--bs-primary)" opacity="0.3"/>
-            <circle cx="${centerX}" cy="${centerY}" r="${innerRadius}" 
-                   fill="white"/>
-            <text x="${centerX}" y="${centerY}" text-anchor="middle" 
-                  dy="0.35em" font-size="24" font-weight="bold" fill="var(--bs-primary)">
-                75%
-            </text>
+            <g class="chart-axes">
+                ${yTicks}
+                <line x1="${plot.left}" x2="${plot.left}" y1="${plot.top}" y2="${bottom}" stroke="var(--bs-border-color)"/>
+                <line x1="${plot.left}" x2="${plot.left + plot.width}" y1="${bottom}" y2="${bottom}" stroke="var(--bs-border-color)"/>
+                ${xTicks}
+            </g>
         `;
     },
 
-    // Create default chart placeholder
-    createDefaultChartPlaceholder(width, height) {
+    // Legend below the chart: explicit legend items, else datasets for bar/line and slices for pie/donut
+    renderLegend(chart) {
+        const { labels, datasets, legend } = chart.data;
+        let items;
+
+        if (legend) {
+            items = legend.map(item => ({ label: item.label, color: this.getSafeColor(item.color, 'transparent') }));
+        } else if (chart.type === 'timeline') {
+            items = [
+                { label: 'Success', color: 'var(--bs-success)' },
+                { label: 'Failed', color: 'var(--bs-danger)' }
+            ];
+            if (chart.data.estimated) {
+                items.push({ label: 'Start offsets estimated from MaxConcurrentTasks', color: 'transparent' });
+            }
+        } else if (chart.type === 'pie' || chart.type === 'donut') {
+            items = labels.map((label, index) => ({
+                label: `${label} (${this.formatValue(datasets[0].values[index] ?? 0, chart.config.chartUnit)})`,
+                color: this.getColor(datasets[0], index, index)
+            }));
+        } else {
+            items = datasets
+                .map((dataset, index) => ({ label: dataset.label, color: this.getColor(dataset, index) }))
+                .filter(item => item.label);
+        }
+
+        return items.map(item => `
+            <span class="chart-legend-item me-3 small">
+                <span class="chart-legend-swatch" style="background: ${item.color}"></span>
+                ${this.escape(item.label)}
+            </span>
+        `).join('');
+    },
+
+    // Inner plot rectangle
+    getPlotArea(size) {
+        return {
+            left: this.margin.left,
+            top: this.margin.top,
+            width: Math.max(size.width - this.margin.left - this.margin.right, 1),
+            height: Math.max(size.height - this.margin.top - this.margin.bottom, 1)
+        };
+    },
+
+    // Linear value scale with "nice" tick values
+    getValueScale(datasets, plot) {
+        const values = datasets.flatMap(dataset => dataset.values);
+        const min = Math.min(0, ...values);
+        const max = Math.max(0, ...values);
+        const ticks = this.getNiceTicks(min, max, 5);
+        const low = ticks[0];
+        const high = ticks[ticks.length - 1];
+        const span = high - low || 1;
+
+        return {
+            ticks: ticks,
+            toY: value => plot.top + plot.height - ((value - low) / span) * plot.height
+        };
+    },
+
+    // Round tick spacing to 1, 2, 5 x 10^n
+    getNiceTicks(min, max, count) {
+        if (min === max) {
+            max = min + 1;
+        }
+
+        const rawStep = (max - min) / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const residual = rawStep / magnitude;
+        const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+
+        const ticks = [];
+        for (let tick = Math.floor(min / step) * step; tick <= Math.ceil(max / step) * step + step / 2; tick += step) {
+            ticks.push(Number(tick.toFixed(10)));
+        }
+        return ticks;
+    },
+
+    // Format a value with an optional unit suffix (ms, %, /s ...)
+    formatValue(value, unit = '') {
+        const abs = Math.abs(value);
+        let text;
+        if (abs >= 1000000) text = `${(value / 1000000).toFixed(1)}M`;
+        else if (abs >= 10000) text = `${(value / 1000).toFixed(1)}k`;
+        else if (Number.isInteger(value)) text = String(value);
+        else text = value.toFixed(abs < 10 ? 2 : 1);
+
+        return unit ? `${text}${unit}` : text;
+    },
+
+    // Tooltip text for a data point; datasets may supply their own per point
+    getTooltip(chart, label, dataset, value, index) {
+        if (dataset.tooltips && dataset.tooltips[index]) {
+            return dataset.tooltips[index];
+        }
+
+        const series = dataset.label ? `${dataset.label} – ` : '';
+        return `${series}${label}: ${this.formatValue(value, chart.config.chartUnit)}`;
+    },
+
+    // Per-point color, then dataset color, then palette
+    getColor(dataset, seriesIndex, pointIndex) {
+        const paletteColor = this.palette[seriesIndex % this.palette.length];
+        if (pointIndex !== undefined && dataset.colors && dataset.colors[pointIndex]) {
+            return this.getSafeColor(dataset.colors[pointIndex], paletteColor);
+        }
+        return this.getSafeColor(dataset.color, paletteColor);
+    },
+
+    // A color from chart data when it matches colorPattern, else the fallback
+    getSafeColor(color, fallback) {
+        if (typeof color !== 'string') return fallback;
+
+        const value = color.trim();
+        return this.colorPattern.test(value) ? value : fallback;
+    },
+
+    // SMIL transition from the previous geometry to the new one
+    animate(attribute, from, to) {
+        if (from === to) return '';
+        return `<animate attributeName="${attribute}" from="${from}" to="${to}" dur="${this.animationDuration}" fill="freeze" calcMode="spline" keySplines="0.25 0.1 0.25 1" keyTimes="0;1"/>`;
+    },
+
+    // Show tooltips for any element carrying data-chart-tooltip
+    bindTooltips(chart) {
+        if (chart.container.dataset.chartTooltipsBound) return;
+        chart.container.dataset.chartTooltipsBound = 'true';
+
+        chart.container.addEventListener('mousemove', (event) => {
+            const tooltip = chart.container.querySelector('.chart-tooltip');
+            if (!tooltip) return;
+
+            const target = event.target.closest('[data-chart-tooltip]');
+            if (!target) {
+                tooltip.hidden = true;
+                return;
+            }
+
+            const bounds = chart.container.getBoundingClientRect();
+            tooltip.textContent = target.dataset.chartTooltip;
+            tooltip.style.left = `${event.clientX - bounds.left + 12}px`;
+            tooltip.style.top = `${event.clientY - bounds.top + 12}px`;
+            tooltip.hidden = false;
+        });
+
+        chart.container.addEventListener('mouseleave', () => {
+            const tooltip = chart.container.querySelector('.chart-tooltip');
+            if (tooltip) tooltip.hidden = true;
+        });
+    },
+
+    // Empty-state message inside the chart area
+    createEmptyChart(size, message) {
+        const { width, height } = size;
         return `
-            <rect width="${width}" height="${height}" fill="var(--bs-light)" stroke="var(--bs-border-color)" stroke-width="1" rx="8"/>
-            <text x="${width/2}" y="${height/2}" text-anchor="middle" dy="0.35em" 
-                  font-size="16" fill="var(--bs-secondary)">
-                Chart Placeholder
+            <rect width="${width}" height="${height}" fill="var(--bs-tertiary-bg)" stroke="var(--bs-border-color)" stroke-width="1" rx="8"/>
+            <text x="${width/2}" y="${height/2}" text-anchor="middle" dy="0.35em"
+                  font-size="16" fill="var(--bs-secondary-color)">
+                ${this.escape(message)}
             </text>
         `;
     },
 
-    // Update chart data
+    // Escape text for SVG/HTML markup
+    escape(value) {
+        return window.TaskListProcessor.Core.escapeHtml(value);
+    },
+
+    // Update chart data and re-render with animated transitions
     updateChart(chartId, newData) {
         const chart = this.charts[chartId];
         if (!chart) {
             console.warn(`Chart with ID ${chartId} not found`);
             return;
         }
-        
-        // In a real implementation, this would update the actual chart
-        console.log(`Updating chart ${chartId} with new data:`, newData);
-        
-        // Add a visual indicator that data has been updated
-        const container = chart.container;
-        container.style.opacity = '0.5';
-        setTimeout(() => {
-            container.style.opacity = '1';
-        }, 300);
+
+        chart.data = this.prepareData(chart, newData);
+        this.renderChart(chart);
     },
 
     // Destroy chart
     destroyChart(chartId) {
         const chart = this.charts[chartId];
         if (chart) {
+            if (chart.unbind) chart.unbind();
             chart.container.innerHTML = '';
             delete this.charts[chartId];
         }
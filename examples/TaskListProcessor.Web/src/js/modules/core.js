@@ -6,10 +6,28 @@
 // Create global namespace
 window.TaskListProcessor = window.TaskListProcessor || {};
 
+// Marks markup built by Core.html or Core.trustHtml; such values are inserted without escaping
+const trustedHtml = Symbol('trustedHtml');
+
 // Core functionality
 const Core = {
     // Private variables
     isInitialized: false,
+
+    // Registered commands by id: { id, title, group, icon, keys, run, when }
+    commands: new Map(),
+
+    // First step of a key sequence such as "g d", waiting for the next key
+    pendingChord: null,
+    pendingTimer: null,
+    sequenceTimeout: 1000,
+
+    // Registered components by name: { name, selector, mount, unmount }
+    components: new Map(),
+
+    // Components mounted on each element: Map of component name -> value returned by mount
+    mountedComponents: new WeakMap(),
+    componentObserver: null,
     
     // Initialize the application
     init() {
@@ -17,7 +35,9 @@ const Core = {
         
         this.setupGlobalHandlers();
         this.enhanceAccessibility();
-        this.initializeTooltips();
+        this.registerDefaultCommands();
+        this.registerBootstrapComponents();
+        this.observeComponents();
         this.isInitialized = true;
         
         console.log('TaskListProcessor Web Core initialized');
@@ -86,21 +106,431 @@ const Core = {
                     const modal = bootstrap.Modal.getInstance(openModal);
                     if (modal) modal.hide();
                 }
+                return;
             }
+
+            Core.handleShortcut(event);
+        });
+    },
+
+    // Register a command for the shortcut registry and the command palette.
+    // keys: chord or list of chords ("mod+k", "shift+?", sequences like "g d"); "mod" is Ctrl or Cmd.
+    // when: optional predicate; unavailable commands are hidden and their keys pass through.
+    registerCommand(command) {
+        if (!command || !command.id || typeof command.run !== 'function') {
+            throw new Error('A command needs an id and a run function');
+        }
+
+        const keys = [].concat(command.keys || []).map(chord => this.normalizeChord(chord));
+        this.commands.set(command.id, {
+            group: 'General',
+            icon: 'bi-lightning',
+            ...command,
+            keys: keys
         });
     },
 
-    // Initialize Bootstrap tooltips
-    initializeTooltips() {
-        const tooltipTriggerList = document.querySelectorAll('[data-bs-toggle="tooltip"]');
-        const tooltipList = [...tooltipTriggerList].map(tooltipTriggerEl => 
-            new bootstrap.Tooltip(tooltipTriggerEl)
-        );
+    // Remove a registered command
+    unregisterCommand(id) {
+        return this.commands.delete(id);
+    },
+
+    // Registered commands, optionally only those currently available
+    getCommands(availableOnly = false) {
+        return Array.from(this.commands.values())
+            .filter(command => !availableOnly || this.isCommandAvailable(command));
+    },
+
+    // Whether a command can run right now
+    isCommandAvailable(command) {
+        try {
+            return typeof command.when !== 'function' || Boolean(command.when());
+        } catch (error) {
+            return false;
+        }
+    },
+
+    // Run a command by id. Returns false when it is unknown or unavailable.
+    runCommand(id) {
+        const command = this.commands.get(id);
+        if (!command || !this.isCommandAvailable(command)) return false;
+
+        command.run();
+        return true;
+    },
+
+    // Commands every page has; modules and views register their own
+    registerDefaultCommands() {
+        const clickTarget = (name) => () => this.getCommandTarget(name).click();
+        const hasTarget = (name) => () => this.getCommandTarget(name) !== null;
+        const navigate = (url) => () => { window.location.href = url; };
+
+        this.registerCommand({
+            id: 'core.palette', title: 'Show command palette', group: 'General',
+            icon: 'bi-command', keys: 'mod+shift+p', run: () => this.openCommandPalette()
+        });
+        this.registerCommand({
+            id: 'core.shortcuts', title: 'Show keyboard shortcuts', group: 'General',
+            icon: 'bi-keyboard', keys: ['shift+?', '?'], run: () => this.showShortcutHelp()
+        });
+
+        this.registerCommand({
+            id: 'processing.start', title: 'Start processing', group: 'Processing',
+            icon: 'bi-play-fill', keys: 'p',
+            run: clickTarget('processing.start'), when: hasTarget('processing.start')
+        });
+        this.registerCommand({
+            id: 'streaming.start', title: 'Start streaming', group: 'Processing',
+            icon: 'bi-broadcast', keys: 's',
+            run: clickTarget('streaming.start'), when: hasTarget('streaming.start')
+        });
+
+        this.registerCommand({
+            id: 'navigate.home', title: 'Go to Home', group: 'Navigation',
+            icon: 'bi-house', keys: 'g h', run: navigate('/')
+        });
+        this.registerCommand({
+            id: 'navigate.demo', title: 'Go to Live Demo', group: 'Navigation',
+            icon: 'bi-play-circle', keys: 'g l', run: navigate('/Home/Demo')
+        });
+        this.registerCommand({
+            id: 'navigate.docs', title: 'Go to Docs', group: 'Navigation',
+            icon: 'bi-folder-tree', keys: 'g d', run: navigate('/Docs')
+        });
+        this.registerCommand({
+            id: 'navigate.api', title: 'Go to API Docs', group: 'Navigation',
+            icon: 'bi-book', keys: 'g a', run: navigate('/Home/Documentation')
+        });
+    },
+
+    // Enabled element marked data-command="name" on the current page.
+    // Views hide the button of the scenario that is not selected with style.display.
+    getCommandTarget(name) {
+        const target = document.querySelector(`[data-command="${name}"]`);
+        if (!target || target.disabled || target.hidden || target.style.display === 'none') return null;
+        return target;
+    },
+
+    // Match a keydown against the registered chords and sequences
+    handleShortcut(event) {
+        if (event.defaultPrevented || event.isComposing) return;
+        if (['Control', 'Shift', 'Alt', 'Meta'].includes(event.key)) return;
+
+        const chord = this.getEventChord(event);
+        const typing = this.isTypingTarget(event.target) || document.querySelector('.modal.show') !== null;
+        const candidates = this.pendingChord ? [`${this.pendingChord} ${chord}`, chord] : [chord];
+        this.clearPendingChord();
+
+        for (const candidate of candidates) {
+            // Plain keys are left to inputs and open modals; chords with Ctrl/Cmd/Alt work everywhere
+            if (typing && !/^(mod|alt)\+/.test(candidate)) return;
+
+            const commands = this.getCommands(true);
+            const command = commands.find(item => item.keys.includes(candidate));
+            if (command) {
+                event.preventDefault();
+                command.run();
+                return;
+            }
+
+            if (commands.some(item => item.keys.some(keys => keys.startsWith(`${candidate} `)))) {
+                event.preventDefault();
+                this.pendingChord = candidate;
+                this.pendingTimer = setTimeout(() => this.clearPendingChord(), this.sequenceTimeout);
+                return;
+            }
+        }
+    },
+
+    // Forget a half-typed key sequence
+    clearPendingChord() {
+        clearTimeout(this.pendingTimer);
+        this.pendingChord = null;
+        this.pendingTimer = null;
+    },
+
+    // Whether keys typed at the target belong to a form field
+    isTypingTarget(target) {
+        return Boolean(target && target.closest &&
+            (target.closest('input, textarea, select') || target.isContentEditable));
+    },
+
+    // Chord string for a keydown: modifiers in the order mod, alt, shift, then the key
+    getEventChord(event) {
+        const key = event.key === ' ' ? 'space' : event.key.toLowerCase();
+        const parts = [];
+        if (event.ctrlKey || event.metaKey) parts.push('mod');
+        if (event.altKey) parts.push('alt');
+        if (event.shiftKey) parts.push('shift');
+        parts.push(key);
+        return parts.join('+');
+    },
+
+    // Normalize a chord written by hand ("Ctrl+Shift+P", "g d") to the getEventChord form
+    normalizeChord(chord) {
+        const aliases = { ctrl: 'mod', cmd: 'mod', meta: 'mod', control: 'mod', option: 'alt' };
+        const order = ['mod', 'alt', 'shift'];
+
+        return String(chord).trim().toLowerCase().split(/\s+/).map(step => {
+            const parts = step.split('+').filter(Boolean).map(part => aliases[part] || part);
+            const modifiers = order.filter(modifier => parts.includes(modifier));
+            const key = parts.filter(part => !order.includes(part)).pop() || '';
+            return [...modifiers, key].join('+');
+        }).join(' ');
+    },
+
+    // Readable chord markup, e.g. "mod+shift+p" -> Ctrl + Shift + P (⌘ on macOS)
+    formatChord(chord) {
+        const isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+        const labels = { mod: isMac ? '⌘' : 'Ctrl', alt: isMac ? '⌥' : 'Alt', shift: 'Shift', space: 'Space' };
+
+        const steps = chord.split(' ').map(step => step.split('+')
+            .filter((part, index, parts) => !(part === 'shift' && parts[index + 1] === '?'))
+            .map(part => this.html`<kbd>${labels[part] || (part.length === 1 ? part.toUpperCase() : part)}</kbd>`)
+            .join(' + '));
+
+        return this.trustHtml(steps.join(' <span class="text-muted small">then</span> '));
+    },
+
+    // Command palette: filter the available commands and run one
+    openCommandPalette() {
+        const element = this.getModal('commandPaletteModal', `
+            <div class="modal-dialog modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header gap-2">
+                        <i class="bi bi-command text-muted"></i>
+                        <input type="search" class="form-control border-0 shadow-none" data-palette-input
+                               placeholder="Type a command..." autocomplete="off" spellcheck="false"
+                               aria-label="Command">
+                        <kbd>Esc</kbd>
+                    </div>
+                    <div class="modal-body p-0">
+                        <div class="list-group list-group-flush" data-palette-list role="listbox"></div>
+                    </div>
+                </div>
+            </div>
+        `, 'command-palette');
+
+        const input = element.querySelector('[data-palette-input]');
+        const list = element.querySelector('[data-palette-list]');
+
+        if (!element.dataset.paletteBound) {
+            element.dataset.paletteBound = 'true';
+
+            const render = () => {
+                const words = input.value.toLowerCase().split(/\s+/).filter(Boolean);
+                const commands = this.getCommands(true)
+                    .filter(command => words.every(word =>
+                        `${command.title} ${command.group}`.toLowerCase().includes(word)));
+
+                list.innerHTML = commands.length === 0
+                    ? '<div class="p-3 text-center text-muted small">No matching commands</div>'
+                    : this.html`${commands.map((command, index) => this.html`
+                        <button type="button" class="list-group-item list-group-item-action d-flex align-items-center gap-2 ${index === 0 ? 'active' : ''}"
+                                role="option" data-command-id="${command.id}">
+                            <i class="bi ${command.icon}"></i>
+                            <span class="flex-grow-1">${command.title}</span>
+                            <small class="text-muted">${command.keys.length > 0 && this.formatChord(command.keys[0])}</small>
+                        </button>
+                    `)}`;
+            };
+
+            const select = (step) => {
+                const items = Array.from(list.querySelectorAll('[data-command-id]'));
+                if (items.length === 0) return;
+                const current = items.findIndex(item => item.classList.contains('active'));
+                const next = (current + step + items.length) % items.length;
+                items.forEach((item, index) => item.classList.toggle('active', index === next));
+                items[next].scrollIntoView({ block: 'nearest' });
+            };
+
+            const run = (item) => {
+                if (!item) return;
+                bootstrap.Modal.getInstance(element).hide();
+                this.runCommand(item.dataset.commandId);
+            };
+
+            input.addEventListener('input', render);
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                    event.preventDefault();
+                    select(event.key === 'ArrowDown' ? 1 : -1);
+                } else if (event.key === 'Enter') {
+                    event.preventDefault();
+                    run(list.querySelector('[data-command-id].active'));
+                }
+            });
+            list.addEventListener('click', (event) => run(event.target.closest('[data-command-id]')));
+            element.addEventListener('show.bs.modal', render);
+        }
+
+        input.value = '';
+        bootstrap.Modal.getOrCreateInstance(element).show();
+    },
+
+    // "?" overlay listing every registered binding by group
+    showShortcutHelp() {
+        const groups = new Map();
+        this.getCommands()
+            .filter(command => command.keys.length > 0)
+            .forEach(command => {
+                if (!groups.has(command.group)) groups.set(command.group, []);
+                groups.get(command.group).push(command);
+            });
+
+        const element = this.getModal('shortcutHelpModal', `
+            <div class="modal-dialog modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-keyboard me-2"></i>Keyboard Shortcuts</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body" data-shortcut-list></div>
+                </div>
+            </div>
+        `);
+
+        element.querySelector('[data-shortcut-list]').innerHTML = this.html`${Array.from(groups.entries()).map(([group, commands]) => this.html`
+            <h6 class="text-muted text-uppercase small mt-2">${group}</h6>
+            <table class="table table-sm align-middle mb-3">
+                <tbody>
+                    ${commands.map(command => this.html`
+                        <tr class="${this.isCommandAvailable(command) ? '' : 'text-muted'}">
+                            <td>${command.title}</td>
+                            <td class="text-end text-nowrap">${command.keys.map((keys, index) => this.html`${index > 0 && this.trustHtml(' <span class="text-muted small">or</span> ')}${this.formatChord(keys)}`)}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        `)}`;
+
+        bootstrap.Modal.getOrCreateInstance(element).show();
+    },
+
+    // Create a modal shell once and reuse it
+    getModal(id, html, className = '') {
+        let element = document.getElementById(id);
+        if (!element) {
+            element = document.createElement('div');
+            element.className = `modal fade ${className}`.trim();
+            element.id = id;
+            element.tabIndex = -1;
+            element.setAttribute('aria-hidden', 'true');
+            element.innerHTML = html;
+            document.body.appendChild(element);
+        }
+        return element;
     },
 
-    // Show loading state
-    showLoading(element) {
-        const button = element.querySelector('button[type="submit"]');
+    // Register a component. mount(element) runs for every element matching selector, both on
+    // the page now and inserted later; its return value is passed to unmount(element, state)
+    // once the element leaves the document.
+    registerComponent(component) {
+        if (!component || !component.name || !component.selector || typeof component.mount !== 'function') {
+            throw new Error('A component needs a name, a selector and a mount function');
+        }
+
+        this.components.set(component.name, component);
+
+        if (this.componentObserver) {
+            this.mountComponents(document.body, [component]);
+        } else if (document.readyState !== 'loading') {
+            this.observeComponents();
+        }
+    },
+
+    // Mount the registered components on the page and watch for inserted and removed elements
+    observeComponents() {
+        if (this.componentObserver || !document.body) return;
+
+        this.componentObserver = new MutationObserver(mutations => this.handleComponentMutations(mutations));
+        this.componentObserver.observe(document.body, { childList: true, subtree: true });
+        this.mountComponents(document.body);
+    },
+
+    // Removals are handled first and only for nodes that left the document, so an element
+    // moved within the page (as when a code block is wrapped) keeps its mounted components
+    handleComponentMutations(mutations) {
+        mutations.forEach(mutation => mutation.removedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+                this.unmountComponents(node);
+            }
+        }));
+
+        mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+                this.mountComponents(node);
+            }
+        }));
+    },
+
+    // Mount components on root and its descendants; an element is mounted at most once per component
+    mountComponents(root, components = this.components.values()) {
+        for (const component of components) {
+            this.findComponentElements(root, component.selector).forEach(element => {
+                let mounted = this.mountedComponents.get(element);
+                if (mounted && mounted.has(component.name)) return;
+
+                try {
+                    const state = component.mount(element);
+                    if (!mounted) {
+                        mounted = new Map();
+                        this.mountedComponents.set(element, mounted);
+                    }
+                    mounted.set(component.name, state);
+                } catch (error) {
+                    console.error(`Component ${component.name} failed to mount:`, error);
+                }
+            });
+        }
+    },
+
+    // Run the teardown hooks of every component mounted on root and its descendants
+    unmountComponents(root) {
+        for (const component of this.components.values()) {
+            this.findComponentElements(root, component.selector).forEach(element => {
+                const mounted = this.mountedComponents.get(element);
+                if (!mounted || !mounted.has(component.name)) return;
+
+                const state = mounted.get(component.name);
+                mounted.delete(component.name);
+
+                if (typeof component.unmount === 'function') {
+                    try {
+                        component.unmount(element, state);
+                    } catch (error) {
+                        console.error(`Component ${component.name} failed to unmount:`, error);
+                    }
+                }
+            });
+        }
+    },
+
+    // root itself (when it matches) followed by its matching descendants
+    findComponentElements(root, selector) {
+        const elements = Array.from(root.querySelectorAll(selector));
+        if (root.matches && root.matches(selector)) {
+            elements.unshift(root);
+        }
+        return elements;
+    },
+
+    // Bootstrap tooltips and popovers, including ones rendered after page load
+    registerBootstrapComponents() {
+        [['tooltip', bootstrap.Tooltip], ['popover', bootstrap.Popover]].forEach(([name, Component]) => {
+            this.registerComponent({
+                name: name,
+                selector: `[data-bs-toggle="${name}"]`,
+                mount: element => Component.getOrCreateInstance(element),
+                unmount: (element, instance) => instance.dispose()
+            });
+        });
+    },
+
+    // Show loading state on a button, or on the submit button of a form.
+    // options.onCancel adds a Cancel button next to the spinner that calls it.
+    showLoading(element, options = {}) {
+        const button = this.getLoadingButton(element);
         if (button) {
             const originalText = button.innerHTML;
             button.innerHTML = '<i class="bi bi-arrow-clockwise animate-spin"></i> Loading...';
@@ -108,53 +538,54 @@ const Core = {
             
             // Store original text for later restoration
             button.dataset.originalText = originalText;
+
+            if (typeof options.onCancel === 'function' && !this.getCancelButton(button)) {
+                button.insertAdjacentHTML('afterend', `
+                    <button type="button" class="btn btn-outline-danger" data-loading-cancel>
+                        <i class="bi bi-x-circle me-2"></i>Cancel
+                    </button>
+                `);
+                const cancelButton = this.getCancelButton(button);
+                cancelButton.addEventListener('click', () => {
+                    cancelButton.disabled = true;
+                    options.onCancel();
+                }, { once: true });
+            }
         }
     },
 
     // Hide loading state
     hideLoading(element) {
-        const button = element.querySelector('button[type="submit"]');
+        const button = this.getLoadingButton(element);
         if (button && button.dataset.originalText) {
             button.innerHTML = button.dataset.originalText;
             button.disabled = false;
             delete button.dataset.originalText;
         }
-    },
 
-    // Show notification
-    showNotification(message, type = 'info', duration = 5000) {
-        // Create toast element
-        const toastHtml = `
-            <div class="toast align-items-center text-bg-${type} border-0" role="alert" aria-live="assertive" aria-atomic="true">
-                <div class="d-flex">
-                    <div class="toast-body">
-                        <i class="bi bi-${this.getIconForType(type)} me-2"></i>
-                        ${message}
-                    </div>
-                    <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast" aria-label="Close"></button>
-                </div>
-            </div>
-        `;
-
-        // Get or create toast container
-        let toastContainer = document.querySelector('.toast-container');
-        if (!toastContainer) {
-            toastContainer = document.createElement('div');
-            toastContainer.className = 'toast-container position-fixed top-0 end-0 p-3';
-            document.body.appendChild(toastContainer);
+        const cancelButton = button && this.getCancelButton(button);
+        if (cancelButton) {
+            cancelButton.remove();
         }
+    },
 
-        // Add toast to container
-        toastContainer.insertAdjacentHTML('beforeend', toastHtml);
-        const toastElement = toastContainer.lastElementChild;
-        const toast = new bootstrap.Toast(toastElement, { delay: duration });
-        
-        toast.show();
+    // The button that shows the loading spinner for an element
+    getLoadingButton(element) {
+        if (!element) return null;
+        return element.matches('button') ? element : element.querySelector('button[type="submit"]');
+    },
 
-        // Remove element after it's hidden
-        toastElement.addEventListener('hidden.bs.toast', function() {
-            this.remove();
-        });
+    // Cancel button added by showLoading, if any
+    getCancelButton(button) {
+        const next = button.nextElementSibling;
+        return next && next.matches('[data-loading-cancel]') ? next : null;
+    },
+
+    // Show notification through the notification center (notifications.js).
+    // Errors ('danger' or 'error') stay until dismissed by default.
+    // options: duration in ms, or { duration, persistent, key, actions }
+    showNotification(message, type = 'info', options = {}) {
+        return window.TaskListProcessor.Notifications.notify(message, type, options);
     },
 
     // Get icon for notification type
@@ -170,6 +601,53 @@ const Core = {
         return icons[type] || 'info-circle-fill';
     },
 
+    // Utility: Escape a value for use in HTML text and quoted attributes
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    // Utility: Tagged template that escapes every interpolated value:
+    //   element.innerHTML = Core.html`<span title="${name}">${message}</span>`;
+    // Arrays are joined, null/undefined/false render nothing, and nested html`` or
+    // trustHtml() results are inserted as markup.
+    html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, index) => {
+            markup += Core.renderHtmlValue(value) + strings[index + 1];
+        });
+        return Core.trustHtml(markup);
+    },
+
+    // Utility: Mark a string as trusted markup for html``. Only for markup the code builds
+    // itself (constants, already escaped output), never for server or user data.
+    trustHtml(markup) {
+        return {
+            [trustedHtml]: true,
+            markup: String(markup ?? ''),
+            toString() {
+                return this.markup;
+            }
+        };
+    },
+
+    // Utility: Whether a value came from html`` or trustHtml()
+    isTrustedHtml(value) {
+        return Boolean(value && value[trustedHtml]);
+    },
+
+    // One interpolated html`` value as markup
+    renderHtmlValue(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (Array.isArray(value)) return value.map(item => Core.renderHtmlValue(item)).join('');
+        if (Core.isTrustedHtml(value)) return value.markup;
+        return Core.escapeHtml(value);
+    },
+
     // Utility: Debounce function
     debounce(func, wait, immediate) {
         let timeout;
@@ -185,6 +663,16 @@ const Core = {
         };
     },
 
+    // Utility: Read a view-model property from either JSON casing.
+    // ProcessTasks serializes PascalCase, the streaming endpoints camelCase.
+    getProperty(source, name) {
+        if (!source || typeof source !== 'object') return undefined;
+
+        const camel = name.charAt(0).toLowerCase() + name.slice(1);
+        const pascal = name.charAt(0).toUpperCase() + name.slice(1);
+        return source[camel] !== undefined ? source[camel] : source[pascal];
+    },
+
     // Utility: Throttle function
     throttle(func, limit) {
         let inThrottle;
@@ -0,0 +1,552 @@
+/**
+ * TaskListProcessor Web - Dashboard Module
+ * Multi-run streaming dashboard: several streaming runs side by side, each with its own
+ * configuration, status, progress and live results, under a combined throughput header
+ */
+
+const Dashboard = {
+    // City sets handed to new runs in turn
+    citySets: [
+        ['London', 'Paris'],
+        ['New York', 'Tokyo', 'Sydney'],
+        ['Chicago', 'Dallas', 'Rome'],
+        ['Houston', 'Boston', 'Miami', 'Denver'],
+        ['Phoenix', 'Portland', 'Atlanta', 'Detroit', 'Las Vegas', 'Wichita']
+    ],
+
+    // Runs a dashboard starts with unless data-dashboard-runs says otherwise, and the most it allows
+    defaultRuns: 3,
+    maxRuns: 12,
+
+    // The header samples aggregate throughput this often while runs are active, keeping this many values
+    sampleInterval: 1000,
+    historyLength: 60,
+
+    // Run statuses with their badge colors
+    statuses: {
+        idle: { label: 'Idle', color: 'secondary' },
+        running: { label: 'Running', color: 'primary' },
+        completed: { label: 'Completed', color: 'success' },
+        failed: { label: 'Failed', color: 'danger' },
+        cancelled: { label: 'Cancelled', color: 'warning' }
+    },
+
+    // Dashboards by element: { element, slots, samples, timer, frame, unbind }
+    dashboards: new WeakMap(),
+    nextId: 1,
+
+    isInitialized: false,
+
+    // Initialize dashboard module
+    init() {
+        if (this.isInitialized) return;
+
+        // data-streaming-dashboard elements become a dashboard (initial run count from data-dashboard-runs)
+        window.TaskListProcessor.Core.registerComponent({
+            name: 'streaming-dashboard',
+            selector: '[data-streaming-dashboard]',
+            mount: element => this.create(element, { runs: element.dataset.dashboardRuns }),
+            unmount: (element, dashboard) => {
+                if (dashboard) this.destroy(dashboard);
+            }
+        });
+
+        this.isInitialized = true;
+        console.log('Dashboard module initialized');
+    },
+
+    // Render a dashboard into element. options.runs = number of run panels to start with
+    create(element, options = {}) {
+        const dashboard = {
+            element: element,
+            slots: new Map(),
+            samples: [],
+            timer: null,
+            frame: null,
+            unbind: null
+        };
+        this.dashboards.set(element, dashboard);
+
+        element.classList.add('streaming-dashboard');
+        element.innerHTML = this.renderShell();
+        this.bindControls(dashboard);
+
+        const count = Math.min(Math.max(parseInt(options.runs, 10) || this.defaultRuns, 1), this.maxRuns);
+        for (let i = 0; i < count; i++) {
+            this.addSlot(dashboard);
+        }
+        this.renderHeader(dashboard);
+
+        return dashboard;
+    },
+
+    // Cancel the dashboard's runs and stop listening
+    destroy(dashboard) {
+        dashboard.slots.forEach(slot => {
+            this.stopSlot(slot);
+            slot.unbind();
+        });
+        dashboard.slots.clear();
+        dashboard.unbind();
+        clearInterval(dashboard.timer);
+        if (dashboard.frame) cancelAnimationFrame(dashboard.frame);
+        this.dashboards.delete(dashboard.element);
+    },
+
+    // Combined header and the run grid
+    renderShell() {
+        const { html } = window.TaskListProcessor.Core;
+        const cards = [
+            { key: 'runs', label: 'Active runs' },
+            { key: 'tasks', label: 'Tasks completed' },
+            { key: 'throughput', label: 'Aggregate throughput' },
+            { key: 'success', label: 'Success rate' }
+        ];
+
+        return html`
+            <div class="card mb-3">
+                <div class="card-body">
+                    <div class="d-flex flex-wrap align-items-center gap-2 mb-3">
+                        <h5 class="mb-0 me-auto"><i class="bi bi-grid-3x3-gap me-2"></i>Concurrent Streaming Runs</h5>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-dashboard-action="add">
+                            <i class="bi bi-plus-lg me-1"></i>Add run
+                        </button>
+                        <button type="button" class="btn btn-sm btn-success" data-dashboard-action="start-all">
+                            <i class="bi bi-play-fill me-1"></i>Start all
+                        </button>
+                        <button type="button" class="btn btn-sm btn-outline-danger" data-dashboard-action="stop-all">
+                            <i class="bi bi-stop-fill me-1"></i>Stop all
+                        </button>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-dashboard-action="reset">
+                            <i class="bi bi-arrow-counterclockwise me-1"></i>Reset
+                        </button>
+                    </div>
+                    <div class="row g-3">
+                        ${cards.map(card => html`
+                            <div class="col-sm-6 col-xl-3">
+                                <div class="card h-100 metric-card" data-dashboard-metric="${card.key}">
+                                    <div class="card-body">
+                                        <small class="text-muted">${card.label}</small>
+                                        <div class="metric-value h3 mb-1" data-dashboard-value>—</div>
+                                        <small class="text-muted" data-dashboard-detail></small>
+                                    </div>
+                                </div>
+                            </div>
+                        `)}
+                    </div>
+                </div>
+            </div>
+            <div class="row g-3" data-dashboard-runs></div>
+        `;
+    },
+
+    // One run panel: configuration, controls and the streaming container its results render into
+    renderSlot(slot, cities) {
+        const { html } = window.TaskListProcessor.Core;
+        const limits = window.TaskListProcessor.Api.limits.maxConcurrentTasks;
+        const transports = window.TaskListProcessor.Transports;
+        const transport = transports.getDefault();
+        const id = slot.containerId;
+
+        return html`
+            <div class="card h-100 dashboard-run">
+                <div class="card-header d-flex align-items-center gap-2 py-2">
+                    <strong>Run ${slot.number}</strong>
+                    <span class="badge text-bg-secondary" data-run-status>Idle</span>
+                    <small class="text-muted ms-auto" data-run-stats></small>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-dashboard-action="remove"
+                            aria-label="Remove run ${slot.number}" title="Remove run">
+                        <i class="bi bi-x-lg"></i>
+                    </button>
+                </div>
+                <div class="card-body">
+                    <div class="row g-2 mb-2">
+                        <div class="col-12">
+                            <label class="form-label small mb-1" for="${id}-cities">Cities</label>
+                            <input type="text" class="form-control form-control-sm" id="${id}-cities"
+                                   data-run-field="cities" value="${cities.join(', ')}">
+                        </div>
+                        <div class="col-6">
+                            <label class="form-label small mb-1" for="${id}-concurrency">Max concurrent</label>
+                            <input type="number" class="form-control form-control-sm" id="${id}-concurrency"
+                                   data-run-field="concurrency" min="${limits.min}" max="${limits.max}" value="8">
+                        </div>
+                        <div class="col-6">
+                            <label class="form-label small mb-1" for="${id}-transport">Transport</label>
+                            <select class="form-select form-select-sm" id="${id}-transport" data-run-field="transport">
+                                ${Object.keys(transports.adapters).map(name => html`
+                                    <option value="${name}"${name === transport && html` selected`}>${name}</option>
+                                `)}
+                            </select>
+                        </div>
+                    </div>
+                    <div class="d-flex gap-2 mb-2">
+                        <button type="button" class="btn btn-sm btn-success" data-dashboard-action="start">
+                            <i class="bi bi-play-fill me-1"></i>Start
+                        </button>
+                        <button type="button" class="btn btn-sm btn-outline-danger" data-dashboard-action="stop" disabled>
+                            <i class="bi bi-stop-fill me-1"></i>Stop
+                        </button>
+                    </div>
+                    <div id="${id}" class="dashboard-run-stream" data-streaming="dashboard">
+                        <div class="mb-2" data-run-progress></div>
+                        <div class="dashboard-run-results" data-run-results>
+                            <p class="text-muted small mb-0">Not started</p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    // Header buttons, per-run buttons and run outcomes
+    bindControls(dashboard) {
+        const onClick = (event) => {
+            const button = event.target.closest('[data-dashboard-action]');
+            if (!button || !dashboard.element.contains(button)) return;
+
+            const panel = button.closest('[data-dashboard-run]');
+            const slot = panel && dashboard.slots.get(panel.dataset.dashboardRun);
+
+            switch (button.dataset.dashboardAction) {
+                case 'add':
+                    this.addSlot(dashboard);
+                    break;
+                case 'start-all':
+                    this.startAll(dashboard);
+                    break;
+                case 'stop-all':
+                    dashboard.slots.forEach(item => this.stopSlot(item));
+                    break;
+                case 'reset':
+                    this.reset(dashboard);
+                    break;
+                case 'start':
+                    if (slot) this.startSlot(dashboard, slot);
+                    break;
+                case 'stop':
+                    if (slot) this.stopSlot(slot);
+                    break;
+                case 'remove':
+                    if (slot) this.removeSlot(dashboard, slot);
+                    break;
+            }
+        };
+
+        // Runs end through the Runs module whether they complete, fail or are cancelled
+        const onRunFinished = (event) => {
+            const slot = dashboard.slots.get(event.detail.containerId);
+            if (slot && slot.status === 'running') {
+                this.finishSlot(dashboard, slot, event.detail);
+            }
+        };
+
+        dashboard.element.addEventListener('click', onClick);
+        document.addEventListener('run-finished', onRunFinished);
+        dashboard.unbind = () => {
+            dashboard.element.removeEventListener('click', onClick);
+            document.removeEventListener('run-finished', onRunFinished);
+        };
+    },
+
+    // Add a run panel with the next city set
+    addSlot(dashboard) {
+        if (dashboard.slots.size >= this.maxRuns) {
+            window.TaskListProcessor.showNotification(`A dashboard runs at most ${this.maxRuns} streams`, 'warning');
+            return null;
+        }
+
+        const number = this.nextId++;
+        const slot = {
+            number: number,
+            containerId: `dashboard-run-${number}`,
+            panel: document.createElement('div'),
+            status: 'idle',
+            run: null,
+            config: null,
+            startedAt: null,
+            endedAt: null,
+            completed: 0,
+            successful: 0,
+            total: 0,
+            unbind: null
+        };
+
+        slot.panel.className = 'col-md-6 col-xxl-4';
+        slot.panel.dataset.dashboardRun = slot.containerId;
+        slot.panel.innerHTML = this.renderSlot(slot, this.citySets[(number - 1) % this.citySets.length]);
+        dashboard.element.querySelector('[data-dashboard-runs]').appendChild(slot.panel);
+        dashboard.slots.set(slot.containerId, slot);
+
+        // Frames arrive on the slot's streaming container
+        const container = document.getElementById(slot.containerId);
+        const onData = (event) => this.updateSlot(dashboard, slot, event.detail);
+        container.addEventListener('streaming-data', onData);
+        slot.unbind = () => container.removeEventListener('streaming-data', onData);
+
+        this.renderHeader(dashboard);
+        return slot;
+    },
+
+    // Cancel a run panel's stream and remove it
+    removeSlot(dashboard, slot) {
+        this.stopSlot(slot);
+        slot.unbind();
+        slot.panel.remove();
+        dashboard.slots.delete(slot.containerId);
+        this.renderHeader(dashboard);
+    },
+
+    // Read a panel's configuration as Api.buildConfiguration input
+    readSlotConfig(slot) {
+        const field = name => slot.panel.querySelector(`[data-run-field="${name}"]`);
+
+        return {
+            input: {
+                Scenario: 'StreamingDemo',
+                SelectedCities: field('cities').value.split(',').map(city => city.trim()).filter(Boolean),
+                MaxConcurrentTasks: field('concurrency').value
+            },
+            transport: field('transport').value
+        };
+    },
+
+    // Start every panel that is not already streaming
+    startAll(dashboard) {
+        dashboard.slots.forEach(slot => {
+            if (slot.status !== 'running') this.startSlot(dashboard, slot);
+        });
+    },
+
+    // Stream a panel's configuration as a cancellable run
+    startSlot(dashboard, slot) {
+        if (slot.status === 'running') return;
+
+        // A new batch of runs starts a fresh throughput history
+        if (!this.isRunning(dashboard)) {
+            dashboard.samples = [];
+        }
+
+        const { input, transport } = this.readSlotConfig(slot);
+        const Results = window.TaskListProcessor.Results;
+        const results = slot.panel.querySelector('[data-run-results]');
+
+        Results.clear(results);
+        results.innerHTML = '<p class="text-muted small mb-0">Starting streaming...</p>';
+
+        Object.assign(slot, {
+            status: 'running',
+            run: null,
+            config: input,
+            startedAt: Date.now(),
+            endedAt: null,
+            completed: 0,
+            successful: 0,
+            total: input.SelectedCities.length * 2
+        });
+        this.renderSlotStatus(slot);
+        this.startSampling(dashboard);
+
+        // Invalid input still goes through run-finished, which marks the panel failed
+        try {
+            slot.run = window.TaskListProcessor.Runs.streamTasks(slot.containerId, input, {
+                label: `Dashboard run ${slot.number}`,
+                transport: transport,
+                notify: false,
+                progress: slot.panel.querySelector('[data-run-progress]')
+            });
+            slot.config = slot.run.config;
+        } catch (error) {
+            console.warn(`Dashboard run ${slot.number} could not start:`, error);
+        }
+    },
+
+    // Cancel a panel's run; run-finished then marks it cancelled
+    stopSlot(slot) {
+        if (slot.status === 'running' && slot.run) {
+            window.TaskListProcessor.Runs.cancel(slot.run.id);
+        }
+    },
+
+    // Cancel everything and return every panel to idle
+    reset(dashboard) {
+        const Results = window.TaskListProcessor.Results;
+
+        dashboard.slots.forEach(slot => {
+            this.stopSlot(slot);
+            Object.assign(slot, { status: 'idle', run: null, startedAt: null, endedAt: null, completed: 0, successful: 0, total: 0 });
+
+            const results = slot.panel.querySelector('[data-run-results]');
+            Results.clear(results);
+            results.innerHTML = '<p class="text-muted small mb-0">Not started</p>';
+            slot.panel.querySelector('[data-run-progress]').innerHTML = '';
+            this.renderSlotStatus(slot);
+        });
+
+        dashboard.samples = [];
+        this.renderHeader(dashboard);
+    },
+
+    // Render a streamed frame into the panel and count its tasks
+    updateSlot(dashboard, slot, payload) {
+        if (slot.status !== 'running' || !payload) return;
+
+        const Results = window.TaskListProcessor.Results;
+        const telemetry = Results.get(payload, 'DetailedTelemetry') || [];
+        const summary = Results.get(payload, 'TelemetrySummary');
+
+        slot.completed = telemetry.length;
+        slot.successful = summary
+            ? Number(Results.get(summary, 'SuccessfulTasks')) || 0
+            : telemetry.filter(task => Results.get(task, 'IsSuccessful')).length;
+
+        // Progress and ETA are drawn by the Progress tracker the run was started with
+        Results.update(slot.panel.querySelector('[data-run-results]'), payload, {
+            progress: false,
+            config: slot.config
+        });
+        this.renderSlotStatus(slot);
+        this.scheduleHeader(dashboard);
+    },
+
+    // Record how a panel's run ended
+    finishSlot(dashboard, slot, run) {
+        slot.status = run.status;
+        slot.endedAt = run.endedAt || Date.now();
+
+        const results = slot.panel.querySelector('[data-run-results]');
+        if (run.status === 'cancelled') {
+            window.TaskListProcessor.Results.markCancelled(results);
+        } else if (run.status === 'failed') {
+            const message = run.error && run.error.message ? run.error.message : 'Streaming run failed';
+            results.insertAdjacentHTML('afterbegin', window.TaskListProcessor.Core.html`
+                <div class="alert alert-danger small py-2" role="alert">
+                    <i class="bi bi-exclamation-triangle me-1"></i>${message}
+                </div>
+            `);
+        }
+
+        this.renderSlotStatus(slot);
+        if (!this.isRunning(dashboard)) {
+            this.sample(dashboard);
+            clearInterval(dashboard.timer);
+            dashboard.timer = null;
+        }
+        this.renderHeader(dashboard);
+    },
+
+    // Badge, throughput and buttons of a panel
+    renderSlotStatus(slot) {
+        const status = this.statuses[slot.status];
+        const badge = slot.panel.querySelector('[data-run-status]');
+        badge.className = `badge text-bg-${status.color}`;
+        badge.textContent = status.label;
+
+        const running = slot.status === 'running';
+        slot.panel.querySelector('[data-dashboard-action="start"]').disabled = running;
+        slot.panel.querySelector('[data-dashboard-action="stop"]').disabled = !running;
+        slot.panel.querySelectorAll('[data-run-field]').forEach(field => {
+            field.disabled = running;
+        });
+
+        const seconds = this.getElapsedSeconds(slot.startedAt, slot.endedAt);
+        slot.panel.querySelector('[data-run-stats]').textContent = slot.startedAt
+            ? `${(seconds > 0 ? slot.completed / seconds : 0).toFixed(2)} tasks/s · ${seconds.toFixed(1)}s`
+            : '';
+    },
+
+    // Whether any panel is streaming
+    isRunning(dashboard) {
+        return Array.from(dashboard.slots.values()).some(slot => slot.status === 'running');
+    },
+
+    // Totals across panels. Throughput is tasks completed per second of wall-clock time
+    // since the first run of the batch started.
+    getTotals(dashboard) {
+        const slots = Array.from(dashboard.slots.values()).filter(slot => slot.startedAt);
+        const running = slots.filter(slot => slot.status === 'running');
+        const completed = slots.reduce((sum, slot) => sum + slot.completed, 0);
+        const successful = slots.reduce((sum, slot) => sum + slot.successful, 0);
+        const startedAt = slots.length > 0 ? Math.min(...slots.map(slot => slot.startedAt)) : null;
+        const endedAt = running.length > 0 || slots.length === 0 ? null : Math.max(...slots.map(slot => slot.endedAt));
+        const seconds = this.getElapsedSeconds(startedAt, endedAt);
+
+        return {
+            runs: dashboard.slots.size,
+            running: running.length,
+            completed: completed,
+            total: slots.reduce((sum, slot) => sum + slot.total, 0),
+            successRate: completed > 0 ? (successful / completed) * 100 : null,
+            throughput: seconds > 0 ? completed / seconds : 0,
+            seconds: seconds
+        };
+    },
+
+    // Seconds between start and end (now while still running)
+    getElapsedSeconds(startedAt, endedAt) {
+        return startedAt ? Math.max(((endedAt || Date.now()) - startedAt) / 1000, 0) : 0;
+    },
+
+    // Sample aggregate throughput every sampleInterval while runs are active
+    startSampling(dashboard) {
+        if (dashboard.timer) return;
+
+        dashboard.timer = setInterval(() => {
+            this.sample(dashboard);
+            dashboard.slots.forEach(slot => {
+                if (slot.status === 'running') this.renderSlotStatus(slot);
+            });
+            this.renderHeader(dashboard);
+        }, this.sampleInterval);
+    },
+
+    sample(dashboard) {
+        dashboard.samples.push(this.getTotals(dashboard).throughput);
+        if (dashboard.samples.length > this.historyLength) {
+            dashboard.samples.shift();
+        }
+    },
+
+    // Coalesce header updates from many streams into one per frame
+    scheduleHeader(dashboard) {
+        if (dashboard.frame) return;
+
+        dashboard.frame = requestAnimationFrame(() => {
+            dashboard.frame = null;
+            this.renderHeader(dashboard);
+        });
+    },
+
+    // Refresh the combined header cards
+    renderHeader(dashboard) {
+        const totals = this.getTotals(dashboard);
+        const setCard = (key, value, detail) => {
+            const card = dashboard.element.querySelector(`[data-dashboard-metric="${key}"]`);
+            card.querySelector('[data-dashboard-value]').textContent = value;
+            const detailElement = card.querySelector('[data-dashboard-detail]');
+            if (typeof detail === 'string') {
+                detailElement.textContent = detail;
+            } else {
+                detailElement.innerHTML = detail.markup;
+            }
+        };
+
+        setCard('runs', `${totals.running}/${totals.runs}`, totals.running > 0 ? 'streaming now' : 'idle');
+        setCard('tasks', `${totals.completed}/${totals.total}`, totals.seconds > 0 ? `in ${totals.seconds.toFixed(1)}s` : '');
+        setCard('throughput', `${totals.throughput.toFixed(2)}/s`, {
+            markup: window.TaskListProcessor.Charts.renderSparkline(dashboard.samples, { width: 160 })
+        });
+        setCard('success', totals.successRate === null ? '—' : `${totals.successRate.toFixed(1)}%`,
+            totals.successRate === null ? '' : `of ${totals.completed} tasks`);
+    }
+};
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    Dashboard.init();
+});
+
+// Expose to global namespace
+window.TaskListProcessor.Dashboard = Dashboard;
+
+export default Dashboard;
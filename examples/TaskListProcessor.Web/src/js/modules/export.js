@@ -0,0 +1,348 @@
+/**
+ * TaskListProcessor Web - Export Module
+ * Downloads rendered run results as CSV, JSON or a standalone HTML report
+ */
+
+const Export = {
+    // Formats offered by the export menu
+    formats: {
+        'telemetry-csv': { label: 'Task telemetry (CSV)', icon: 'filetype-csv' },
+        'cities-csv': { label: 'City results (CSV)', icon: 'filetype-csv' },
+        'json': { label: 'Raw result (JSON)', icon: 'filetype-json' },
+        'html': { label: 'HTML report', icon: 'file-earmark-richtext' },
+        'copy-json': { label: 'Copy JSON to clipboard', icon: 'clipboard' }
+    },
+
+    // Bootstrap colors used by the charts, inlined so the report renders without site.css
+    reportColors: {
+        '--bs-primary': '#0d6efd',
+        '--bs-success': '#198754',
+        '--bs-danger': '#dc3545',
+        '--bs-warning': '#ffc107',
+        '--bs-info': '#0dcaf0',
+        '--bs-secondary': '#6c757d',
+        '--bs-secondary-color': '#6c757d',
+        '--bs-body-color': '#212529',
+        '--bs-border-color': '#dee2e6',
+        '--bs-tertiary-bg': '#f8f9fa'
+    },
+
+    isInitialized: false,
+
+    // Initialize export module
+    init() {
+        if (this.isInitialized) return;
+
+        // Export menus rendered by the Results module
+        document.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-export-format]');
+            if (!item) return;
+
+            event.preventDefault();
+            const target = item.closest('[data-results-export]');
+            const rendered = target && window.TaskListProcessor.Results.getRendered(target);
+            if (!rendered) {
+                window.TaskListProcessor.showNotification('There are no results to export', 'warning');
+                return;
+            }
+
+            this.exportResult(rendered.result, item.dataset.exportFormat, { config: rendered.config });
+        });
+
+        this.isInitialized = true;
+        console.log('Export module initialized');
+    },
+
+    // Dropdown button listing the export formats
+    renderMenu() {
+        const { html } = window.TaskListProcessor.Core;
+
+        return html`
+            <div class="dropdown">
+                <button class="btn btn-sm btn-outline-secondary dropdown-toggle" type="button"
+                        data-bs-toggle="dropdown" aria-expanded="false">
+                    <i class="bi bi-download me-1"></i>Export
+                </button>
+                <ul class="dropdown-menu dropdown-menu-end">
+                    ${Object.entries(this.formats).map(([format, info]) => html`
+                        <li>
+                            <button type="button" class="dropdown-item" data-export-format="${format}">
+                                <i class="bi bi-${info.icon} me-2"></i>${info.label}
+                            </button>
+                        </li>
+                    `)}
+                </ul>
+            </div>
+        `;
+    },
+
+    // Export a TaskProcessingResultViewModel in one of the supported formats.
+    // options.config (ProcessingConfigurationViewModel) is included in JSON and HTML output.
+    exportResult(result, format, options = {}) {
+        const name = this.getFileName();
+
+        switch (format) {
+            case 'telemetry-csv':
+                this.download(this.toTelemetryCsv(result), `${name}-telemetry.csv`, 'text/csv;charset=utf-8');
+                break;
+            case 'cities-csv':
+                this.download(this.toCitiesCsv(result), `${name}-cities.csv`, 'text/csv;charset=utf-8');
+                break;
+            case 'json':
+                this.download(this.toJson(result, options.config), `${name}.json`, 'application/json');
+                break;
+            case 'html':
+                this.download(this.toHtmlReport(result, options.config), `${name}.html`, 'text/html;charset=utf-8');
+                break;
+            case 'copy-json':
+                window.TaskListProcessor.UIEnhancements.copyToClipboard(
+                    this.toJson(result, options.config),
+                    'Result JSON copied to clipboard'
+                );
+                break;
+            default:
+                console.warn(`Unknown export format "${format}"`);
+        }
+    },
+
+    // One row per TaskTelemetryViewModel
+    toTelemetryCsv(result) {
+        const rows = (this.get(result, 'DetailedTelemetry') || []).map(task => [
+            this.get(task, 'TaskName'),
+            this.get(task, 'ElapsedMilliseconds'),
+            this.get(task, 'IsSuccessful'),
+            this.get(task, 'PerformanceLevel'),
+            this.get(task, 'ErrorType'),
+            this.get(task, 'ErrorMessage')
+        ]);
+
+        return this.toCsv(
+            ['TaskName', 'ElapsedMilliseconds', 'IsSuccessful', 'PerformanceLevel', 'ErrorType', 'ErrorMessage'],
+            rows
+        );
+    },
+
+    // One row per CityResultViewModel (weather and activities side by side)
+    toCitiesCsv(result) {
+        const rows = (this.get(result, 'CityResults') || []).map(city => {
+            const weather = this.get(city, 'Weather') || {};
+            const activities = this.get(city, 'Activities') || {};
+
+            return [
+                this.get(city, 'CityName'),
+                !!this.get(weather, 'IsSuccessful'),
+                this.get(weather, 'DurationMs'),
+                (this.get(weather, 'Forecasts') || []).length,
+                this.get(weather, 'ErrorMessage'),
+                !!this.get(activities, 'IsSuccessful'),
+                this.get(activities, 'DurationMs'),
+                (this.get(activities, 'Activities') || []).length,
+                this.get(activities, 'ErrorMessage')
+            ];
+        });
+
+        return this.toCsv(
+            ['CityName', 'WeatherSuccessful', 'WeatherDurationMs', 'ForecastCount', 'WeatherError',
+                'ActivitiesSuccessful', 'ActivitiesDurationMs', 'ActivityCount', 'ActivitiesError'],
+            rows
+        );
+    },
+
+    // RFC 4180 CSV with CRLF line endings
+    toCsv(header, rows) {
+        return [header, ...rows]
+            .map(row => row.map(value => this.toCsvField(value)).join(','))
+            .join('\r\n') + '\r\n';
+    },
+
+    // Quote fields that need it; text starting with = + - @ is prefixed so spreadsheets do not run it
+    toCsvField(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+        let text = String(value);
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    // Pretty-printed result, wrapped with its configuration when known
+    toJson(result, config) {
+        const payload = config
+            ? { exportedAt: new Date().toISOString(), configuration: config, result: result }
+            : result;
+        return JSON.stringify(payload, null, 2);
+    },
+
+    // Self-contained HTML document: summary, inline SVG charts, city and telemetry tables
+    toHtmlReport(result, config) {
+        const Charts = window.TaskListProcessor.Charts;
+        const { html, trustHtml } = window.TaskListProcessor.Core;
+        const telemetry = this.get(result, 'DetailedTelemetry') || [];
+        const summary = this.get(result, 'TelemetrySummary') || {};
+        const cities = this.get(result, 'CityResults') || [];
+        const generatedAt = new Date().toLocaleString();
+
+        // Chart markup is built and escaped by the Charts module
+        const durationChart = telemetry.length > 0
+            ? Charts.renderToString('bar', {
+                data: Charts.getTaskDurationData(telemetry),
+                chartUnit: 'ms',
+                chartTitle: 'Task durations',
+                width: 760,
+                height: 260
+            })
+            : '';
+        const timelineChart = telemetry.length > 0
+            ? Charts.renderToString('timeline', {
+                data: result,
+                chartConcurrency: config && config.MaxConcurrentTasks,
+                chartTitle: 'Concurrent task timeline',
+                width: 760
+            })
+            : '';
+
+        const metrics = [
+            ['Total Tasks', this.get(summary, 'TotalTasks') ?? 0],
+            ['Successful', this.get(summary, 'SuccessfulTasks') ?? 0],
+            ['Failed', this.get(summary, 'FailedTasks') ?? 0],
+            ['Success Rate', `${this.formatNumber(this.get(summary, 'SuccessRate'), 1)}%`],
+            ['Avg Time', `${this.formatNumber(this.get(summary, 'AverageExecutionTime'), 0)}ms`],
+            ['Min / Max', `${this.formatNumber(this.get(summary, 'MinExecutionTime'), 0)} / ${this.formatNumber(this.get(summary, 'MaxExecutionTime'), 0)}ms`],
+            ['Throughput', `${this.formatNumber(this.get(summary, 'ThroughputPerSecond'), 2)}/s`]
+        ];
+
+        const configRows = config
+            ? [
+                ['Scenario', config.Scenario],
+                ['Cities', (config.SelectedCities || []).join(', ')],
+                ['Max concurrent tasks', config.MaxConcurrentTasks],
+                ['Timeout (minutes)', config.TimeoutMinutes]
+            ]
+            : [];
+
+        const colors = Object.entries(this.reportColors).map(([name, value]) => `${name}: ${value};`).join(' ');
+
+        return String(html`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>TaskListProcessor run report – ${generatedAt}</title>
+<style>
+    :root { ${colors} }
+    body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: var(--bs-body-color); margin: 2rem auto; max-width: 820px; padding: 0 1rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.15rem; margin-top: 2rem; border-bottom: 1px solid var(--bs-border-color); padding-bottom: 0.25rem; }
+    .muted { color: var(--bs-secondary-color); }
+    .metrics { display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 0.75rem; }
+    .metric { border: 1px solid var(--bs-border-color); border-radius: 0.5rem; padding: 0.75rem; text-align: center; }
+    .metric strong { display: block; font-size: 1.25rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid var(--bs-border-color); }
+    .success { color: var(--bs-success); }
+    .failed { color: var(--bs-danger); }
+    .chart-svg { max-width: 100%; height: auto; overflow: visible; }
+    .chart-legend { display: flex; flex-wrap: wrap; gap: 1rem; font-size: 0.85rem; margin-top: 0.5rem; }
+    .chart-legend-swatch { display: inline-block; width: 0.75rem; height: 0.75rem; border-radius: 0.15rem; margin-right: 0.35rem; }
+    .chart-tooltip { display: none; }
+</style>
+</head>
+<body>
+<h1>TaskListProcessor run report</h1>
+<p class="muted">Generated ${generatedAt}</p>
+${configRows.length > 0 && html`
+<h2>Configuration</h2>
+<table>
+    ${configRows.map(([label, value]) => html`<tr><th>${label}</th><td>${value ?? ''}</td></tr>`)}
+</table>`}
+<h2>Summary</h2>
+<div class="metrics">
+    ${metrics.map(([label, value]) => html`<div class="metric"><strong>${value}</strong><span class="muted">${label}</span></div>`)}
+</div>
+${durationChart && html`<h2>Task durations</h2>${trustHtml(durationChart)}`}
+${timelineChart && html`<h2>Task timeline</h2>${trustHtml(timelineChart)}`}
+${cities.length > 0 && html`
+<h2>City results</h2>
+<table>
+    <thead><tr><th>City</th><th>Weather</th><th>Activities</th></tr></thead>
+    <tbody>
+        ${cities.map(city => html`<tr><td>${this.get(city, 'CityName')}</td><td>${this.renderReportPart(this.get(city, 'Weather'), 'Forecasts')}</td><td>${this.renderReportPart(this.get(city, 'Activities'), 'Activities')}</td></tr>`)}
+    </tbody>
+</table>`}
+${telemetry.length > 0 && html`
+<h2>Task telemetry</h2>
+<table>
+    <thead><tr><th>Task</th><th>Duration</th><th>Performance</th><th>Status</th></tr></thead>
+    <tbody>
+        ${telemetry.map(task => {
+            const isSuccessful = !!this.get(task, 'IsSuccessful');
+            const errorMessage = this.get(task, 'ErrorMessage');
+            return html`<tr><td>${this.get(task, 'TaskName')}</td><td>${this.get(task, 'ElapsedMilliseconds')}ms</td><td>${this.get(task, 'PerformanceLevel') || ''}</td><td class="${isSuccessful ? 'success' : 'failed'}">${isSuccessful ? 'Success' : html`Failed${errorMessage && html`: ${errorMessage}`}`}</td></tr>`;
+        })}
+    </tbody>
+</table>`}
+</body>
+</html>
+`);
+    },
+
+    // Weather or activities cell for the report's city table
+    renderReportPart(part, listProperty) {
+        const { html } = window.TaskListProcessor.Core;
+        if (!part || !this.get(part, 'IsSuccessful')) {
+            const errorMessage = part && this.get(part, 'ErrorMessage');
+            return html`<span class="failed">Failed${errorMessage && html`: ${errorMessage}`}</span>`;
+        }
+
+        const count = (this.get(part, listProperty) || []).length;
+        return html`<span class="success">${this.get(part, 'DurationMs')}ms</span> <span class="muted">(${count} items)</span>`;
+    },
+
+    // Save content as a file through a temporary object URL
+    download(content, fileName, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before releasing the Blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    // tasklistprocessor-run-20250101-120000
+    getFileName(date = new Date()) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+        const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+        return `tasklistprocessor-run-${day}-${time}`;
+    },
+
+    // View-model property in either JSON casing
+    get(source, name) {
+        return window.TaskListProcessor.Core.getProperty(source, name);
+    },
+
+    // Fixed-digit number that tolerates missing values
+    formatNumber(value, digits) {
+        const number = Number(value);
+        return (Number.isFinite(number) ? number : 0).toFixed(digits);
+    }
+};
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    Export.init();
+});
+
+// Expose to global namespace
+window.TaskListProcessor.Export = Export;
+
+export default Export;
@@ -0,0 +1,400 @@
+/**
+ * TaskListProcessor Web - History Module
+ * Persists completed runs in IndexedDB and compares two runs side by side
+ */
+
+const History = {
+    dbName: 'TaskListProcessor',
+    dbVersion: 1,
+    storeName: 'runs',
+
+    // Oldest runs are pruned beyond this many
+    maxRuns: 50,
+
+    // TelemetrySummary metrics shown in a comparison
+    metrics: [
+        { name: 'SuccessRate', label: 'Success Rate', unit: '%', digits: 1, higherIsBetter: true },
+        { name: 'AverageExecutionTime', label: 'Avg Time', unit: 'ms', digits: 0, higherIsBetter: false },
+        { name: 'ThroughputPerSecond', label: 'Throughput', unit: '/s', digits: 2, higherIsBetter: true }
+    ],
+
+    // Open database promise (shared)
+    db: null,
+
+    // Selected run ids per history container
+    selections: new WeakMap(),
+
+    isInitialized: false,
+
+    // Initialize history module
+    init() {
+        if (this.isInitialized) return;
+
+        // Completed runs from the Runs module are saved automatically
+        document.addEventListener('run-finished', (event) => {
+            const run = event.detail;
+            if (run.status === 'completed' && this.isCompletedResult(run.result)) {
+                this.save(run.result, run.config, { kind: run.kind })
+                    .catch(error => console.error('Failed to save run history:', error));
+            }
+        });
+
+        document.querySelectorAll('[data-run-history]').forEach(container => {
+            this.bindContainer(container);
+            this.renderHistory(container);
+        });
+
+        this.isInitialized = true;
+        console.log('History module initialized');
+    },
+
+    // Whether IndexedDB can be used in this browser
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    // Open (and on first use create) the database
+    open() {
+        if (this.db) return this.db;
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+
+        this.db = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('savedAt', 'savedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Let a failed open be retried
+        this.db.catch(() => {
+            this.db = null;
+        });
+
+        return this.db;
+    },
+
+    // Run a request against the runs store and resolve with its result
+    async transact(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    // Save a completed TaskProcessingResultViewModel with the configuration that produced it
+    async save(result, config, meta = {}) {
+        const record = {
+            savedAt: new Date().toISOString(),
+            kind: meta.kind || 'request',
+            config: config || null,
+            result: result
+        };
+
+        record.id = await this.transact('readwrite', store => store.add(record));
+        await this.prune();
+        this.refresh();
+
+        return record;
+    },
+
+    // All saved runs, newest first
+    async list() {
+        const records = await this.transact('readonly', store => store.getAll());
+        return records.sort((a, b) => b.id - a.id);
+    },
+
+    // One saved run by id
+    get(id) {
+        return this.transact('readonly', store => store.get(id));
+    },
+
+    // Delete one saved run
+    async remove(id) {
+        await this.transact('readwrite', store => store.delete(id));
+        this.refresh();
+    },
+
+    // Delete every saved run
+    async clear() {
+        await this.transact('readwrite', store => store.clear());
+        this.refresh();
+    },
+
+    // Keep only the newest maxRuns records
+    async prune() {
+        const records = await this.list();
+        const stale = records.slice(this.maxRuns);
+        if (stale.length === 0) return;
+
+        await this.transact('readwrite', store => {
+            stale.forEach(record => store.delete(record.id));
+            return null;
+        });
+    },
+
+    // Compare a baseline run with a candidate run: summary deltas and per-task duration differences
+    compare(baseline, candidate) {
+        const get = (source, name) => window.TaskListProcessor.Core.getProperty(source, name);
+        const before = get(baseline.result, 'TelemetrySummary') || {};
+        const after = get(candidate.result, 'TelemetrySummary') || {};
+
+        const metrics = this.metrics.map(metric => {
+            const from = Number(get(before, metric.name)) || 0;
+            const to = Number(get(after, metric.name)) || 0;
+            const delta = to - from;
+
+            return {
+                ...metric,
+                before: from,
+                after: to,
+                delta: delta,
+                percent: from !== 0 ? (delta / from) * 100 : null,
+                improved: delta === 0 ? null : (delta > 0) === metric.higherIsBetter
+            };
+        });
+
+        const durations = (record) => {
+            const map = new Map();
+            (get(record.result, 'DetailedTelemetry') || []).forEach(task => {
+                map.set(get(task, 'TaskName'), Number(get(task, 'ElapsedMilliseconds')) || 0);
+            });
+            return map;
+        };
+        const beforeTasks = durations(baseline);
+        const afterTasks = durations(candidate);
+        const names = Array.from(new Set([...beforeTasks.keys(), ...afterTasks.keys()])).sort();
+
+        const tasks = names.map(name => {
+            const from = beforeTasks.has(name) ? beforeTasks.get(name) : null;
+            const to = afterTasks.has(name) ? afterTasks.get(name) : null;
+            return {
+                taskName: name,
+                before: from,
+                after: to,
+                delta: from !== null && to !== null ? to - from : null
+            };
+        });
+
+        return { metrics: metrics, tasks: tasks };
+    },
+
+    // Re-render every history container on the page
+    refresh() {
+        document.querySelectorAll('[data-run-history]').forEach(container => this.renderHistory(container));
+    },
+
+    // Delegated handlers for selection, compare, delete and clear
+    bindContainer(container) {
+        this.selections.set(container, []);
+
+        container.addEventListener('change', (event) => {
+            const checkbox = event.target.closest('[data-history-select]');
+            if (!checkbox) return;
+
+            const id = Number(checkbox.value);
+            let selected = this.selections.get(container).filter(selectedId => selectedId !== id);
+            if (checkbox.checked) {
+                // Comparing needs exactly two runs; picking a third drops the oldest pick
+                selected = [...selected, id].slice(-2);
+            }
+            this.selections.set(container, selected);
+            this.syncSelection(container);
+        });
+
+        container.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-history-action]');
+            if (!button) return;
+
+            const action = button.dataset.historyAction;
+            if (action === 'compare') {
+                this.showComparison(container);
+            } else if (action === 'delete') {
+                this.remove(Number(button.dataset.runId));
+            } else if (action === 'clear') {
+                if (confirm('Delete all saved runs?')) {
+                    this.clear();
+                }
+            }
+        });
+    },
+
+    // Render the list of saved runs into a [data-run-history] container
+    async renderHistory(container) {
+        if (!this.isSupported()) {
+            container.innerHTML = '<p class="text-muted mb-0">Run history needs a browser with IndexedDB support.</p>';
+            return;
+        }
+
+        let records;
+        try {
+            records = await this.list();
+        } catch (error) {
+            console.error('Failed to load run history:', error);
+            container.innerHTML = '<p class="text-danger mb-0">Run history could not be loaded.</p>';
+            return;
+        }
+
+        const ids = records.map(record => record.id);
+        const selected = (this.selections.get(container) || []).filter(id => ids.includes(id));
+        this.selections.set(container, selected);
+
+        const { html } = window.TaskListProcessor.Core;
+
+        container.innerHTML = html`
+            <div class="d-flex justify-content-between align-items-center mb-3">
+                <small class="text-muted">${records.length} saved run(s). Select two to compare.</small>
+                <div class="btn-group btn-group-sm">
+                    <button type="button" class="btn btn-outline-primary" data-history-action="compare">
+                        <i class="bi bi-arrow-left-right me-1"></i>Compare
+                    </button>
+                    <button type="button" class="btn btn-outline-danger" data-history-action="clear" ${records.length === 0 && html`disabled`}>
+                        <i class="bi bi-trash me-1"></i>Clear
+                    </button>
+                </div>
+            </div>
+            ${records.length === 0
+                ? html`<p class="text-muted mb-0">Completed runs will appear here.</p>`
+                : html`<div class="list-group mb-3">${records.map(record => this.renderRecord(record, selected.includes(record.id)))}</div>`}
+            <div data-history-section="comparison"></div>
+        `;
+        this.syncSelection(container);
+    },
+
+    // One saved run as a selectable list item
+    renderRecord(record, isSelected) {
+        const { html } = window.TaskListProcessor.Core;
+        const get = (source, name) => window.TaskListProcessor.Core.getProperty(source, name);
+        const summary = get(record.result, 'TelemetrySummary') || {};
+        const config = record.config || {};
+        const cities = config.SelectedCities || [];
+
+        return html`
+            <label class="list-group-item d-flex align-items-center gap-3">
+                <input class="form-check-input flex-shrink-0" type="checkbox" value="${record.id}"
+                       data-history-select ${isSelected && html`checked`}>
+                <div class="flex-grow-1">
+                    <div class="fw-semibold">
+                        #${record.id} ${config.Scenario || (record.kind === 'stream' ? 'StreamingDemo' : 'MainProcessing')}
+                        <small class="text-muted ms-2">${new Date(record.savedAt).toLocaleString()}</small>
+                    </div>
+                    <small class="text-muted">
+                        ${cities.join(', ') || 'No cities'}
+                        ${config.MaxConcurrentTasks ? ` · max ${config.MaxConcurrentTasks} concurrent` : ''}
+                    </small>
+                </div>
+                <span class="badge bg-success-subtle text-success-emphasis">${this.formatNumber(get(summary, 'SuccessRate'), 1)}%</span>
+                <span class="badge bg-info-subtle text-info-emphasis">${this.formatNumber(get(summary, 'AverageExecutionTime'), 0)}ms</span>
+                <button type="button" class="btn btn-sm btn-link text-danger" data-history-action="delete"
+                        data-run-id="${record.id}" aria-label="Delete run ${record.id}">
+                    <i class="bi bi-x-lg"></i>
+                </button>
+            </label>
+        `;
+    },
+
+    // Enable Compare only when two runs are selected
+    syncSelection(container) {
+        const button = container.querySelector('[data-history-action="compare"]');
+        if (button) {
+            button.disabled = this.selections.get(container).length !== 2;
+        }
+    },
+
+    // Load the two selected runs (older one as baseline) and render the comparison
+    async showComparison(container) {
+        const ids = [...this.selections.get(container)].sort((a, b) => a - b);
+        if (ids.length !== 2) return;
+
+        const [baseline, candidate] = await Promise.all(ids.map(id => this.get(id)));
+        const target = container.querySelector('[data-history-section="comparison"]');
+        if (!baseline || !candidate || !target) return;
+
+        target.innerHTML = this.renderComparison(baseline, candidate);
+    },
+
+    // Comparison markup: summary deltas and per-task duration differences
+    renderComparison(baseline, candidate) {
+        const { html } = window.TaskListProcessor.Core;
+        const comparison = this.compare(baseline, candidate);
+
+        return html`
+            <h6 class="mt-2"><i class="bi bi-arrow-left-right me-2"></i>Run #${baseline.id} vs Run #${candidate.id}</h6>
+            <div class="row g-3 mb-3">
+                ${comparison.metrics.map(metric => html`
+                    <div class="col-md-4">
+                        <div class="card h-100">
+                            <div class="card-body text-center">
+                                <small class="text-muted">${metric.label}</small>
+                                <h5 class="mb-1">
+                                    ${this.formatNumber(metric.before, metric.digits)}${metric.unit}
+                                    <i class="bi bi-arrow-right mx-1"></i>
+                                    ${this.formatNumber(metric.after, metric.digits)}${metric.unit}
+                                </h5>
+                                ${this.renderDelta(metric.delta, metric.digits, metric.unit, metric.improved, metric.percent)}
+                            </div>
+                        </div>
+                    </div>
+                `)}
+            </div>
+            <div class="table-responsive">
+                <table class="table table-sm table-hover">
+                    <thead><tr><th>Task</th><th>Run #${baseline.id}</th><th>Run #${candidate.id}</th><th>Difference</th></tr></thead>
+                    <tbody>
+                        ${comparison.tasks.map(task => html`
+                            <tr>
+                                <td>${task.taskName}</td>
+                                <td class="font-monospace">${task.before !== null ? `${task.before}ms` : '—'}</td>
+                                <td class="font-monospace">${task.after !== null ? `${task.after}ms` : '—'}</td>
+                                <td>${task.delta !== null
+                                    ? this.renderDelta(task.delta, 0, 'ms', task.delta === 0 ? null : task.delta < 0)
+                                    : html`<span class="text-muted">Only in one run</span>`}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    // Signed delta coloured by whether the change is an improvement
+    renderDelta(delta, digits, unit, improved, percent = null) {
+        const color = improved === null ? 'text-muted' : improved ? 'text-success' : 'text-danger';
+        const sign = delta > 0 ? '+' : '';
+        const relative = percent !== null && Number.isFinite(percent) ? ` (${sign}${percent.toFixed(1)}%)` : '';
+
+        return window.TaskListProcessor.Core.html`<small class="${color}">${sign}${this.formatNumber(delta, digits)}${unit}${relative}</small>`;
+    },
+
+    // Only finished results are worth keeping
+    isCompletedResult(result) {
+        return !!(result && window.TaskListProcessor.Core.getProperty(result, 'IsCompleted'));
+    },
+
+    // Fixed-digit number that tolerates missing values
+    formatNumber(value, digits) {
+        const number = Number(value);
+        return (Number.isFinite(number) ? number : 0).toFixed(digits);
+    }
+};
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    History.init();
+});
+
+// Expose to global namespace
+window.TaskListProcessor.History = History;
+
+export default History;
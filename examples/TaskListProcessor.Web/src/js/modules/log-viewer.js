@@ -0,0 +1,510 @@
+/**
+ * TaskListProcessor Web - Log Viewer Module
+ * Structured event log for streaming containers: level filters, text and regex search,
+ * pause/resume, JSON details per entry, a bounded buffer with virtualized rows and download
+ */
+
+const LogViewer = {
+    // Entries kept per viewer unless options.bufferSize (data-log-buffer) says otherwise
+    defaultBufferSize: 1000,
+
+    // Row height in px the virtualized list is laid out with; matches .log-viewer-row in _components.scss
+    rowHeight: 24,
+
+    // Rows rendered above and below the visible window
+    overscan: 10,
+
+    // Levels in filter order, with their Bootstrap colors
+    levels: {
+        error: { label: 'Error', color: 'danger' },
+        warning: { label: 'Warning', color: 'warning' },
+        info: { label: 'Info', color: 'info' },
+        success: { label: 'Success', color: 'success' }
+    },
+
+    // Names accepted in a payload's level field
+    levelAliases: {
+        critical: 'error',
+        fatal: 'error',
+        error: 'error',
+        danger: 'error',
+        warn: 'warning',
+        warning: 'warning',
+        information: 'info',
+        info: 'info',
+        debug: 'info',
+        trace: 'info',
+        success: 'success'
+    },
+
+    // Viewers by element: { element, container, entries, filtered, ... }
+    viewers: new WeakMap(),
+    nextId: 1,
+
+    isInitialized: false,
+
+    // Initialize log viewer module
+    init() {
+        if (this.isInitialized) return;
+
+        // data-log-source="<streaming container id>" elements get a log viewer (buffer size from data-log-buffer)
+        window.TaskListProcessor.Core.registerComponent({
+            name: 'log-viewer',
+            selector: '[data-log-source]',
+            mount: element => this.create(element.dataset.logSource, {
+                bufferSize: element.dataset.logBuffer,
+                target: element
+            }),
+            unmount: (element, viewer) => {
+                if (viewer) this.destroy(viewer);
+            }
+        });
+
+        this.isInitialized = true;
+        console.log('Log Viewer module initialized');
+    },
+
+    // Create a log viewer for a streaming container's events.
+    // options: bufferSize (entries kept), height (px of the list), target (element to append to; the container by default)
+    create(containerId, options = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            console.warn(`Cannot create a log viewer for missing container ${containerId}`);
+            return;
+        }
+
+        const element = document.createElement('div');
+        element.className = 'log-viewer card';
+        element.innerHTML = this.renderShell(`log-viewer-${this.nextId++}`);
+        (options.target || container).appendChild(element);
+
+        const list = element.querySelector('[data-log-list]');
+        if (options.height) {
+            list.style.height = `${options.height}px`;
+        }
+
+        const viewer = {
+            element: element,
+            container: container,
+            list: list,
+            spacer: element.querySelector('[data-log-spacer]'),
+            bufferSize: Math.max(parseInt(options.bufferSize, 10) || this.defaultBufferSize, 1),
+            entries: [],
+            filtered: [],
+            nextEntryId: 1,
+            dropped: 0,
+            levels: new Set(Object.keys(this.levels)),
+            pattern: null,
+            paused: false,
+            unseen: 0,
+            selectedId: null,
+            follow: false,
+            frame: null,
+            unbind: null
+        };
+        this.viewers.set(element, viewer);
+
+        this.bindSource(viewer);
+        this.bindControls(viewer);
+        this.render(viewer);
+
+        return element;
+    },
+
+    // Stop listening to the container and remove the viewer
+    destroy(element) {
+        const viewer = this.viewers.get(element);
+        if (viewer) {
+            viewer.unbind();
+            if (viewer.frame) cancelAnimationFrame(viewer.frame);
+            this.viewers.delete(element);
+        }
+        element.remove();
+    },
+
+    // Toolbar, list and detail panel
+    renderShell(id) {
+        const { html } = window.TaskListProcessor.Core;
+
+        return html`
+            <div class="card-header d-flex flex-wrap align-items-center gap-2 py-2">
+                <div class="btn-group btn-group-sm" role="group" aria-label="Log levels">
+                    ${Object.entries(this.levels).map(([level, settings]) => html`
+                        <input type="checkbox" class="btn-check" id="${id}-${level}" data-log-level="${level}" autocomplete="off" checked>
+                        <label class="btn btn-outline-${settings.color}" for="${id}-${level}">
+                            ${settings.label} <span class="badge text-bg-light ms-1" data-log-count="${level}">0</span>
+                        </label>
+                    `)}
+                </div>
+                <div class="input-group input-group-sm log-viewer-search">
+                    <span class="input-group-text"><i class="bi bi-search"></i></span>
+                    <input type="search" class="form-control" placeholder="Filter log" aria-label="Filter log" data-log-search>
+                    <input type="checkbox" class="btn-check" id="${id}-regex" data-log-regex autocomplete="off">
+                    <label class="btn btn-outline-secondary font-monospace" for="${id}-regex" title="Use a regular expression">.*</label>
+                </div>
+                <div class="btn-group btn-group-sm ms-auto">
+                    <button type="button" class="btn btn-outline-secondary" data-log-action="pause" aria-pressed="false">
+                        <i class="bi bi-pause-fill me-1"></i><span data-log-pause-label>Pause</span>
+                    </button>
+                    <button type="button" class="btn btn-outline-secondary" data-log-action="download" title="Download log (JSON)">
+                        <i class="bi bi-download"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline-secondary" data-log-action="clear" title="Clear log">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="log-viewer-list font-monospace small" role="log" aria-label="Streaming event log" tabindex="0" data-log-list>
+                <div class="log-viewer-spacer" data-log-spacer></div>
+            </div>
+            <div class="log-viewer-detail border-top p-3 d-none" data-log-detail></div>
+            <div class="card-footer small text-muted py-1" data-log-status></div>
+        `;
+    },
+
+    // Turn the streaming container's events into log entries
+    bindSource(viewer) {
+        const listeners = {
+            'streaming-status': (event) => {
+                const { status, attempt } = event.detail;
+                this.add(viewer, 'status', event.detail, {
+                    level: status === 'reconnecting' ? 'warning' : status === 'connected' ? 'success' : 'info',
+                    message: `Connection ${status}${attempt ? ` (attempt ${attempt})` : ''}`
+                });
+            },
+            'streaming-data': (event) => this.add(viewer, 'data', event.detail),
+            'streaming-error': (event) => {
+                this.add(viewer, 'error', event.detail, {
+                    level: 'error',
+                    message: event.detail.message || 'Streaming error'
+                });
+            },
+            'streaming-complete': (event) => {
+                const core = window.TaskListProcessor.Core;
+                const summary = core.getProperty(event.detail, 'TelemetrySummary');
+                this.add(viewer, 'complete', event.detail, {
+                    level: 'success',
+                    message: summary
+                        ? `Stream completed: ${core.getProperty(summary, 'SuccessfulTasks')}/${core.getProperty(summary, 'TotalTasks')} tasks succeeded`
+                        : 'Stream completed'
+                });
+            }
+        };
+
+        Object.entries(listeners).forEach(([type, listener]) => viewer.container.addEventListener(type, listener));
+        viewer.unbind = () => {
+            Object.entries(listeners).forEach(([type, listener]) => viewer.container.removeEventListener(type, listener));
+        };
+    },
+
+    // Filters, search, pause, download, clear and entry selection
+    bindControls(viewer) {
+        const { element, list } = viewer;
+        const search = element.querySelector('[data-log-search]');
+        const regex = element.querySelector('[data-log-regex]');
+
+        const applySearch = () => {
+            const pattern = this.getPattern(search.value, regex.checked);
+            search.classList.toggle('is-invalid', pattern === false);
+            viewer.pattern = pattern || null;
+            this.refilter(viewer);
+        };
+
+        search.addEventListener('input', window.TaskListProcessor.Core.debounce(applySearch, 150));
+
+        element.addEventListener('change', (event) => {
+            const level = event.target.dataset.logLevel;
+            if (level) {
+                if (event.target.checked) {
+                    viewer.levels.add(level);
+                } else {
+                    viewer.levels.delete(level);
+                }
+                this.refilter(viewer);
+            } else if (event.target === regex) {
+                applySearch();
+            }
+        });
+
+        element.addEventListener('click', (event) => {
+            const action = event.target.closest('[data-log-action]');
+            if (action) {
+                switch (action.dataset.logAction) {
+                    case 'pause':
+                        this.setPaused(viewer, !viewer.paused);
+                        break;
+                    case 'download':
+                        this.download(viewer);
+                        break;
+                    case 'clear':
+                        this.clear(viewer);
+                        break;
+                    case 'close-detail':
+                        this.select(viewer, null);
+                        break;
+                }
+                return;
+            }
+
+            const row = event.target.closest('[data-log-entry]');
+            if (row) {
+                const id = Number(row.dataset.logEntry);
+                this.select(viewer, viewer.selectedId === id ? null : id);
+            }
+        });
+
+        list.addEventListener('scroll', () => this.scheduleRender(viewer, false));
+    },
+
+    // Add an entry; the oldest entry is dropped once the buffer is full
+    add(viewer, type, data, overrides = {}) {
+        const entry = {
+            id: viewer.nextEntryId++,
+            time: Date.now(),
+            type: type,
+            level: overrides.level || this.getLevel(data),
+            message: overrides.message || this.summarize(data),
+            data: data
+        };
+        entry.text = `${entry.type} ${entry.message} ${typeof data === 'string' ? data : JSON.stringify(data)}`;
+
+        viewer.entries.push(entry);
+        if (this.matches(viewer, entry)) {
+            viewer.filtered.push(entry);
+            if (viewer.paused) viewer.unseen++;
+        }
+
+        if (viewer.entries.length > viewer.bufferSize) {
+            const removed = viewer.entries.shift();
+            viewer.dropped++;
+            if (viewer.filtered[0] === removed) {
+                viewer.filtered.shift();
+
+                // Keep the rows a paused reader is looking at in place
+                if (viewer.paused) viewer.list.scrollTop -= this.rowHeight;
+            }
+            if (viewer.selectedId === removed.id) this.select(viewer, null);
+        }
+
+        this.scheduleRender(viewer, true);
+        return entry;
+    },
+
+    // Level of a streamed payload: its own level field, else the frame's error state
+    getLevel(data) {
+        if (!data || typeof data !== 'object') return 'info';
+
+        if (data.level) {
+            return this.levelAliases[String(data.level).toLowerCase()] || 'info';
+        }
+
+        const core = window.TaskListProcessor.Core;
+        if (core.getProperty(data, 'ErrorMessage')) return 'error';
+
+        const latest = this.getLatestTask(data);
+        if (latest && core.getProperty(latest, 'IsSuccessful') === false) return 'warning';
+        return 'info';
+    },
+
+    // One-line description of a streamed payload
+    summarize(data) {
+        if (typeof data === 'string') return data;
+        if (!data || typeof data !== 'object') return String(data);
+        if (data.message) return String(data.message);
+
+        const core = window.TaskListProcessor.Core;
+        const errorMessage = core.getProperty(data, 'ErrorMessage');
+        if (errorMessage) return String(errorMessage);
+
+        const latest = this.getLatestTask(data);
+        if (latest) {
+            const telemetry = core.getProperty(data, 'DetailedTelemetry');
+            const succeeded = core.getProperty(latest, 'IsSuccessful');
+            const taskError = core.getProperty(latest, 'ErrorMessage');
+            return `${core.getProperty(latest, 'TaskName')} ${succeeded ? 'completed' : 'failed'} in ${core.getProperty(latest, 'ElapsedMilliseconds')}ms`
+                + `${!succeeded && taskError ? `: ${taskError}` : ''} (${telemetry.length} task(s) reported)`;
+        }
+
+        const json = JSON.stringify(data);
+        return json.length > 200 ? `${json.slice(0, 200)}…` : json;
+    },
+
+    // Newest task of a TaskProcessingResultViewModel frame
+    getLatestTask(data) {
+        const telemetry = window.TaskListProcessor.Core.getProperty(data, 'DetailedTelemetry');
+        return Array.isArray(telemetry) && telemetry.length > 0 ? telemetry[telemetry.length - 1] : null;
+    },
+
+    // Search pattern for the filter box: null for no filter, false for an invalid regular expression
+    getPattern(query, isRegex) {
+        if (!query) return null;
+
+        try {
+            return new RegExp(isRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        } catch (error) {
+            return false;
+        }
+    },
+
+    // Whether an entry passes the level filters and the search
+    matches(viewer, entry) {
+        return viewer.levels.has(entry.level) && (!viewer.pattern || viewer.pattern.test(entry.text));
+    },
+
+    // Re-apply the filters to the whole buffer
+    refilter(viewer) {
+        viewer.filtered = viewer.entries.filter(entry => this.matches(viewer, entry));
+        this.scheduleRender(viewer, true);
+    },
+
+    // Pausing stops auto-scroll; events keep arriving in the buffer and are counted on the Resume button
+    setPaused(viewer, paused) {
+        viewer.paused = paused;
+        viewer.unseen = 0;
+
+        const button = viewer.element.querySelector('[data-log-action="pause"]');
+        button.setAttribute('aria-pressed', String(paused));
+        button.classList.toggle('active', paused);
+        button.querySelector('i').className = `bi ${paused ? 'bi-play-fill' : 'bi-pause-fill'} me-1`;
+
+        this.scheduleRender(viewer, true);
+    },
+
+    // Forget every entry
+    clear(viewer) {
+        viewer.entries = [];
+        viewer.filtered = [];
+        viewer.dropped = 0;
+        viewer.unseen = 0;
+        this.select(viewer, null);
+        this.scheduleRender(viewer, true);
+    },
+
+    // Show an entry's JSON below the list, or hide the panel with null
+    select(viewer, id) {
+        viewer.selectedId = id;
+
+        const detail = viewer.element.querySelector('[data-log-detail]');
+        const entry = id === null ? null : viewer.entries.find(item => item.id === id);
+        detail.classList.toggle('d-none', !entry);
+
+        if (entry) {
+            const { html } = window.TaskListProcessor.Core;
+            detail.innerHTML = html`
+                <div class="d-flex justify-content-between align-items-center mb-2">
+                    <small class="text-muted">#${entry.id} · ${entry.type} · ${new Date(entry.time).toLocaleTimeString()}</small>
+                    <button type="button" class="btn-close btn-sm" data-log-action="close-detail" aria-label="Close details"></button>
+                </div>
+                <pre class="mb-0"><code data-lang="json">${JSON.stringify(entry.data, null, 2)}</code></pre>
+            `;
+        } else {
+            detail.innerHTML = '';
+        }
+
+        this.scheduleRender(viewer, false);
+    },
+
+    // Download the buffered entries as JSON
+    download(viewer) {
+        const Export = window.TaskListProcessor.Export;
+        const entries = viewer.entries.map(entry => ({
+            id: entry.id,
+            time: new Date(entry.time).toISOString(),
+            type: entry.type,
+            level: entry.level,
+            message: entry.message,
+            data: entry.data
+        }));
+
+        Export.download(JSON.stringify(entries, null, 2), `${Export.getFileName()}-log.json`, 'application/json');
+    },
+
+    // Render at most once per frame; follow marks an update that may auto-scroll
+    scheduleRender(viewer, follow) {
+        viewer.follow = viewer.follow || follow;
+        if (viewer.frame) return;
+
+        viewer.frame = requestAnimationFrame(() => {
+            viewer.frame = null;
+            this.render(viewer);
+        });
+    },
+
+    // Counts, status line and the visible rows
+    render(viewer) {
+        const { element, list } = viewer;
+
+        const counts = {};
+        viewer.entries.forEach(entry => { counts[entry.level] = (counts[entry.level] || 0) + 1; });
+        element.querySelectorAll('[data-log-count]').forEach(badge => {
+            badge.textContent = counts[badge.dataset.logCount] || 0;
+        });
+
+        element.querySelector('[data-log-pause-label]').textContent = viewer.paused
+            ? `Resume${viewer.unseen > 0 ? ` (${viewer.unseen} new)` : ''}`
+            : 'Pause';
+
+        element.querySelector('[data-log-status]').textContent =
+            `${viewer.filtered.length} of ${viewer.entries.length} entries`
+            + (viewer.dropped > 0 ? ` · ${viewer.dropped} older entries dropped (buffer ${viewer.bufferSize})` : '');
+
+        viewer.spacer.style.height = `${viewer.filtered.length * this.rowHeight}px`;
+        if (viewer.follow && !viewer.paused) {
+            list.scrollTop = list.scrollHeight;
+        }
+        viewer.follow = false;
+
+        this.renderRows(viewer);
+    },
+
+    // Only the rows in (or near) the visible window are in the DOM
+    renderRows(viewer) {
+        const { html } = window.TaskListProcessor.Core;
+        const { list, filtered } = viewer;
+
+        const first = Math.max(Math.floor(list.scrollTop / this.rowHeight) - this.overscan, 0);
+        const last = Math.min(Math.ceil((list.scrollTop + list.clientHeight) / this.rowHeight) + this.overscan, filtered.length);
+
+        viewer.spacer.innerHTML = filtered.length === 0
+            ? html`<div class="text-muted p-3">${viewer.entries.length === 0 ? 'Waiting for events...' : 'No entries match the filters'}</div>`
+            : html`${filtered.slice(first, last).map((entry, offset) => html`
+                <button type="button" class="log-viewer-row ${entry.id === viewer.selectedId && 'active'}"
+                        style="top: ${(first + offset) * this.rowHeight}px" data-log-entry="${entry.id}"
+                        aria-expanded="${String(entry.id === viewer.selectedId)}">
+                    <span class="text-muted">${new Date(entry.time).toLocaleTimeString()}</span>
+                    <span class="badge text-bg-${this.levels[entry.level].color} log-viewer-level">${entry.level}</span>
+                    <span class="text-muted log-viewer-type">${entry.type}</span>
+                    <span class="log-viewer-message">${this.highlight(entry.message, viewer.pattern)}</span>
+                </button>
+            `)}`;
+    },
+
+    // Message with the search matches wrapped in <mark>
+    highlight(text, pattern) {
+        if (!pattern) return text;
+
+        const { html } = window.TaskListProcessor.Core;
+        const global = new RegExp(pattern.source, `${pattern.flags}g`);
+        const parts = [];
+        let index = 0;
+
+        for (const match of text.matchAll(global)) {
+            if (!match[0]) continue;
+            parts.push(text.slice(index, match.index), html`<mark>${match[0]}</mark>`);
+            index = match.index + match[0].length;
+        }
+        parts.push(text.slice(index));
+
+        return parts;
+    }
+};
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    LogViewer.init();
+});
+
+// Expose to global namespace
+window.TaskListProcessor.LogViewer = LogViewer;
+
+export default LogViewer;
@@ -0,0 +1,330 @@
+/**
+ * TaskListProcessor Web - Notifications Module
+ * Notification center: de-duplicated toasts with action buttons and a bell-icon history panel
+ */
+
+const Notifications = {
+    // Toasts on screen at once; the oldest is hidden to make room
+    maxVisible: 3,
+    maxHistory: 50,
+    defaultDuration: 5000,
+
+    // History survives page navigation within the tab
+    storageKey: 'TaskListProcessor.notifications',
+
+    // Past notifications, newest last: { id, key, message, type, count, createdAt, updatedAt, read }
+    history: [],
+    nextId: 1,
+
+    // Toasts on screen by de-duplication key: { entry, element, toast, persistent }
+    visible: new Map(),
+
+    isInitialized: false,
+
+    // Initialize notifications module
+    init() {
+        if (this.isInitialized) return;
+
+        this.history = this.loadHistory();
+        this.nextId = this.history.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+        this.updateBell();
+
+        const bell = document.getElementById('notificationBell');
+        if (bell) {
+            bell.addEventListener('show.bs.dropdown', () => this.renderHistory());
+            bell.addEventListener('hidden.bs.dropdown', () => this.markAllRead());
+        }
+
+        document.addEventListener('click', (event) => {
+            if (event.target.closest('[data-notification-clear]')) {
+                this.clearHistory();
+            }
+        });
+
+        // Run outcomes: completed streams link to their results, failed streams can be retried
+        document.addEventListener('run-finished', (event) => this.notifyRunFinished(event.detail));
+
+        this.isInitialized = true;
+        console.log('Notifications module initialized');
+    },
+
+    // Show a notification. Identical messages (same options.key, or same type and text)
+    // collapse into the toast already on screen with a count. Errors ('danger', or its alias
+    // 'error') stay until dismissed unless a duration is given or options.persistent is false.
+    // options: duration (ms), persistent (stay until dismissed), key, actions [{ label, icon, onClick, dismiss }]
+    notify(message, requestedType = 'info', options = {}) {
+        const type = requestedType === 'error' ? 'danger' : requestedType;
+        const settings = typeof options === 'number' ? { duration: options } : options;
+        const key = settings.key || `${type}:${message}`;
+        const persistent = Boolean(settings.persistent ?? (type === 'danger' && settings.duration === undefined));
+
+        // A different type under the same key replaces the toast on screen
+        let current = this.visible.get(key);
+        if (current && current.entry.type !== type) {
+            this.dismiss(current);
+            current = null;
+        }
+
+        if (current) {
+            current.entry.count++;
+            current.entry.updatedAt = Date.now();
+            current.entry.read = false;
+            current.entry.message = message;
+            this.updateToast(current);
+            this.saveHistory();
+            this.updateBell();
+
+            // Showing again restarts the autohide delay
+            current.toast.show();
+            return current.entry;
+        }
+
+        const entry = {
+            id: this.nextId++,
+            key: key,
+            message: String(message),
+            type: type,
+            count: 1,
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+            read: false
+        };
+        this.history.push(entry);
+        if (this.history.length > this.maxHistory) {
+            this.history.splice(0, this.history.length - this.maxHistory);
+        }
+        this.saveHistory();
+        this.updateBell();
+
+        this.makeRoom();
+        this.showToast(entry, settings.actions || [], persistent, settings.duration ?? this.defaultDuration);
+        return entry;
+    },
+
+    // Hide the oldest toasts (timed ones first) so a new one stays within maxVisible
+    makeRoom() {
+        const shown = Array.from(this.visible.values());
+        const excess = shown.length - this.maxVisible + 1;
+        if (excess <= 0) return;
+
+        shown
+            .sort((a, b) => (a.persistent - b.persistent) || (a.entry.updatedAt - b.entry.updatedAt))
+            .slice(0, excess)
+            .forEach(item => this.dismiss(item));
+    },
+
+    // Render and show a toast
+    showToast(entry, actions, persistent, duration) {
+        const core = window.TaskListProcessor.Core;
+        const { html } = core;
+        const container = this.getToastContainer();
+
+        container.insertAdjacentHTML('beforeend', html`
+            <div class="toast align-items-center text-bg-${entry.type} border-0" role="${entry.type === 'danger' ? 'alert' : 'status'}"
+                 aria-live="${entry.type === 'danger' ? 'assertive' : 'polite'}" aria-atomic="true">
+                <div class="d-flex">
+                    <div class="toast-body">
+                        <i class="bi bi-${core.getIconForType(entry.type)} me-2"></i>
+                        <span data-notification-message>${entry.message}</span>
+                        <span class="badge rounded-pill text-bg-light ms-1 d-none" data-notification-count></span>
+                        ${actions.length > 0 && html`
+                            <div class="d-flex gap-2 mt-2 pt-2 border-top border-light border-opacity-25">
+                                ${actions.map((action, index) => html`
+                                    <button type="button" class="btn btn-sm btn-light" data-notification-action="${index}">
+                                        ${action.icon && html`<i class="bi ${action.icon} me-1"></i>`}${action.label}
+                                    </button>
+                                `)}
+                            </div>
+                        `}
+                    </div>
+                    <button type="button" class="btn-close btn-close-white me-2 mt-2" data-bs-dismiss="toast" aria-label="Close"></button>
+                </div>
+            </div>
+        `.toString());
+
+        const element = container.lastElementChild;
+        const item = {
+            entry: entry,
+            element: element,
+            persistent: persistent,
+            toast: new bootstrap.Toast(element, { autohide: !persistent, delay: duration })
+        };
+        this.visible.set(entry.key, item);
+
+        element.querySelectorAll('[data-notification-action]').forEach(button => {
+            const action = actions[Number(button.dataset.notificationAction)];
+            button.addEventListener('click', () => {
+                if (action.dismiss !== false) this.dismiss(item);
+                if (typeof action.onClick === 'function') action.onClick();
+            });
+        });
+
+        element.addEventListener('hidden.bs.toast', () => {
+            if (this.visible.get(entry.key) === item) {
+                this.visible.delete(entry.key);
+            }
+            element.remove();
+        });
+
+        item.toast.show();
+    },
+
+    // Refresh the message and count of a collapsed toast
+    updateToast(item) {
+        item.element.querySelector('[data-notification-message]').textContent = item.entry.message;
+
+        const count = item.element.querySelector('[data-notification-count]');
+        count.textContent = `×${item.entry.count}`;
+        count.classList.toggle('d-none', item.entry.count < 2);
+    },
+
+    // Hide a toast now
+    dismiss(item) {
+        this.visible.delete(item.entry.key);
+        item.toast.hide();
+    },
+
+    // Get or create the toast container
+    getToastContainer() {
+        let container = document.querySelector('.toast-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'toast-container position-fixed top-0 end-0 p-3';
+            document.body.appendChild(container);
+        }
+        return container;
+    },
+
+    // Toasts for finished stream runs
+    notifyRunFinished(run) {
+        if (run.kind !== 'stream' || !run.containerId || run.notify === false) return;
+
+        if (run.status === 'completed') {
+            this.notify('Streaming run completed', 'success', {
+                key: `run:${run.containerId}`,
+                actions: [{
+                    label: 'View results',
+                    icon: 'bi-arrow-down-circle',
+                    onClick: () => {
+                        const container = document.getElementById(run.containerId);
+                        if (container) container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                    }
+                }]
+            });
+        } else if (run.status === 'failed') {
+            const message = run.error && run.error.message ? run.error.message : 'Streaming run failed';
+            this.notify(message, 'danger', {
+                key: `run:${run.containerId}`,
+                actions: typeof run.retry === 'function'
+                    ? [{ label: 'Retry', icon: 'bi-arrow-repeat', onClick: run.retry }]
+                    : []
+            });
+        }
+    },
+
+    // Number of notifications not yet seen in the history panel
+    getUnreadCount() {
+        return this.history.filter(entry => !entry.read).length;
+    },
+
+    // Update the unread badge on the bell
+    updateBell() {
+        const badge = document.querySelector('[data-notification-unread]');
+        if (!badge) return;
+
+        const unread = this.getUnreadCount();
+        badge.textContent = unread > 99 ? '99+' : String(unread);
+        badge.classList.toggle('d-none', unread === 0);
+    },
+
+    // Render the history panel, newest first
+    renderHistory() {
+        const panel = document.querySelector('[data-notification-history]');
+        if (!panel) return;
+
+        const core = window.TaskListProcessor.Core;
+        const { html } = core;
+        const entries = [...this.history].reverse();
+
+        panel.innerHTML = html`
+            <div class="d-flex justify-content-between align-items-center px-3 py-2 border-bottom">
+                <strong class="small">Notifications</strong>
+                ${entries.length > 0 && html`
+                    <button type="button" class="btn btn-sm btn-link p-0 text-decoration-none" data-notification-clear>Clear all</button>
+                `}
+            </div>
+            ${entries.length === 0 ? html`
+                <div class="px-3 py-4 text-center text-muted small">No notifications yet</div>
+            ` : html`
+                <div class="list-group list-group-flush notification-list">
+                    ${entries.map(entry => html`
+                        <div class="list-group-item d-flex gap-2 ${entry.read ? '' : 'notification-unread'}">
+                            <i class="bi bi-${core.getIconForType(entry.type)} text-${entry.type}"></i>
+                            <div class="flex-grow-1 small">
+                                <div>${entry.message}
+                                    ${entry.count > 1 && html`<span class="badge rounded-pill text-bg-secondary ms-1">×${entry.count}</span>`}
+                                </div>
+                                <div class="text-muted">${this.formatTime(entry.updatedAt)}</div>
+                            </div>
+                        </div>
+                    `)}
+                </div>
+            `}
+        `;
+    },
+
+    // Mark every notification as seen
+    markAllRead() {
+        if (this.getUnreadCount() === 0) return;
+        this.history.forEach(entry => { entry.read = true; });
+        this.saveHistory();
+        this.updateBell();
+        this.renderHistory();
+    },
+
+    // Forget the history
+    clearHistory() {
+        this.history = [];
+        this.saveHistory();
+        this.updateBell();
+        this.renderHistory();
+    },
+
+    // Relative time for the history panel
+    formatTime(timestamp) {
+        const seconds = Math.round((Date.now() - timestamp) / 1000);
+        if (seconds < 60) return 'just now';
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+        return new Date(timestamp).toLocaleString();
+    },
+
+    // Read the saved history (actions are not saved)
+    loadHistory() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved.slice(-this.maxHistory) : [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    // Save the history for the rest of the session
+    saveHistory() {
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify(this.history));
+        } catch (error) {
+            // Storage full or unavailable; the in-memory history still works
+        }
+    }
+};
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    Notifications.init();
+});
+
+// Expose to global namespace
+window.TaskListProcessor.Notifications = Notifications;
+
+export default Notifications;
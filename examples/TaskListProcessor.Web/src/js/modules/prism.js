@@ -7,115 +7,291 @@
 import Prism from 'prismjs';
 
 // Import language components for documentation
+// (markup, css, clike and javascript must load before the grammars that embed them)
+import 'prismjs/components/prism-markup';
+import 'prismjs/components/prism-css';
+import 'prismjs/components/prism-clike';
+import 'prismjs/components/prism-javascript';
+import 'prismjs/components/prism-typescript';
 import 'prismjs/components/prism-csharp';
+import 'prismjs/components/prism-cshtml';
 import 'prismjs/components/prism-json';
 import 'prismjs/components/prism-xml-doc';
 import 'prismjs/components/prism-bash';
 import 'prismjs/components/prism-powershell';
 import 'prismjs/components/prism-yaml';
 import 'prismjs/components/prism-markdown';
+import 'prismjs/components/prism-diff';
 
 // Import plugins
 import 'prismjs/plugins/line-numbers/prism-line-numbers';
 import 'prismjs/plugins/copy-to-clipboard/prism-copy-to-clipboard';
 import 'prismjs/plugins/toolbar/prism-toolbar';
+import 'prismjs/plugins/line-highlight/prism-line-highlight';
+import 'prismjs/plugins/diff-highlight/prism-diff-highlight';
 
 const PrismJS = {
+    // Blocks longer than this many lines start collapsed (override per block with data-collapse-lines,
+    // opt out with data-collapse="false")
+    collapseThreshold: 25,
+
+    isInitialized: false,
+
     init() {
-        this.setupCodeBlocks();
-        this.enhanceCodeBlocks();
+        if (this.isInitialized) return;
+
+        // Code blocks are highlighted and wrapped whenever they appear, including rendered docs and results
+        window.TaskListProcessor.Core.registerComponent({
+            name: 'code-block',
+            selector: 'pre code',
+            mount: codeBlock => this.mountCodeBlock(codeBlock)
+        });
+
+        this.isInitialized = true;
         console.log('PrismJS syntax highlighting initialized');
     },
 
-    // Setup existing code blocks for PrismJS
-    setupCodeBlocks() {
-        // Find existing code blocks and prepare them for PrismJS
-        const codeBlocks = document.querySelectorAll('.code-block pre code, pre code');
-        
-        codeBlocks.forEach(codeBlock => {
-            // Determine language from context or class
-            let language = this.detectLanguage(codeBlock);
-            
-            // Add language class if not present
-            if (!codeBlock.className.includes('language-')) {
-                codeBlock.className = `language-${language} ${codeBlock.className}`.trim();
-            }
-            
-            // Add line numbers if parent has line-numbers class
-            const pre = codeBlock.parentElement;
+    // Names accepted in data-lang and first-line markers, mapped to Prism grammar ids
+    languageAliases: {
+        'c#': 'csharp',
+        'cs': 'csharp',
+        'js': 'javascript',
+        'ts': 'typescript',
+        'razor': 'cshtml',
+        'html': 'markup',
+        'xml': 'markup',
+        'svg': 'markup',
+        'sh': 'bash',
+        'shell': 'bash',
+        'ps': 'powershell',
+        'ps1': 'powershell',
+        'pwsh': 'powershell',
+        'yml': 'yaml',
+        'md': 'markdown',
+        'plaintext': 'text',
+        'txt': 'text',
+        'none': 'text'
+    },
+
+    // First-line marker comment: "// lang: js", "# language: bash", "<!-- lang: html -->", "@* lang: razor *@"
+    languageMarker: /^\s*(?:\/\/|\/\*|#|--|<!--|@\*)\s*lang(?:uage)?\s*[:=]\s*([\w#+-]+)/i,
+
+    // Weighted signals per grammar. A block is labelled with the best-scoring grammar when it
+    // reaches minimumScore and beats the runner-up; anything less clear-cut is labelled text.
+    // Grammars with `extends` add the base grammar's score once one of their own signals matches.
+    languageSignals: {
+        csharp: {
+            patterns: [
+                [/\busing\s+(static\s+)?System(\.[\w.]+)?;/, 5],
+                [/\bnamespace\s+[\w.]+/, 4],
+                [/\b(public|private|protected|internal)\s+(static\s+|sealed\s+|abstract\s+|async\s+|override\s+|readonly\s+)*(class|record|interface|enum|void|Task|string|int|bool)\b/, 4],
+                [/\b(string|int|bool|decimal|double|Task|IEnumerable|List)(<[\w<>, ?]+>)?\??\s+\w+\s*[=;{(]/, 3],
+                [/\bawait\s+[\w.]+Async\s*\(/, 2],
+                [/^\s*\[[A-Z]\w*(\(.*\))?\]\s*$/m, 2],
+                [/^\s*[A-Z]\w*\s*=\s*[^=;]+,?\s*$/m, 2],
+                [/\bnew\s+[A-Z]\w*(<[^>]+>)?\s*[({]/, 1],
+                [/\bvar\s+\w+\s*=/, 1],
+                [/\bI[A-Z]\w+\b/, 1]
+            ]
+        },
+        javascript: {
+            patterns: [
+                [/\b(document|window)\.\w+|\bconsole\.(log|error|warn)\(/, 4],
+                [/^\s*import\s+.+\s+from\s+['"]/m, 3],
+                [/^\s*export\s+(default|const|function|class)\b/m, 3],
+                [/\brequire\(\s*['"]/, 3],
+                [/\b(const|let)\s+\w+\s*=/, 3],
+                [/\bfunction\s*\w*\s*\(/, 2],
+                [/===|!==/, 2],
+                [/\bawait\s+fetch\s*\(/, 2],
+                [/=>\s*[{(\w]/, 1],
+                [/\bvar\s+\w+\s*=/, 1]
+            ]
+        },
+        typescript: {
+            extends: 'javascript',
+            patterns: [
+                [/\w\s*:\s*(string|number|boolean|any|unknown|void|never)(\[\])?\b/, 4],
+                [/^\s*(export\s+)?type\s+\w+\s*=/m, 4],
+                [/^\s*(export\s+)?interface\s+\w+\s*(extends\s+[\w, ]+)?\{/m, 3],
+                [/\bas\s+(const|string|number|unknown)\b/, 2],
+                [/\b(public|private|readonly)\s+\w+\s*:/, 2]
+            ]
+        },
+        css: {
+            patterns: [
+                [/^\s*@(media|import|keyframes|font-face|supports)\b/m, 4],
+                [/^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/m, 2],
+                [/\b(color|margin|padding|display|font-size|background|border|width|height)\s*:\s*[^;]+;/, 3],
+                [/^[ \t]*[.#]?[\w-]+([ \t>+~.#:[\]=-]+[\w-]*)*[ \t]*\{[ \t]*$/m, 2],
+                [/!important\b/, 2]
+            ]
+        },
+        cshtml: {
+            patterns: [
+                [/^\s*@model\s+[\w.<>]+/m, 5],
+                [/^\s*@(using|inject|page|section|addTagHelper)\b/m, 4],
+                [/@\{/, 4],
+                [/@(if|foreach|for|switch|while)\s*\(/, 4],
+                [/@(Html|Url|Model|ViewData|ViewBag)\.|\basp-(for|action|controller|route)\b/, 4],
+                [/<\/?[a-z][\w-]*(\s[^>]*)?>/i, 1]
+            ]
+        },
+        markup: {
+            patterns: [
+                [/<!DOCTYPE\s+html|<html[\s>]/i, 4],
+                [/<\/[a-z][\w:-]*>/i, 3],
+                [/<[a-z][\w:-]*(\s+[\w:-]+(=("[^"]*"|'[^']*'|[^\s>]+))?)*\s*\/?>/i, 2],
+                [/<!--[\s\S]*?-->/, 1]
+            ]
+        },
+        bash: {
+            patterns: [
+                [/^#!\/(usr\/)?bin\/(env\s+)?(ba|z)?sh/m, 6],
+                [/^\s*\$\s+\w/m, 3],
+                [/^\s*(npm|npx|yarn|dotnet|git|cd|mkdir|curl|wget|sudo|apt(-get)?|docker|chmod|export|echo)\s/m, 3],
+                [/\s--?[a-z][\w-]*/, 1],
+                [/&&|\|\s*(grep|tail|head|xargs)\b/, 1]
+            ]
+        },
+        powershell: {
+            patterns: [
+                [/\b(Get|Set|New|Remove|Invoke|Write|Test|Start|Stop|Import|Install)-[A-Z]\w+/, 5],
+                [/\$env:\w+/, 4],
+                [/\s-(eq|ne|gt|ge|lt|le|like|match|and|or|not)\s/, 3],
+                [/\$\w+\s*=/, 1]
+            ]
+        },
+        yaml: {
+            patterns: [
+                [/^---\s*$/m, 2],
+                [/^\s*-\s+[\w-]+:\s/m, 3],
+                [/^[\w-]+:\s*$/m, 2],
+                [/^\s*[\w-]+:\s+[^\s{;][^;{}]*$/m, 1]
+            ]
+        },
+        markdown: {
+            patterns: [
+                [/^```/m, 4],
+                [/\[[^\]]+\]\([^)\s]+\)/, 3],
+                [/^#{1,6}\s+\S/m, 2],
+                [/\*\*[^*\n]+\*\*/, 2],
+                [/^\s*[-*]\s+\S/m, 1]
+            ]
+        }
+    },
+
+    // Lowest score that counts as a clear match
+    minimumScore: 3,
+
+    // Prepare, highlight and wrap one code block
+    mountCodeBlock(codeBlock) {
+        this.setupCodeBlock(codeBlock);
+        Prism.highlightElement(codeBlock);
+
+        // Wrap in Bootstrap card if not already wrapped
+        const pre = codeBlock.parentElement;
+        if (pre && pre.tagName === 'PRE' && !pre.closest('.code-block-enhanced')) {
+            this.wrapCodeBlock(pre);
+        }
+    },
+
+    // Set the language class and plugin attributes PrismJS reads
+    setupCodeBlock(codeBlock) {
+        const pre = codeBlock.parentElement;
+        const explicit = codeBlock.dataset.lang || (pre && pre.dataset.lang);
+
+        // data-lang wins over any language- class; otherwise a class is kept as is
+        if (explicit || !/\blanguage-/.test(codeBlock.className)) {
+            const language = explicit ? this.resolveLanguage(explicit) : this.detectLanguage(codeBlock);
+            codeBlock.className = `language-${language} ${codeBlock.className.replace(/\blanguage-[\w-]+/g, '')}`.trim();
             if (pre && pre.tagName === 'PRE') {
-                pre.classList.add('line-numbers');
+                pre.className = pre.className.replace(/\blanguage-[\w-]+/g, '').trim();
             }
-        });
+        }
         
-        // Highlight all code blocks
-        Prism.highlightAll();
+        if (pre && pre.tagName === 'PRE') {
+            // Add line numbers if parent has line-numbers class
+            pre.classList.add('line-numbers');
+
+            // The line-highlight plugin reads data-line from the <pre>
+            if (codeBlock.dataset.line && !pre.dataset.line) {
+                pre.dataset.line = codeBlock.dataset.line;
+            }
+
+            // diff-<language> blocks highlight the nested language inside +/- lines
+            if (/\blanguage-diff-/.test(codeBlock.className)) {
+                pre.classList.add('diff-highlight');
+            }
+        }
     },
 
-    // Detect language from code content
+    // Detect language: data-lang, then a first-line marker comment, then JSON, then signal scoring
     detectLanguage(codeBlock) {
+        const explicit = codeBlock.dataset && codeBlock.dataset.lang;
+        if (explicit) {
+            return this.resolveLanguage(explicit);
+        }
+
         const content = codeBlock.textContent || codeBlock.innerText || '';
-        
-        // C# patterns
-        if (content.includes('using System') || 
-            content.includes('var ') || 
-            content.includes('new ') ||
-            content.includes('public class') ||
-            content.includes('namespace ') ||
-            content.match(/\b(var|using|public|private|class|interface|namespace)\b/)) {
-            return 'csharp';
+        const trimmed = content.trim();
+        if (!trimmed) return 'text';
+
+        const marker = this.languageMarker.exec(trimmed.split(/\r?\n/, 1)[0]);
+        if (marker) {
+            return this.resolveLanguage(marker[1]);
         }
-        
-        // JSON patterns
-        if (content.trim().startsWith('{') && content.trim().endsWith('}') ||
-            content.trim().startsWith('[') && content.trim().endsWith(']')) {
+
+        if (/^[{[]/.test(trimmed)) {
             try {
-                JSON.parse(content.trim());
+                JSON.parse(trimmed);
                 return 'json';
             } catch (e) {
                 // Not valid JSON, continue detection
             }
         }
-        
-        // PowerShell patterns
-        if (content.includes('$') && content.includes('-') ||
-            content.includes('Get-') || content.includes('Set-') ||
-            content.includes('New-') || content.includes('Remove-')) {
-            return 'powershell';
-        }
-        
-        // Bash/Shell patterns
-        if (content.includes('#!/bin/bash') || content.includes('npm run') ||
-            content.includes('dotnet ') || content.includes('cd ') ||
-            content.match(/^[\w-]+@[\w-]+:/)) {
-            return 'bash';
-        }
-        
-        // XML/HTML patterns
-        if (content.includes('<') && content.includes('>') &&
-            content.match(/<\/?[\w-]+[^>]*>/)) {
-            return 'markup';
-        }
-        
-        // YAML patterns
-        if (content.includes(':') && content.match(/^\s*[\w-]+:\s*[\w-]/m)) {
-            return 'yaml';
+
+        const [best, runnerUp] = this.scoreLanguages(content);
+        if (!best || best.score < this.minimumScore || (runnerUp && runnerUp.score === best.score)) {
+            return 'text';
         }
-        
-        // Default to csharp for our documentation
-        return 'csharp';
+        return best.language;
     },
 
-    // Enhance code blocks with Bootstrap 5 styling
-    enhanceCodeBlocks() {
-        const codeBlocks = document.querySelectorAll('pre[class*="language-"]');
-        
-        codeBlocks.forEach(pre => {
-            // Wrap in Bootstrap card if not already wrapped
-            if (!pre.closest('.code-block-enhanced')) {
-                this.wrapCodeBlock(pre);
-            }
+    // Score every grammar in languageSignals against the content, best first
+    scoreLanguages(content) {
+        const own = {};
+        Object.entries(this.languageSignals).forEach(([language, signals]) => {
+            own[language] = signals.patterns.reduce(
+                (score, [pattern, weight]) => pattern.test(content) ? score + weight : score,
+                0
+            );
         });
+
+        return Object.entries(this.languageSignals)
+            .map(([language, signals]) => ({
+                language: language,
+                score: signals.extends && own[language] > 0
+                    ? own[language] + own[signals.extends]
+                    : own[language]
+            }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score);
+    },
+
+    // Map a data-lang or marker value to a loaded Prism grammar, or text
+    resolveLanguage(name) {
+        const key = String(name).trim().toLowerCase();
+
+        // diff-csharp, diff-js, ...: diff markers around a highlighted language
+        const diff = /^diff-(.+)$/.exec(key);
+        if (diff) {
+            const base = this.resolveLanguage(diff[1]);
+            return base === 'text' ? 'diff' : `diff-${base}`;
+        }
+
+        const language = this.languageAliases[key] || key;
+        return Prism.languages[language] ? language : 'text';
     },
 
     // Wrap code block in Bootstrap card
@@ -124,19 +300,44 @@ const PrismJS = {
         wrapper.className = 'code-block-enhanced card border-0 shadow-sm mb-4';
         
         const header = document.createElement('div');
-        header.className = 'card-header bg-light border-0 py-2 px-3';
+        header.className = 'card-header bg-body-tertiary border-0 py-2 px-3';
         
         const language = this.getLanguageFromClass(pre.className);
         const languageLabel = this.getLanguageLabel(language);
+        const lineCount = this.getLineCount(pre);
+        const collapseAfter = this.getCollapseThreshold(pre);
+        const isCollapsible = collapseAfter > 0 && lineCount > collapseAfter;
+        const isRunnable = pre.hasAttribute('data-runnable') || !!pre.querySelector('code[data-runnable]');
         
-        header.innerHTML = `
+        const { html } = window.TaskListProcessor.Core;
+
+        // The language label comes from the page's class names, so it is escaped
+        header.innerHTML = html`
             <div class="d-flex justify-content-between align-items-center">
                 <small class="text-muted fw-medium">
                     <i class="bi bi-code-slash me-1"></i>${languageLabel}
+                    <span class="ms-2">${lineCount} lines</span>
                 </small>
-                <button class="btn btn-sm btn-outline-secondary copy-btn" type="button" title="Copy to clipboard">
-                    <i class="bi bi-clipboard"></i>
-                </button>
+                <div class="d-flex gap-1">
+                    ${isRunnable && html`
+                        <button class="btn btn-sm btn-outline-success code-toolbar-btn run-btn" type="button" title="Run this example">
+                            <i class="bi bi-play-fill me-1"></i>Run
+                        </button>
+                    `}
+                    ${isCollapsible && html`
+                        <button class="btn btn-sm btn-outline-secondary code-toolbar-btn collapse-btn" type="button"
+                                aria-expanded="false" title="Expand code">
+                            <i class="bi bi-arrows-expand"></i>
+                        </button>
+                    `}
+                    <button class="btn btn-sm btn-outline-secondary code-toolbar-btn wrap-btn" type="button"
+                            aria-pressed="false" title="Toggle word wrap">
+                        <i class="bi bi-text-wrap"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-secondary copy-btn" type="button" title="Copy to clipboard">
+                        <i class="bi bi-clipboard"></i>
+                    </button>
+                </div>
             </div>
         `;
         
@@ -156,11 +357,66 @@ const PrismJS = {
         if (copyBtn) {
             copyBtn.addEventListener('click', () => this.copyCode(pre, copyBtn));
         }
+
+        const runBtn = header.querySelector('.run-btn');
+        if (runBtn) {
+            runBtn.addEventListener('click', () => window.TaskListProcessor.Samples.run(wrapper, pre, runBtn));
+        }
+
+        const wrapBtn = header.querySelector('.wrap-btn');
+        wrapBtn.addEventListener('click', () => this.toggleWrap(pre, wrapBtn));
+
+        const collapseBtn = header.querySelector('.collapse-btn');
+        if (collapseBtn) {
+            wrapper.classList.add('code-block-collapsible');
+            body.style.setProperty('--code-collapsed-lines', collapseAfter);
+            this.setCollapsed(wrapper, collapseBtn, true);
+            collapseBtn.addEventListener('click', () => {
+                this.setCollapsed(wrapper, collapseBtn, !wrapper.classList.contains('is-collapsed'));
+            });
+        }
+    },
+
+    // Number of source lines in a block (ignoring a trailing newline)
+    getLineCount(pre) {
+        const code = pre.querySelector('code') || pre;
+        return code.textContent.replace(/\r?\n$/, '').split(/\r?\n/).length;
+    },
+
+    // data-collapse-lines / data-collapse="false" on the <pre> or <code>, else collapseThreshold
+    getCollapseThreshold(pre) {
+        const code = pre.querySelector('code');
+        const setting = (name) => pre.dataset[name] ?? (code && code.dataset[name]);
+
+        if (setting('collapse') === 'false') return 0;
+        const lines = parseInt(setting('collapseLines'), 10);
+        return Number.isInteger(lines) && lines > 0 ? lines : this.collapseThreshold;
+    },
+
+    // Collapse a long block to its first lines, or show it in full
+    setCollapsed(wrapper, button, collapsed) {
+        wrapper.classList.toggle('is-collapsed', collapsed);
+        button.setAttribute('aria-expanded', String(!collapsed));
+        button.title = collapsed ? 'Expand code' : 'Collapse code';
+        button.querySelector('i').className = `bi bi-${collapsed ? 'arrows-expand' : 'arrows-collapse'}`;
+    },
+
+    // Toggle soft wrapping of long lines
+    toggleWrap(pre, button) {
+        const wrapped = pre.classList.toggle('code-wrap');
+        button.setAttribute('aria-pressed', String(wrapped));
+        button.classList.toggle('active', wrapped);
+
+        // Line numbers and highlighted ranges are measured per line, so re-run the plugins
+        const code = pre.querySelector('code');
+        if (code) {
+            Prism.highlightElement(code);
+        }
     },
 
     // Get language from class name
     getLanguageFromClass(className) {
-        const match = className.match(/language-(\w+)/);
+        const match = className.match(/language-([\w-]+)/);
         return match ? match[1] : 'text';
     },
 
@@ -168,6 +424,7 @@ const PrismJS = {
     getLanguageLabel(language) {
         const labels = {
             'csharp': 'C#',
+            'cshtml': 'Razor',
             'json': 'JSON',
             'javascript': 'JavaScript',
             'typescript': 'TypeScript',
@@ -179,8 +436,15 @@ const PrismJS = {
             'yaml': 'YAML',
             'markdown': 'Markdown',
             'xml': 'XML',
-            'markup': 'HTML'
+            'markup': 'HTML',
+            'text': 'Text',
+            'diff': 'Diff'
         };
+
+        const diff = /^diff-(.+)$/.exec(language);
+        if (diff) {
+            return `${this.getLanguageLabel(diff[1])} (diff)`;
+        }
         return labels[language] || language.toUpperCase();
     },
 
@@ -0,0 +1,262 @@
+/**
+ * TaskListProcessor Web - Progress Module
+ * Progress and ETA for in-flight runs: completed/total tasks, percent, elapsed time and an
+ * estimate from observed task durations, for streamed and single-response runs alike
+ */
+
+const Progress = {
+    // Each city is processed as a weather task and an activities task
+    tasksPerCity: 2,
+
+    // Scenarios that run a fixed set of tasks whatever the selected cities (TaskProcessingService):
+    // IndividualTask fetches the first city's weather, CancellationDemo runs three timed tasks
+    fixedTaskCounts: { IndividualTask: 1, CancellationDemo: 3 },
+
+    // Scenarios that run tasksPerCity tasks for every selected city
+    cityScenarios: ['MainProcessing', 'ConcurrentProcessingDemo', 'StreamingDemo'],
+
+    // Task durations from finished runs, so runs without streamed frames can be estimated too
+    storageKey: 'TaskListProcessor.taskDurations',
+    maxObservations: 50,
+
+    // Elapsed time and ETA are refreshed this often
+    tickInterval: 1000,
+
+    // An estimate without frames never claims more than this fraction before the result arrives
+    maxEstimatedFraction: 0.95,
+
+    // Trackers by element: { element, total, concurrency, startedAt, completed, durations, ... }
+    trackers: new WeakMap(),
+
+    // Tasks a ProcessingConfigurationViewModel will run for its Scenario (MainProcessing when
+    // unset, as on the server), or 0 (indeterminate) for a scenario this module does not know
+    getExpectedTasks(config) {
+        const { getProperty } = window.TaskListProcessor.Core;
+        const scenario = getProperty(config, 'Scenario') || 'MainProcessing';
+
+        const fixed = this.fixedTaskCounts[scenario];
+        if (typeof fixed === 'number') return fixed;
+        if (!this.cityScenarios.includes(scenario)) return 0;
+
+        const cities = getProperty(config, 'SelectedCities');
+        return Array.isArray(cities) ? cities.length * this.tasksPerCity : 0;
+    },
+
+    // Start showing progress in target (element or id).
+    // options: total (expected tasks), concurrency (MaxConcurrentTasks), startedAt (ms timestamp)
+    start(target, options = {}) {
+        const element = typeof target === 'string' ? document.getElementById(target) : target;
+        if (!element) return null;
+
+        const previous = this.trackers.get(element);
+        if (previous) clearInterval(previous.timer);
+
+        const tracker = {
+            element: element,
+            total: Math.max(parseInt(options.total, 10) || 0, 0),
+            concurrency: Math.max(parseInt(options.concurrency, 10) || 1, 1),
+            startedAt: options.startedAt || Date.now(),
+            endedAt: null,
+            status: 'running',
+            completed: 0,
+            durations: [],
+            updatedAt: null,
+            timer: null
+        };
+        this.trackers.set(element, tracker);
+
+        tracker.timer = setInterval(() => this.render(tracker), this.tickInterval);
+        this.render(tracker);
+        return tracker;
+    },
+
+    // Count the tasks a streamed frame reports as completed
+    update(tracker, result) {
+        if (!tracker || tracker.status !== 'running' || !result) return;
+
+        const telemetry = window.TaskListProcessor.Core.getProperty(result, 'DetailedTelemetry') || [];
+        tracker.completed = telemetry.length;
+        tracker.durations = this.getDurations(telemetry);
+        tracker.total = Math.max(tracker.total, tracker.completed);
+        tracker.updatedAt = Date.now();
+        this.render(tracker);
+    },
+
+    // Stop the clock. status is a Runs status: completed, failed or cancelled.
+    // A completed result's task durations are remembered for later estimates.
+    finish(tracker, status, result = null) {
+        if (!tracker || tracker.status !== 'running') return;
+
+        clearInterval(tracker.timer);
+        tracker.timer = null;
+        tracker.status = status;
+        tracker.endedAt = Date.now();
+
+        const telemetry = result && window.TaskListProcessor.Core.getProperty(result, 'DetailedTelemetry');
+        if (Array.isArray(telemetry)) {
+            tracker.completed = telemetry.length;
+            tracker.total = Math.max(tracker.total, tracker.completed);
+            if (status === 'completed') {
+                this.recordDurations(this.getDurations(telemetry));
+            }
+        }
+
+        this.render(tracker);
+    },
+
+    // ElapsedMilliseconds of every task that has one
+    getDurations(telemetry) {
+        const { getProperty } = window.TaskListProcessor.Core;
+        return telemetry
+            .map(task => Number(getProperty(task, 'ElapsedMilliseconds')))
+            .filter(duration => Number.isFinite(duration) && duration >= 0);
+    },
+
+    // Progress numbers at a moment. Streamed frames give the completed count; before the first
+    // frame (and for single-response runs) completion is estimated from remembered durations.
+    // Returns { completed, total, fraction, elapsed, eta, estimated }; fraction and eta are null when unknown.
+    estimate(tracker, now = Date.now()) {
+        const elapsed = (tracker.endedAt || now) - tracker.startedAt;
+        const { total, completed, concurrency } = tracker;
+
+        if (tracker.status !== 'running') {
+            return {
+                completed: completed,
+                total: total,
+                fraction: tracker.status === 'completed' ? 1 : (total > 0 ? completed / total : null),
+                elapsed: elapsed,
+                eta: null,
+                estimated: false
+            };
+        }
+
+        const average = this.average(tracker.durations) ?? this.getAverageDuration();
+
+        if (completed > 0 && total > 0) {
+            // Remaining tasks share the concurrency slots; the estimate counts down from the last frame
+            const remaining = total - completed;
+            let eta = null;
+            if (remaining === 0) {
+                eta = 0;
+            } else if (average !== null) {
+                eta = (remaining * average) / Math.min(concurrency, remaining) - (now - tracker.updatedAt);
+            }
+
+            return {
+                completed: completed,
+                total: total,
+                fraction: completed / total,
+                elapsed: elapsed,
+                eta: eta === null ? null : Math.max(eta, 0),
+                estimated: false
+            };
+        }
+
+        if (average === null || total === 0) {
+            return { completed: 0, total: total, fraction: null, elapsed: elapsed, eta: null, estimated: true };
+        }
+
+        // Tasks run in waves of `concurrency`, each taking about the average duration
+        const expected = Math.ceil(total / concurrency) * average;
+        const fraction = Math.min(elapsed / expected, this.maxEstimatedFraction);
+
+        return {
+            completed: Math.floor(fraction * total),
+            total: total,
+            fraction: fraction,
+            elapsed: elapsed,
+            eta: Math.max(expected - elapsed, 0),
+            estimated: true
+        };
+    },
+
+    // Render the bar and the numbers line
+    render(tracker) {
+        const { html } = window.TaskListProcessor.Core;
+        const estimate = this.estimate(tracker);
+        const running = tracker.status === 'running';
+        const percent = estimate.fraction === null ? null : Math.round(estimate.fraction * 100);
+        const colors = { running: 'primary', completed: 'success', failed: 'danger', cancelled: 'secondary' };
+        const barClass = [
+            'progress-bar',
+            `bg-${colors[tracker.status] || 'primary'}`,
+            running && 'progress-bar-striped progress-bar-animated'
+        ].filter(Boolean).join(' ');
+        const prefix = estimate.estimated && percent !== null ? '~' : '';
+
+        let eta = '';
+        if (running) {
+            if (estimate.eta === null) {
+                eta = 'Estimating...';
+            } else {
+                eta = estimate.eta > 0 ? `ETA ${this.formatDuration(estimate.eta)}` : 'Finishing...';
+            }
+        }
+
+        tracker.element.innerHTML = html`
+            <div class="run-progress" data-run-progress-status="${tracker.status}">
+                <div class="progress mb-1" role="progressbar" aria-label="Run progress"
+                     aria-valuemin="0" aria-valuemax="100"${percent !== null && html` aria-valuenow="${percent}"`}>
+                    <div class="${barClass}" style="width: ${percent ?? 100}%"></div>
+                </div>
+                <div class="d-flex flex-wrap gap-3 small text-muted">
+                    <span>
+                        <i class="bi bi-list-check me-1"></i>${estimate.total > 0
+                            ? `${prefix}${estimate.completed}/${estimate.total} tasks`
+                            : 'Tasks chosen by the server'}
+                    </span>
+                    ${percent !== null && html`<span><i class="bi bi-percent me-1"></i>${prefix}${percent}%</span>`}
+                    <span><i class="bi bi-stopwatch me-1"></i>Elapsed ${this.formatDuration(estimate.elapsed)}</span>
+                    ${eta && html`<span><i class="bi bi-hourglass-split me-1"></i>${eta}</span>`}
+                </div>
+            </div>
+        `;
+    },
+
+    // m:ss, or h:mm:ss from an hour up
+    formatDuration(ms) {
+        const seconds = Math.max(Math.round(ms / 1000), 0);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const rest = String(seconds % 60).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}`
+            : `${minutes}:${rest}`;
+    },
+
+    average(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    },
+
+    // Average remembered task duration, or null before any run has finished
+    getAverageDuration() {
+        return this.average(this.loadDurations());
+    },
+
+    loadDurations() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved.filter(Number.isFinite) : [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    // Remember the latest durations (at most maxObservations)
+    recordDurations(durations) {
+        if (durations.length === 0) return;
+
+        try {
+            const saved = this.loadDurations().concat(durations).slice(-this.maxObservations);
+            localStorage.setItem(this.storageKey, JSON.stringify(saved));
+        } catch (error) {
+            // Storage full or unavailable; estimates fall back to the current run's frames
+        }
+    }
+};
+
+// Expose to global namespace
+window.TaskListProcessor.Progress = Progress;
+
+export default Progress;
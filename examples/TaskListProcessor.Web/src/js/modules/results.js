@@ -0,0 +1,406 @@
+/**
+ * TaskListProcessor Web - Results Module
+ * Renders TaskProcessingResultViewModel JSON (summary, city cards, telemetry) for every page
+ */
+
+const Results = {
+    // Per-target state for incremental (streaming) rendering
+    states: new WeakMap(),
+
+    // Last complete result (and its configuration) shown in each target, for exports
+    rendered: new WeakMap(),
+
+    // How many forecasts / activities a city card lists
+    previewCount: 3,
+
+    // Render a complete result into target (element or id).
+    // options.timeline = { maxConcurrent } adds a task timeline chart;
+    // options.config is kept with the result for exports (options.export = false hides the menu).
+    render(target, result, options = {}) {
+        const { html } = window.TaskListProcessor.Core;
+        const element = this.resolveTarget(target);
+        if (!element) return;
+
+        this.states.delete(element);
+        element.classList.remove('results-cancelled');
+        element.innerHTML = html`${this.renderExportMenu(element, result, options)}${this.renderResults(result, options)}`;
+        this.mountTimeline(element, result, options);
+    },
+
+    // Incrementally render streamed frames into target: the progress bar and summary are
+    // refreshed, new tasks are appended, and city cards appear with the completed frame.
+    // options.expectedTasks sets the progress total when it is known up front;
+    // options.progress = false leaves the progress bar to the page.
+    update(target, result, options = {}) {
+        const { html } = window.TaskListProcessor.Core;
+        const element = this.resolveTarget(target);
+        if (!element || !result) return;
+
+        // Start over when the target was emptied or overwritten since the last frame
+        let state = this.states.get(element);
+        if (!state || !this.section(element, 'tasks')) {
+            state = { tasks: new Map() };
+            this.states.set(element, state);
+            element.innerHTML = html`
+                <div data-results-section="progress"></div>
+                <div data-results-section="summary"></div>
+                <h6 class="mt-2"><i class="bi bi-activity me-2"></i>Live Results</h6>
+                <div class="list-group mb-3" data-results-section="tasks"></div>
+                <div data-results-section="cities"></div>
+            `;
+        }
+
+        const telemetry = this.get(result, 'DetailedTelemetry') || [];
+        const summary = this.get(result, 'TelemetrySummary');
+        const isCompleted = !!this.get(result, 'IsCompleted');
+
+        if (options.progress !== false) {
+            const total = Math.max(options.expectedTasks || (summary && this.get(summary, 'TotalTasks')) || 0, telemetry.length);
+            this.section(element, 'progress').innerHTML = this.renderProgress(telemetry.length, total);
+        }
+
+        if (isCompleted && summary) {
+            this.section(element, 'summary').innerHTML =
+                html`${this.renderExportMenu(element, result, options)}${this.renderTelemetrySummary(summary)}`;
+        }
+
+        const taskList = this.section(element, 'tasks');
+        telemetry.forEach(task => {
+            const name = this.get(task, 'TaskName');
+            const markup = String(this.renderTaskItem(task));
+            const existing = state.tasks.get(name);
+
+            if (!existing) {
+                taskList.insertAdjacentHTML('beforeend', markup);
+                state.tasks.set(name, { element: taskList.lastElementChild, html: markup });
+            } else if (existing.html !== markup) {
+                existing.element.insertAdjacentHTML('afterend', markup);
+                const replacement = existing.element.nextElementSibling;
+                existing.element.remove();
+                state.tasks.set(name, { element: replacement, html: markup });
+            }
+        });
+
+        const cities = this.get(result, 'CityResults');
+        if (isCompleted && Array.isArray(cities) && cities.length > 0) {
+            this.section(element, 'cities').innerHTML = this.renderCityResults(cities);
+        }
+    },
+
+    // Flag whatever target currently shows as the partial outcome of a cancelled run
+    markCancelled(target) {
+        const { html } = window.TaskListProcessor.Core;
+        const element = this.resolveTarget(target);
+        if (!element) return;
+
+        const state = this.states.get(element);
+        const completed = state ? state.tasks.size : 0;
+        const message = completed > 0
+            ? `Run cancelled. Showing the ${completed} task(s) that finished before cancellation.`
+            : 'Run cancelled before any results were received.';
+
+        element.querySelectorAll('[data-results-section="cancelled"]').forEach(alert => alert.remove());
+        element.classList.add('results-cancelled');
+        element.insertAdjacentHTML('afterbegin', html`
+            <div class="alert alert-secondary d-flex align-items-center" role="status" data-results-section="cancelled">
+                <i class="bi bi-slash-circle me-2"></i>${message}
+            </div>
+        `);
+    },
+
+    // Forget incremental state and empty the target
+    clear(target) {
+        const element = this.resolveTarget(target);
+        if (!element) return;
+
+        this.states.delete(element);
+        this.rendered.delete(element);
+        element.classList.remove('results-cancelled');
+        element.removeAttribute('data-results-export');
+        element.innerHTML = '';
+    },
+
+    // Result and configuration last rendered into target, or null
+    getRendered(target) {
+        const element = this.resolveTarget(target);
+        return (element && this.rendered.get(element)) || null;
+    },
+
+    // Remember the result for exports and return the Export menu markup
+    renderExportMenu(element, result, options) {
+        const { html } = window.TaskListProcessor.Core;
+        this.rendered.set(element, { result: result, config: options.config || null });
+
+        const Export = window.TaskListProcessor.Export;
+        if (!Export || options.export === false || !result) {
+            element.removeAttribute('data-results-export');
+            return html``;
+        }
+
+        element.setAttribute('data-results-export', '');
+        return html`<div class="d-flex justify-content-end mb-2">${Export.renderMenu()}</div>`;
+    },
+
+    // Full result markup: summary, city cards, optional timeline and the telemetry table
+    renderResults(result, options = {}) {
+        const { html } = window.TaskListProcessor.Core;
+        if (!result) return html``;
+
+        const errorMessage = this.get(result, 'ErrorMessage');
+        const cities = this.get(result, 'CityResults');
+        const telemetry = this.get(result, 'DetailedTelemetry');
+
+        return html`
+            ${errorMessage && html`
+                <div class="alert alert-warning d-flex align-items-center" role="alert">
+                    <i class="bi bi-exclamation-triangle-fill me-2"></i>${errorMessage}
+                </div>
+            `}
+            ${this.renderTelemetrySummary(this.get(result, 'TelemetrySummary'))}
+            ${Array.isArray(cities) && cities.length > 0 && this.renderCityResults(cities)}
+            ${options.timeline && Array.isArray(telemetry) && telemetry.length > 0 && html`
+                <h6 class="mt-4"><i class="bi bi-bar-chart-steps me-2"></i>Task Timeline</h6>
+                <div data-results-section="timeline"></div>
+            `}
+            ${this.renderDetailedTelemetry(telemetry)}
+        `;
+    },
+
+    // Four headline metrics from TelemetrySummaryViewModel
+    renderTelemetrySummary(summary) {
+        const { html } = window.TaskListProcessor.Core;
+        if (!summary) return html``;
+
+        const metrics = [
+            { icon: 'list-task', color: 'primary', value: this.get(summary, 'TotalTasks'), label: 'Total Tasks' },
+            { icon: 'check-circle', color: 'success', value: `${this.toFixed(this.get(summary, 'SuccessRate'), 1)}%`, label: 'Success Rate' },
+            { icon: 'stopwatch', color: 'info', value: `${Math.round(this.get(summary, 'AverageExecutionTime') || 0)}ms`, label: 'Avg Time' },
+            { icon: 'speedometer2', color: 'warning', value: `${this.toFixed(this.get(summary, 'ThroughputPerSecond'), 1)}/s`, label: 'Throughput' }
+        ];
+
+        return html`
+            <div class="row g-3 mb-4">
+                ${metrics.map(metric => html`
+                    <div class="col-md-3 col-6">
+                        <div class="card telemetry-card h-100">
+                            <div class="card-body text-center">
+                                <i class="bi bi-${metric.icon} text-${metric.color} fs-1"></i>
+                                <h5 class="card-title">${metric.value ?? 0}</h5>
+                                <p class="card-text small text-muted">${metric.label}</p>
+                            </div>
+                        </div>
+                    </div>
+                `)}
+            </div>
+        `;
+    },
+
+    // City Results heading and a card per city
+    renderCityResults(cities) {
+        const { html } = window.TaskListProcessor.Core;
+
+        return html`
+            <h6 class="mt-4"><i class="bi bi-geo-alt me-2"></i>City Results</h6>
+            <div class="row">
+                ${cities.map(city => this.renderCityCard(city))}
+            </div>
+        `;
+    },
+
+    // Weather and activities outcome for one CityResultViewModel
+    renderCityCard(city) {
+        const { html } = window.TaskListProcessor.Core;
+
+        return html`
+            <div class="col-md-6 mb-3">
+                <div class="card city-card h-100">
+                    <div class="card-header">
+                        <h6 class="mb-0">
+                            <i class="bi bi-geo-alt me-2"></i>${this.get(city, 'CityName')}
+                        </h6>
+                    </div>
+                    <div class="card-body">
+                        <div class="row">
+                            <div class="col-6">
+                                ${this.renderCityPart('Weather', 'cloud-sun', this.get(city, 'Weather'), forecast =>
+                                    html`${this.formatDate(this.get(forecast, 'Date'))}: ${this.get(forecast, 'TemperatureC')}°C ${this.get(forecast, 'Summary') || ''}`,
+                                    'Forecasts')}
+                            </div>
+                            <div class="col-6">
+                                ${this.renderCityPart('Activities', 'calendar-event', this.get(city, 'Activities'), activity =>
+                                    html`${this.get(activity, 'Name')} <span class="text-muted">$${this.toFixed(this.get(activity, 'PricePerPerson'), 2)}</span>`,
+                                    'Activities')}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    // One half of a city card: status, duration, error and a short preview list
+    renderCityPart(title, icon, part, formatItem, listProperty) {
+        const { html } = window.TaskListProcessor.Core;
+        const isSuccessful = !!(part && this.get(part, 'IsSuccessful'));
+        const statusClass = isSuccessful ? 'success' : 'danger';
+        const items = (part && this.get(part, listProperty)) || [];
+        const errorMessage = part && this.get(part, 'ErrorMessage');
+
+        return html`
+            <div class="d-flex align-items-center mb-2">
+                <i class="bi bi-${isSuccessful ? 'check-circle' : 'x-circle'} text-${statusClass} me-2"></i>
+                <i class="bi bi-${icon} me-1"></i><small>${title}</small>
+            </div>
+            ${isSuccessful
+                ? html`<small class="text-success">${this.get(part, 'DurationMs')}ms</small>`
+                : html`<small class="text-danger">Failed</small>`}
+            ${errorMessage && html`<div class="small text-muted">${errorMessage}</div>`}
+            ${items.length > 0 && html`
+                <ul class="list-unstyled small mt-2 mb-0">
+                    ${items.slice(0, this.previewCount).map(item => html`<li>${formatItem(item)}</li>`)}
+                    ${items.length > this.previewCount && html`<li class="text-muted">+${items.length - this.previewCount} more</li>`}
+                </ul>
+            `}
+        `;
+    },
+
+    // Detailed Telemetry table
+    renderDetailedTelemetry(telemetry) {
+        const { html } = window.TaskListProcessor.Core;
+        if (!Array.isArray(telemetry) || telemetry.length === 0) return html``;
+
+        return html`
+            <h6 class="mt-4"><i class="bi bi-graph-up me-2"></i>Detailed Telemetry</h6>
+            <div class="table-responsive">
+                <table class="table table-sm table-hover">
+                    <thead><tr><th>Task</th><th>Duration</th><th>Performance</th><th>Status</th></tr></thead>
+                    <tbody>
+                        ${telemetry.map(task => this.renderTelemetryRow(task))}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    // One TaskTelemetryViewModel as a table row
+    renderTelemetryRow(task) {
+        const { html } = window.TaskListProcessor.Core;
+        const isSuccessful = !!this.get(task, 'IsSuccessful');
+        const errorMessage = this.get(task, 'ErrorMessage');
+
+        return html`
+            <tr>
+                <td>${this.get(task, 'TaskName')}</td>
+                <td class="font-monospace">${this.get(task, 'ElapsedMilliseconds')}ms</td>
+                <td>${this.renderPerformanceBadge(task, this.get(task, 'PerformanceLevel'))}</td>
+                <td>
+                    <i class="bi bi-${isSuccessful ? 'check-circle' : 'x-circle'} text-${isSuccessful ? 'success' : 'danger'}"></i>
+                    ${isSuccessful ? 'Success' : 'Failed'}
+                    ${errorMessage && html`<br><small class="text-muted">${errorMessage}</small>`}
+                </td>
+            </tr>
+        `;
+    },
+
+    // One streamed task as a list item
+    renderTaskItem(task) {
+        const { html } = window.TaskListProcessor.Core;
+        const isSuccessful = !!this.get(task, 'IsSuccessful');
+
+        return html`
+            <div class="list-group-item d-flex justify-content-between align-items-center">
+                <div>
+                    <i class="bi bi-${isSuccessful ? 'check-circle' : 'x-circle'} text-${isSuccessful ? 'success' : 'danger'} me-2"></i>
+                    ${this.get(task, 'TaskName')}
+                </div>
+                <div>${this.renderPerformanceBadge(task, `${this.get(task, 'ElapsedMilliseconds')}ms`)}</div>
+            </div>
+        `;
+    },
+
+    // Badge in the task's PerformanceColor with its PerformanceIcon
+    renderPerformanceBadge(task, text) {
+        const { html } = window.TaskListProcessor.Core;
+        const color = this.safeToken(this.get(task, 'PerformanceColor')) || 'secondary';
+        const icon = this.safeToken(this.get(task, 'PerformanceIcon'));
+
+        return html`
+            <span class="badge bg-${color}">
+                ${icon && html`<i class="bi bi-${icon} me-1"></i>`}${text ?? ''}
+            </span>
+        `;
+    },
+
+    // Completed/total progress bar
+    renderProgress(completed, total) {
+        const { html } = window.TaskListProcessor.Core;
+        if (total <= 0) return html``;
+
+        const percentage = Math.min((completed / total) * 100, 100);
+        return html`
+            <div class="progress mb-3">
+                <div class="progress-bar" role="progressbar" style="width: ${percentage}%"
+                     aria-valuenow="${Math.round(percentage)}" aria-valuemin="0" aria-valuemax="100">
+                    ${completed}/${total} tasks
+                </div>
+            </div>
+        `;
+    },
+
+    // Render the optional timeline chart once the markup is in the document
+    mountTimeline(element, result, options) {
+        const container = element.querySelector('[data-results-section="timeline"]');
+        if (!container || !window.TaskListProcessor.Charts) return;
+
+        if (!container.id) {
+            container.id = `results-timeline-${Date.now()}`;
+        }
+        window.TaskListProcessor.Charts.createChart(container.id, 'timeline', {
+            data: result,
+            chartConcurrency: options.timeline.maxConcurrent,
+            chartTitle: 'Concurrent task timeline',
+            width: options.timeline.width || 600
+        });
+    },
+
+    // Find a named section inside a rendered target
+    section(element, name) {
+        return element.querySelector(`[data-results-section="${name}"]`);
+    },
+
+    // Accept an element or an element id
+    resolveTarget(target) {
+        const element = typeof target === 'string' ? document.getElementById(target) : target;
+        if (!element) {
+            console.error(`Results target ${target} not found`);
+        }
+        return element;
+    },
+
+    // View-model property in either JSON casing
+    get(source, name) {
+        return window.TaskListProcessor.Core.getProperty(source, name);
+    },
+
+    // Number formatting that tolerates missing values
+    toFixed(value, digits) {
+        const number = Number(value);
+        return Number.isFinite(number) ? number.toFixed(digits) : (0).toFixed(digits);
+    },
+
+    // Short date for forecast rows
+    formatDate(value) {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+    },
+
+    // Class-name fragments from the server (PerformanceColor, PerformanceIcon) must be plain tokens
+    safeToken(value) {
+        return typeof value === 'string' && /^[\w-]+$/.test(value) ? value : '';
+    }
+};
+
+// Expose to global namespace
+window.TaskListProcessor.Results = Results;
+
+export default Results;
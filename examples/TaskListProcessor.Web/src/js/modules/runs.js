@@ -0,0 +1,217 @@
+/**
+ * TaskListProcessor Web - Runs Module
+ * Tracks active processing runs (requests and streams) and cancels them on demand
+ */
+
+const Runs = {
+    // Active runs by id
+    active: new Map(),
+    nextId: 1,
+
+    isInitialized: false,
+
+    // Initialize runs module
+    init() {
+        if (this.isInitialized) return;
+
+        window.TaskListProcessor.Core.registerCommand({
+            id: 'runs.cancel',
+            title: 'Cancel active runs',
+            group: 'Processing',
+            icon: 'bi-x-circle',
+            keys: 'x',
+            run: () => this.cancelAll(),
+            when: () => this.active.size > 0
+        });
+
+        this.isInitialized = true;
+        console.log('Runs module initialized');
+    },
+
+    // Run ProcessTasks as a cancellable run. Resolves with the result view model;
+    // a cancelled run rejects with the Api "aborted" error.
+    // options.loading = element passed to Core.showLoading (gets a Cancel button);
+    // options.progress = element (or id) that shows a Progress bar with elapsed time and ETA
+    async processTasks(input, options = {}) {
+        const run = this.start('request', options);
+
+        try {
+            run.config = window.TaskListProcessor.Api.buildConfiguration(input);
+            run.progress = this.startProgress(run, options);
+            const result = await window.TaskListProcessor.Api.processTasks(run.config, {
+                timeout: options.timeout,
+                signal: run.controller.signal
+            });
+            this.finish(run, 'completed', null, result);
+            return result;
+        } catch (error) {
+            this.finish(run, error.kind === 'aborted' ? 'cancelled' : 'failed', error);
+            throw error;
+        }
+    },
+
+    // Stream ProcessStreamingTasks into a Streaming container as a cancellable run.
+    // The run ends with the container's streaming-complete or streaming-error event.
+    // options.notify = false keeps its connection and outcome out of the toasts;
+    // options.progress tracks its frames like processTasks does.
+    // A run already streaming into the container is cancelled first; the new stream replaces it.
+    streamTasks(containerId, input, options = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            console.error(`Container ${containerId} not found`);
+            return null;
+        }
+
+        this.getActiveRuns()
+            .filter(run => run.kind === 'stream' && run.containerId === containerId)
+            .forEach(run => this.cancel(run.id));
+
+        const run = this.start('stream', { ...options, containerId: containerId });
+        run.retry = () => this.streamTasks(containerId, input, options);
+
+        const onData = (event) => window.TaskListProcessor.Progress.update(run.progress, event.detail);
+        const onComplete = (event) => this.finish(run, 'completed', null, event.detail);
+        const onError = (event) => this.finish(run, 'failed', event.detail);
+        container.addEventListener('streaming-data', onData);
+        container.addEventListener('streaming-complete', onComplete);
+        container.addEventListener('streaming-error', onError);
+
+        run.controller.signal.addEventListener('abort', () => {
+            window.TaskListProcessor.Streaming.closeConnection(containerId);
+        });
+        run.cleanup.push(() => {
+            container.removeEventListener('streaming-data', onData);
+            container.removeEventListener('streaming-complete', onComplete);
+            container.removeEventListener('streaming-error', onError);
+        });
+
+        try {
+            const connection = window.TaskListProcessor.Api.streamTasks(containerId, input, options);
+            run.config = connection ? connection.options.body : null;
+            run.progress = this.startProgress(run, options);
+        } catch (error) {
+            this.finish(run, 'failed', error);
+            throw error;
+        }
+
+        return run;
+    },
+
+    // Register a run and put its loading element into the cancellable loading state
+    start(kind, options = {}) {
+        const run = {
+            id: this.nextId++,
+            kind: kind,
+            label: options.label || (kind === 'stream' ? 'Streaming run' : 'Processing run'),
+            containerId: options.containerId || null,
+            loading: options.loading || null,
+            notify: options.notify !== false,
+            progress: null,
+            controller: new AbortController(),
+            status: 'running',
+            startedAt: Date.now(),
+            endedAt: null,
+            config: null,
+            result: null,
+            error: null,
+            retry: null,
+            cleanup: []
+        };
+
+        this.active.set(run.id, run);
+        if (run.loading) {
+            window.TaskListProcessor.Core.showLoading(run.loading, {
+                onCancel: () => this.cancel(run.id)
+            });
+        }
+
+        this.dispatch('run-started', run);
+        return run;
+    },
+
+    // Show a Progress tracker in options.progress, sized from the run's configuration
+    // (options.expectedTasks overrides the count Progress.getExpectedTasks gives its scenario)
+    startProgress(run, options) {
+        if (!options.progress || !run.config || run.status !== 'running') return null;
+
+        const Progress = window.TaskListProcessor.Progress;
+        return Progress.start(options.progress, {
+            total: options.expectedTasks ?? Progress.getExpectedTasks(run.config),
+            concurrency: run.config.MaxConcurrentTasks,
+            startedAt: run.startedAt
+        });
+    },
+
+    // Cancel an active run. Returns false when the run already ended.
+    cancel(runId) {
+        const run = this.active.get(runId);
+        if (!run) return false;
+
+        this.finish(run, 'cancelled');
+        run.controller.abort();
+        return true;
+    },
+
+    // Cancel every active run (optionally only one kind)
+    cancelAll(kind) {
+        this.getActiveRuns()
+            .filter(run => !kind || run.kind === kind)
+            .forEach(run => this.cancel(run.id));
+    },
+
+    // Snapshot of the active runs
+    getActiveRuns() {
+        return Array.from(this.active.values());
+    },
+
+    // Mark a run as ended (completed, failed or cancelled) and restore its loading element
+    finish(run, status, error = null, result = null) {
+        if (run.status !== 'running') return;
+
+        run.status = status;
+        run.endedAt = Date.now();
+        run.error = error;
+        run.result = result;
+        this.active.delete(run.id);
+
+        run.cleanup.forEach(cleanup => cleanup());
+        run.cleanup = [];
+        window.TaskListProcessor.Progress.finish(run.progress, status, result);
+
+        if (run.loading) {
+            window.TaskListProcessor.Core.hideLoading(run.loading);
+        }
+
+        this.dispatch('run-finished', run);
+    },
+
+    // Raise run-started / run-finished on the document
+    dispatch(type, run) {
+        document.dispatchEvent(new CustomEvent(type, {
+            detail: {
+                id: run.id,
+                kind: run.kind,
+                label: run.label,
+                containerId: run.containerId,
+                notify: run.notify,
+                status: run.status,
+                startedAt: run.startedAt,
+                endedAt: run.endedAt,
+                config: run.config,
+                result: run.result,
+                error: run.error,
+                retry: run.retry
+            }
+        }));
+    }
+};
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    Runs.init();
+});
+
+// Expose to global namespace
+window.TaskListProcessor.Runs = Runs;
+
+export default Runs;
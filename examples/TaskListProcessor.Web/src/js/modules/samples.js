@@ -0,0 +1,159 @@
+/**
+ * TaskListProcessor Web - Samples Module
+ * Runs code blocks marked data-runnable against the processing endpoints and shows the results inline
+ */
+
+const Samples = {
+    // Output panels created so far (used for unique container ids)
+    nextId: 1,
+
+    // Run the sample in a wrapped code block. data-runnable="stream" (or a StreamingDemo
+    // scenario) streams through ProcessStreamingTasks, anything else posts to ProcessTasks.
+    run(wrapper, pre, button) {
+        const output = this.getOutput(wrapper);
+        const results = output.querySelector('[data-sample-results]');
+
+        let config;
+        try {
+            config = this.getConfiguration(pre);
+        } catch (error) {
+            this.showError(results, error);
+            return;
+        }
+
+        if (this.isStreaming(pre, config)) {
+            this.runStream(output, results, config, button);
+        } else {
+            this.runRequest(results, config, button);
+        }
+    },
+
+    // Post the configuration to ProcessTasks and render the result view model
+    async runRequest(results, config, button) {
+        const { Runs, Results, Api } = window.TaskListProcessor;
+
+        Results.clear(results);
+        results.innerHTML = '<p class="text-muted small mb-0">Running sample...</p>';
+
+        try {
+            const data = await Runs.processTasks(config, { loading: button, label: 'Code sample' });
+            Results.render(results, data, { config: Api.buildConfiguration(config) });
+        } catch (error) {
+            if (error.kind === 'aborted') {
+                Results.markCancelled(results);
+                return;
+            }
+            this.showError(results, error);
+        }
+    },
+
+    // Stream the configuration into the output panel, updating the results as tasks finish
+    runStream(output, results, config, button) {
+        const { Runs, Results, Api } = window.TaskListProcessor;
+        const streamConfig = Api.buildConfiguration({ Scenario: 'StreamingDemo', ...config });
+        const expectedTasks = streamConfig.SelectedCities.length * 2;
+
+        // Streaming status badges are only added to panels that stream
+        if (!output.querySelector('.streaming-indicator')) {
+            window.TaskListProcessor.Streaming.initializeStreamingContainer(output, 'sse');
+        }
+
+        Results.clear(results);
+        results.innerHTML = '<p class="text-muted small mb-0">Waiting for the first result...</p>';
+
+        const onData = (event) => {
+            Results.update(results, event.detail, { expectedTasks: expectedTasks, config: streamConfig });
+        };
+        const onError = (event) => this.showError(results, event.detail);
+        const onFinished = (event) => {
+            if (event.detail.containerId !== output.id) return;
+            if (event.detail.status === 'cancelled') {
+                Results.markCancelled(results);
+            }
+            output.removeEventListener('streaming-data', onData);
+            output.removeEventListener('streaming-error', onError);
+            document.removeEventListener('run-finished', onFinished);
+        };
+
+        output.addEventListener('streaming-data', onData);
+        output.addEventListener('streaming-error', onError);
+        document.addEventListener('run-finished', onFinished);
+
+        try {
+            Runs.streamTasks(output.id, streamConfig, { loading: button, label: 'Streaming code sample' });
+        } catch (error) {
+            this.showError(results, error);
+        }
+    },
+
+    // Read the JSON configuration attached with data-run-config (on the pre or its code element)
+    getConfiguration(pre) {
+        const code = pre.querySelector('code');
+        const source = pre.dataset.runConfig || (code && code.dataset.runConfig) || '{}';
+
+        let config;
+        try {
+            config = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`Invalid data-run-config JSON: ${error.message}`);
+        }
+
+        // Validates cities, concurrency and timeout; throws an Api validation error
+        window.TaskListProcessor.Api.buildConfiguration(config);
+        return config;
+    },
+
+    // Whether a sample streams its results
+    isStreaming(pre, config) {
+        const code = pre.querySelector('code');
+        const mode = pre.dataset.runnable || (code && code.dataset.runnable) || '';
+        const scenario = config.Scenario || config.scenario;
+        return mode === 'stream' || scenario === 'StreamingDemo';
+    },
+
+    // Output panel under the code block (created on first run)
+    getOutput(wrapper) {
+        let output = wrapper.querySelector('.code-run-output');
+        if (output) return output;
+
+        output = document.createElement('div');
+        output.id = `code-run-output-${this.nextId++}`;
+        output.className = 'card-footer bg-transparent code-run-output';
+        output.setAttribute('aria-live', 'polite');
+        output.innerHTML = `
+            <div class="d-flex align-items-center gap-2 mb-2">
+                <button class="btn btn-sm btn-link text-muted p-0" type="button" data-sample-close title="Close output">
+                    <i class="bi bi-x-lg"></i>
+                </button>
+                <small class="text-muted fw-medium"><i class="bi bi-terminal me-1"></i>Output</small>
+            </div>
+            <div data-sample-results></div>
+        `;
+
+        wrapper.appendChild(output);
+
+        output.querySelector('[data-sample-close]').addEventListener('click', () => {
+            window.TaskListProcessor.Runs.getActiveRuns()
+                .filter(run => run.containerId === output.id || run.loading === wrapper.querySelector('.run-btn'))
+                .forEach(run => window.TaskListProcessor.Runs.cancel(run.id));
+            output.remove();
+        });
+
+        return output;
+    },
+
+    // Show a failed run or an invalid configuration in the output panel
+    showError(results, error) {
+        const { Api, Core } = window.TaskListProcessor;
+        results.innerHTML = Core.html`
+            <div class="alert alert-danger mb-0">
+                <i class="bi bi-exclamation-triangle me-2"></i>${Api.describeError(error)}
+            </div>
+        `;
+    }
+};
+
+// Expose to global namespace
+window.TaskListProcessor.Samples = Samples;
+
+export default Samples;
@@ -0,0 +1,505 @@
+/**
+ * TaskListProcessor Web - Search Module
+ * Ctrl+K documentation search over the prebuilt docs index, with term highlighting on the target page
+ */
+
+const Search = {
+    // Section index prebuilt from the markdown docs when the project is built (MarkdownService.WriteSearchIndexAsync)
+    indexUrl: '/Docs?handler=SearchIndex',
+
+    // Query string parameter carrying the terms to highlight on the target page
+    highlightParam: 'highlight',
+
+    maxResults: 12,
+    snippetLength: 140,
+
+    // Flattened search entries (sections of the current page + docs index)
+    entries: null,
+    loading: null,
+
+    // Palette state
+    modal: null,
+    results: [],
+    activeIndex: 0,
+    terms: [],
+
+    isInitialized: false,
+
+    // Initialize search module
+    init() {
+        if (this.isInitialized) return;
+
+        this.createPalette();
+
+        window.TaskListProcessor.Core.registerCommand({
+            id: 'docs.search',
+            title: 'Search documentation',
+            group: 'Navigation',
+            icon: 'bi-search',
+            keys: ['mod+k', '/'],
+            run: () => this.open()
+        });
+
+        // Buttons and search forms that open the palette
+        document.addEventListener('click', (event) => {
+            const trigger = event.target.closest('[data-docs-search]:not(form)');
+            if (trigger) {
+                event.preventDefault();
+                this.open();
+            }
+        });
+        document.querySelectorAll('form[data-docs-search]').forEach(form => {
+            const input = form.querySelector('input');
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.open(input ? input.value : '');
+            });
+            if (input) {
+                input.addEventListener('focus', () => {
+                    input.blur();
+                    this.open(input.value);
+                });
+            }
+        });
+
+        this.highlightFromUrl();
+        this.isInitialized = true;
+        console.log('Search module initialized');
+    },
+
+    // Open the palette, optionally with a query
+    open(query = '') {
+        const input = document.getElementById('docsSearchInput');
+        input.value = query;
+        this.modal.show();
+        this.query(query);
+    },
+
+    // Add the command palette modal to the page
+    createPalette() {
+        const element = document.createElement('div');
+        element.className = 'modal fade search-palette';
+        element.id = 'docsSearchModal';
+        element.tabIndex = -1;
+        element.setAttribute('aria-label', 'Search documentation');
+        element.setAttribute('aria-hidden', 'true');
+        element.innerHTML = `
+            <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header gap-2">
+                        <i class="bi bi-search text-muted"></i>
+                        <input type="search" class="form-control border-0 shadow-none" id="docsSearchInput"
+                               placeholder="Search documentation..." autocomplete="off" spellcheck="false"
+                               role="combobox" aria-expanded="true" aria-controls="docsSearchResults"
+                               aria-label="Search documentation">
+                        <kbd>Esc</kbd>
+                    </div>
+                    <div class="modal-body p-0">
+                        <div class="list-group list-group-flush" id="docsSearchResults" role="listbox"></div>
+                    </div>
+                    <div class="modal-footer justify-content-start small text-muted py-2">
+                        <span><kbd>↑</kbd> <kbd>↓</kbd> to navigate</span>
+                        <span><kbd>Enter</kbd> to open</span>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(element);
+        this.modal = new window.bootstrap.Modal(element);
+
+        const input = element.querySelector('#docsSearchInput');
+        const list = element.querySelector('#docsSearchResults');
+        const core = window.TaskListProcessor.Core;
+
+        element.addEventListener('shown.bs.modal', () => input.focus());
+        input.addEventListener('input', core.debounce(() => this.query(input.value), 120));
+        input.addEventListener('keydown', (event) => this.handleKey(event));
+
+        list.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-search-result]');
+            if (item) {
+                event.preventDefault();
+                this.go(this.results[Number(item.dataset.searchResult)]);
+            }
+        });
+        list.addEventListener('mousemove', (event) => {
+            const item = event.target.closest('[data-search-result]');
+            if (item) this.setActive(Number(item.dataset.searchResult));
+        });
+    },
+
+    // Arrow keys move the selection, Enter opens it
+    handleKey(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            if (this.results.length === 0) return;
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.results.length) % this.results.length);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            if (this.results[this.activeIndex]) {
+                this.go(this.results[this.activeIndex]);
+            }
+        }
+    },
+
+    // Run a query and render the ranked results
+    async query(text) {
+        const list = document.getElementById('docsSearchResults');
+        this.terms = this.tokenize(text);
+
+        if (this.terms.length === 0) {
+            this.results = [];
+            list.innerHTML = '<div class="p-4 text-center text-muted small">Type to search the documentation</div>';
+            return;
+        }
+
+        let entries;
+        try {
+            entries = await this.load();
+        } catch (error) {
+            console.error('Failed to load search index:', error);
+            entries = this.getPageEntries();
+            if (entries.length === 0) {
+                list.innerHTML = `
+                    <div class="p-4 text-center text-danger small">
+                        <i class="bi bi-exclamation-triangle me-1"></i>The search index could not be loaded
+                    </div>
+                `;
+                return;
+            }
+        }
+
+        // A newer query may have been typed while the index loaded
+        if (this.tokenize(document.getElementById('docsSearchInput').value).join(' ') !== this.terms.join(' ')) return;
+
+        this.results = this.rank(entries, this.terms, text.trim().toLowerCase());
+        this.activeIndex = 0;
+        this.renderResults(list);
+    },
+
+    // Load the docs index once (a failed load is retried by the next query)
+    load() {
+        if (this.entries) return Promise.resolve(this.entries);
+
+        if (!this.loading) {
+            this.loading = window.TaskListProcessor.Api.request(this.indexUrl, { timeout: 15000 })
+                .then(documents => {
+                    this.entries = [
+                        ...this.getPageEntries(),
+                        ...this.flattenIndex(documents || [])
+                    ];
+                    return this.entries;
+                })
+                .finally(() => {
+                    this.loading = null;
+                });
+        }
+
+        return this.loading;
+    },
+
+    // One entry per indexed section
+    flattenIndex(documents) {
+        const core = window.TaskListProcessor.Core;
+
+        return documents.flatMap(doc => {
+            const title = core.getProperty(doc, 'title') || '';
+            const url = core.getProperty(doc, 'url') || '';
+            const category = core.getProperty(doc, 'category') || '';
+
+            return (core.getProperty(doc, 'sections') || []).map(section => {
+                const anchor = core.getProperty(section, 'anchor');
+                return this.createEntry({
+                    title: title,
+                    category: category,
+                    heading: core.getProperty(section, 'heading') || title,
+                    level: core.getProperty(section, 'level') || 1,
+                    text: core.getProperty(section, 'text') || '',
+                    url: anchor ? `${url}#${anchor}` : url
+                });
+            });
+        });
+    },
+
+    // Sections of the current page (e.g. the Documentation view), searchable without the index
+    getPageEntries() {
+        const pageTitle = document.title.split(' - ')[0];
+
+        return Array.from(document.querySelectorAll('main section[id]'))
+            .map(section => {
+                const heading = section.querySelector('h1, h2, h3, h4, h5');
+                if (!heading) return null;
+
+                return this.createEntry({
+                    title: pageTitle,
+                    category: 'This page',
+                    heading: heading.textContent.trim(),
+                    level: Number(heading.tagName.substring(1)),
+                    text: section.textContent.replace(/\s+/g, ' ').trim().substring(0, 1500),
+                    url: `${window.location.pathname}#${section.id}`
+                });
+            })
+            .filter(Boolean);
+    },
+
+    // Precompute the lowercase text and word sets used for ranking
+    createEntry(entry) {
+        return {
+            ...entry,
+            headingLower: entry.heading.toLowerCase(),
+            titleLower: entry.title.toLowerCase(),
+            textLower: entry.text.toLowerCase(),
+            headingWords: new Set(this.tokenize(entry.heading)),
+            titleWords: new Set(this.tokenize(entry.title)),
+            textWords: new Set(this.tokenize(entry.text))
+        };
+    },
+
+    // Lowercase words of a query or text
+    tokenize(text) {
+        return String(text || '').toLowerCase().split(/[^\p{L}\p{N}#+]+/u).filter(Boolean);
+    },
+
+    // Score every entry and keep the best; each term must match somewhere (typos allowed)
+    rank(entries, terms, phrase) {
+        return entries
+            .map(entry => ({ entry: entry, score: this.score(entry, terms, phrase) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.entry.level - b.entry.level)
+            .slice(0, this.maxResults)
+            .map(result => result.entry);
+    },
+
+    // Heading matches weigh most, then the document title, then the section text
+    score(entry, terms, phrase) {
+        let total = 0;
+
+        for (const term of terms) {
+            const best = Math.max(
+                this.matchField(term, entry.headingWords, entry.headingLower) * 3,
+                this.matchField(term, entry.titleWords, entry.titleLower) * 2,
+                this.matchField(term, entry.textWords, entry.textLower)
+            );
+            if (best === 0) return 0;
+            total += best;
+        }
+
+        if (terms.length > 1 && entry.headingLower.includes(phrase)) total += 10;
+        else if (terms.length > 1 && entry.textLower.includes(phrase)) total += 4;
+
+        return total;
+    },
+
+    // 4 = whole word, 3 = word prefix, 2 = substring, 1 = word within the typo distance
+    matchField(term, words, text) {
+        if (words.has(term)) return 4;
+
+        let prefix = false;
+        for (const word of words) {
+            if (word.startsWith(term)) {
+                prefix = true;
+                break;
+            }
+        }
+        if (prefix) return 3;
+        if (text.includes(term)) return 2;
+
+        const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+        if (maxDistance === 0) return 0;
+
+        for (const word of words) {
+            if (Math.abs(word.length - term.length) <= maxDistance &&
+                this.editDistance(term, word, maxDistance) <= maxDistance) {
+                return 1;
+            }
+        }
+        return 0;
+    },
+
+    // Levenshtein distance, abandoned once every path exceeds max
+    editDistance(a, b, max) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+
+        return previous[b.length];
+    },
+
+    // Render the result list with the matched terms marked
+    renderResults(list) {
+        if (this.results.length === 0) {
+            list.innerHTML = '<div class="p-4 text-center text-muted small">No matching sections</div>';
+            return;
+        }
+
+        const { html } = window.TaskListProcessor.Core;
+
+        list.innerHTML = html`${this.results.map((entry, index) => html`
+            <a href="${this.getUrl(entry)}" class="list-group-item list-group-item-action py-2"
+               id="docsSearchResult-${index}" role="option" data-search-result="${index}">
+                <div class="d-flex justify-content-between align-items-center gap-2">
+                    <span class="fw-semibold text-truncate">${this.mark(entry.heading)}</span>
+                    <small class="text-muted text-nowrap">${entry.category}</small>
+                </div>
+                ${entry.heading !== entry.title && html`<div class="small text-muted text-truncate">${entry.title}</div>`}
+                ${entry.text && html`<div class="small text-body-secondary search-snippet">${this.mark(this.getSnippet(entry.text))}</div>`}
+            </a>
+        `)}`;
+
+        this.setActive(0);
+    },
+
+    // Move the keyboard selection
+    setActive(index) {
+        const list = document.getElementById('docsSearchResults');
+        this.activeIndex = index;
+
+        list.querySelectorAll('[data-search-result]').forEach(item => {
+            const selected = Number(item.dataset.searchResult) === index;
+            item.classList.toggle('active', selected);
+            item.setAttribute('aria-selected', selected ? 'true' : 'false');
+            if (selected) item.scrollIntoView({ block: 'nearest' });
+        });
+
+        document.getElementById('docsSearchInput')
+            .setAttribute('aria-activedescendant', `docsSearchResult-${index}`);
+    },
+
+    // Navigate to a result; sections of the current page are highlighted in place
+    go(entry) {
+        const url = new URL(this.getUrl(entry), window.location.origin);
+
+        if (url.pathname === window.location.pathname && url.hash) {
+            this.modal.hide();
+            this.clearHighlights();
+            this.highlight(document.getElementById('main-content') || document.body, this.terms);
+            const target = document.getElementById(decodeURIComponent(url.hash.substring(1)));
+            if (target) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            window.history.replaceState(null, '', url.hash);
+            return;
+        }
+
+        window.location.href = url.href;
+    },
+
+    // Result URL carrying the highlight terms
+    getUrl(entry) {
+        const [path, hash] = entry.url.split('#');
+        const query = `${this.highlightParam}=${encodeURIComponent(this.terms.join(' '))}`;
+        return `${path}${path.includes('?') ? '&' : '?'}${query}${hash ? `#${hash}` : ''}`;
+    },
+
+    // Text around the first matched term
+    getSnippet(text) {
+        const lower = text.toLowerCase();
+        const positions = this.terms.map(term => lower.indexOf(term)).filter(position => position >= 0);
+        const first = positions.length > 0 ? Math.min(...positions) : 0;
+        const start = Math.max(0, first - 40);
+        const snippet = text.substring(start, start + this.snippetLength);
+
+        return `${start > 0 ? '…' : ''}${snippet}${start + this.snippetLength < text.length ? '…' : ''}`;
+    },
+
+    // Escaped text with the query terms wrapped in <mark>
+    mark(text) {
+        const { html } = window.TaskListProcessor.Core;
+        const pattern = this.getTermPattern(this.terms);
+        if (!pattern) return html`${text}`;
+
+        // Terms are matched on the raw text so entities are never split
+        return html`${String(text).split(pattern)
+            .map((part, index) => index % 2 === 1 ? html`<mark>${part}</mark>` : part)}`;
+    },
+
+    // Case-insensitive alternation of the terms, longest first, with a capture group for split()
+    getTermPattern(terms) {
+        if (!terms || terms.length === 0) return null;
+        const alternatives = [...terms]
+            .sort((a, b) => b.length - a.length)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`(${alternatives.join('|')})`, 'gi');
+    },
+
+    // Highlight the terms from ?highlight= on the page that was opened from a result
+    highlightFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const terms = this.tokenize(params.get(this.highlightParam));
+        if (terms.length === 0) return;
+
+        const root = document.querySelector('.markdown-content') || document.getElementById('main-content');
+        if (!root) return;
+
+        const marks = this.highlight(root, terms);
+        if (marks.length > 0 && !window.location.hash) {
+            marks[0].scrollIntoView({ block: 'center' });
+        }
+    },
+
+    // Wrap term matches in text nodes under root with <mark class="search-highlight">
+    highlight(root, terms) {
+        const pattern = this.getTermPattern(terms);
+        if (!pattern) return [];
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement.closest('script, style, textarea, mark, .modal')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+
+        const nodes = [];
+        while (walker.nextNode()) {
+            pattern.lastIndex = 0;
+            if (pattern.test(walker.currentNode.nodeValue)) nodes.push(walker.currentNode);
+        }
+
+        const marks = [];
+        nodes.forEach(node => {
+            const fragment = document.createDocumentFragment();
+            node.nodeValue.split(pattern).forEach((part, index) => {
+                if (index % 2 === 1) {
+                    const mark = document.createElement('mark');
+                    mark.className = 'search-highlight';
+                    mark.textContent = part;
+                    fragment.appendChild(mark);
+                    marks.push(mark);
+                } else if (part) {
+                    fragment.appendChild(document.createTextNode(part));
+                }
+            });
+            node.parentNode.replaceChild(fragment, node);
+        });
+
+        return marks;
+    },
+
+    // Remove highlights added by highlight()
+    clearHighlights() {
+        document.querySelectorAll('mark.search-highlight').forEach(mark => {
+            const parent = mark.parentNode;
+            parent.replaceChild(document.createTextNode(mark.textContent), mark);
+            parent.normalize();
+        });
+    }
+};
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    Search.init();
+});
+
+// Expose to global namespace
+window.TaskListProcessor.Search = Search;
+
+export default Search;
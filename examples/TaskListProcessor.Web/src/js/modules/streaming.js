@@ -1,29 +1,73 @@
 /**
  * TaskListProcessor Web - Streaming Module
- * Handles real-time data streaming and SignalR connections
+ * Real-time streaming over pluggable transports (see the Transports module)
  */
 
 const Streaming = {
     connections: {},
+
+    // Named SSE events sent by HomeController (StreamingDemo, ProcessStreamingTasks, TestStreaming)
+    defaultEventTypes: ['taskUpdate', 'test'],
+
+    // Metric cards shown by createMetricsDisplay when none are given
+    defaultMetricCards: [
+        { label: 'Success rate', path: 'telemetrySummary.successRate', unit: '%', digits: 1, higherIsBetter: true, thresholds: { warning: 95, danger: 80 } },
+        { label: 'Throughput', path: 'telemetrySummary.throughputPerSecond', unit: '/s', digits: 2, higherIsBetter: true },
+        { label: 'Average task time', path: 'telemetrySummary.averageExecutionTime', unit: 'ms', digits: 0, thresholds: { warning: 1000, danger: 2500 } },
+        { label: 'Failed tasks', path: 'telemetrySummary.failedTasks', unit: '', digits: 0, thresholds: { warning: 1, danger: 3 } }
+    ],
+
+    // Values kept per metric card for its sparkline
+    metricHistoryLength: 30,
+
+    // Metrics dashboards by element: { cards, unbind }
+    metricsDisplays: new WeakMap(),
+
+    // Reconnection policy; override per call with options.reconnect, or pass false to disable
+    reconnectDefaults: {
+        maxRetries: 5,
+        initialDelay: 1000,
+        maxDelay: 30000,
+        multiplier: 2,
+        jitter: 0.3
+    },
+    
+    isInitialized: false,
     
     init() {
-        this.setupStreamingUI();
-        console.log('Streaming module initialized');
-    },
+        if (this.isInitialized) return;
 
-    // Setup streaming UI elements
-    setupStreamingUI() {
-        // Find streaming containers
-        const streamingContainers = document.querySelectorAll('[data-streaming]');
-        
-        streamingContainers.forEach(container => {
-            const streamType = container.dataset.streaming;
-            this.initializeStreamingContainer(container, streamType);
+        // data-streaming containers get status badges when they appear; removing one closes its connection
+        window.TaskListProcessor.Core.registerComponent({
+            name: 'streaming',
+            selector: '[data-streaming]',
+            mount: container => this.initializeStreamingContainer(container, container.dataset.streaming),
+            unmount: container => {
+                const connection = container.id && this.connections[container.id];
+                if (connection && connection.container === container) {
+                    this.closeConnection(container.id);
+                }
+            }
         });
+
+        // data-metrics-source="<streaming container id>" elements get a metrics dashboard (cards from data-metrics)
+        window.TaskListProcessor.Core.registerComponent({
+            name: 'metrics',
+            selector: '[data-metrics-source]',
+            mount: element => this.createMetricsDisplay(element.dataset.metricsSource, this.readMetricCards(element), element),
+            unmount: (element, metricsDisplay) => {
+                if (metricsDisplay) this.destroyMetricsDisplay(metricsDisplay);
+            }
+        });
+
+        this.isInitialized = true;
+        console.log('Streaming module initialized');
     },
 
     // Initialize a streaming container
     initializeStreamingContainer(container, streamType) {
+        if (container.querySelector(':scope > .streaming-indicator')) return;
+
         // Add streaming indicator
         const indicator = document.createElement('div');
         indicator.className = 'streaming-indicator position-absolute top-0 end-0 m-2';
@@ -34,6 +78,9 @@ const Streaming = {
             <span class="badge bg-warning d-none" data-streaming-status="connecting">
                 <i class="bi bi-arrow-clockwise animate-spin"></i> Connecting
             </span>
+            <span class="badge bg-warning d-none" data-streaming-status="reconnecting">
+                <i class="bi bi-arrow-repeat animate-spin"></i> Reconnecting (attempt <span data-streaming-attempt>1</span>)
+            </span>
             <span class="badge bg-danger d-none" data-streaming-status="disconnected">
                 <i class="bi bi-wifi-off"></i> Disconnected
             </span>
@@ -46,8 +93,13 @@ const Streaming = {
         this.updateStreamingStatus(container, 'disconnected');
     },
 
-    // Update streaming status
-    updateStreamingStatus(container, status) {
+    // Update streaming status; attempt is shown by the reconnecting badge
+    updateStreamingStatus(container, status, attempt) {
+        const attemptLabel = container.querySelector('[data-streaming-attempt]');
+        if (attemptLabel && attempt) {
+            attemptLabel.textContent = attempt;
+        }
+
         const indicators = container.querySelectorAll('[data-streaming-status]');
         indicators.forEach(indicator => {
             indicator.classList.add('d-none');
@@ -59,76 +111,275 @@ const Streaming = {
         }
     },
 
-    // Start streaming connection (placeholder implementation)
-    startStreaming(containerId, endpoint) {
+    // Open a streaming connection and forward its frames to the container.
+    // options.transport picks the adapter ('sse', 'websocket', 'long-polling' or 'hub');
+    // without it the deployment's configured transport is used. Over SSE, options.body
+    // (or options.method = 'POST') streams over fetch, since EventSource cannot send a body.
+    startStreaming(containerId, endpoint, options = {}) {
         const container = document.getElementById(containerId);
         if (!container) {
             console.error(`Container ${containerId} not found`);
+            return null;
+        }
+
+        const transports = window.TaskListProcessor.Transports;
+        const transport = options.transport || transports.getDefault();
+        if (!transports.get(transport)) {
+            throw new Error(`Unknown streaming transport "${transport}"`);
+        }
+
+        // Only one connection per container
+        if (this.connections[containerId]) {
+            this.closeConnection(containerId);
+        }
+
+        const connection = {
+            endpoint: endpoint,
+            status: null,
+            container: container,
+            transport: transport,
+            handle: null,
+            sessionId: null,
+            options: options,
+            eventTypes: options.eventTypes || this.defaultEventTypes,
+            reconnect: options.reconnect === false
+                ? null
+                : { ...this.reconnectDefaults, ...options.reconnect },
+            attempt: 0,
+            transportId: 0,
+            retryTimer: null,
+            serverRetry: null,
+            messageCount: 0,
+            lastEventId: null,
+            lastPayload: null
+        };
+        this.connections[containerId] = connection;
+        this.openTransport(containerId, connection);
+
+        return connection;
+    },
+
+    // Open (or re-open) the transport behind a connection. Callbacks from a transport
+    // that has since been closed or replaced are ignored.
+    openTransport(containerId, connection) {
+        connection.transportId++;
+        this.setStreamingStatus(connection, 'connecting');
+
+        const transportId = connection.transportId;
+        const isCurrent = () => this.isCurrentTransport(containerId, connection, transportId);
+        const adapter = window.TaskListProcessor.Transports.get(connection.transport);
+
+        try {
+            connection.handle = adapter.open(connection, {
+                opened: () => {
+                    if (!isCurrent()) return;
+                    this.setStreamingStatus(connection, 'connected');
+                    this.notifyConnected(containerId, connection);
+                },
+                frame: (event) => {
+                    // Unnamed frames arrive as "message"
+                    if (isCurrent() && (event.type === 'message' || connection.eventTypes.includes(event.type))) {
+                        this.handleStreamingFrame(containerId, connection, event);
+                    }
+                },
+                ended: () => {
+                    // Transports only report the server's explicit end of stream here, so a stream
+                    // without an IsCompleted frame (e.g. TestStreaming) is still finished
+                    if (isCurrent()) this.completeStream(containerId, connection);
+                },
+                failed: (message, retryable = true) => {
+                    if (isCurrent()) this.handleConnectionFailure(containerId, connection, message, retryable);
+                }
+            });
+        } catch (error) {
+            // e.g. a WebSocket URL the browser rejects
+            console.error('Unable to open streaming transport:', error);
+            this.handleConnectionFailure(containerId, connection, error.message || 'Streaming connection failed', false);
+        }
+    },
+
+    // True while the transport identified by transportId is the connection's live one
+    isCurrentTransport(containerId, connection, transportId) {
+        return this.connections[containerId] === connection && connection.transportId === transportId;
+    },
+
+    // Release the transport without forgetting the connection
+    closeTransport(connection) {
+        if (connection.handle) {
+            connection.handle.close();
+            connection.handle = null;
+        }
+    },
+
+    // Schedule a reconnect with exponential backoff, or give up once retries are exhausted
+    handleConnectionFailure(containerId, connection, message, retryable = true) {
+        const policy = connection.reconnect;
+        this.closeTransport(connection);
+
+        if (!retryable || !policy || connection.attempt >= policy.maxRetries) {
+            this.closeConnection(containerId);
+            const suffix = connection.attempt > 0 ? ` after ${connection.attempt} reconnect attempt(s)` : '';
+            this.dispatchStreamingError(connection, `${message}${suffix}`);
             return;
         }
-        
-        this.updateStreamingStatus(container, 'connecting');
-        
-        // Simulate connection
-        setTimeout(() => {
-            this.updateStreamingStatus(container, 'connected');
-            this.simulateDataStream(container);
-            
-            // Store connection reference
-            this.connections[containerId] = {
-                endpoint: endpoint,
-                status: 'connected',
-                container: container
-            };
-            
-            window.TaskListProcessor.showNotification(
-                `Streaming connection established for ${containerId}`, 
-                'success'
-            );
-        }, 2000);
+
+        connection.attempt++;
+        const delay = this.getReconnectDelay(policy, connection.attempt, connection.serverRetry);
+        this.setStreamingStatus(connection, 'reconnecting');
+
+        connection.retryTimer = setTimeout(() => {
+            connection.retryTimer = null;
+            if (this.connections[containerId] === connection) {
+                this.openTransport(containerId, connection);
+            }
+        }, delay);
+    },
+
+    // Exponential backoff from the server's retry: hint (if any), randomised by ±jitter
+    getReconnectDelay(policy, attempt, serverRetry) {
+        const base = serverRetry || policy.initialDelay;
+        const delay = Math.min(policy.maxDelay, base * Math.pow(policy.multiplier, attempt - 1));
+        const jitter = delay * policy.jitter * (Math.random() * 2 - 1);
+        return Math.max(0, Math.round(delay + jitter));
+    },
+
+    // Stream a POST-body endpoint such as /Home/ProcessStreamingTasks
+    startPostStreaming(containerId, endpoint, body, options = {}) {
+        return this.startStreaming(containerId, endpoint, { ...options, method: 'POST', body: body });
+    },
+
+    // Notify the user once a connection is open (unless options.notify is false)
+    notifyConnected(containerId, connection) {
+        if (connection.options.notify === false) return;
+
+        const message = connection.attempt > 0
+            ? `Streaming connection resumed for ${containerId}`
+            : `Streaming connection established for ${containerId}`;
+        window.TaskListProcessor.showNotification(message, 'success');
+    },
+
+    // Raise streaming-error on the container
+    dispatchStreamingError(connection, message) {
+        connection.container.dispatchEvent(new CustomEvent('streaming-error', {
+            detail: { endpoint: connection.endpoint, message: message }
+        }));
+    },
+
+    // Close the connection and raise streaming-complete with the last payload
+    completeStream(containerId, connection) {
+        this.closeConnection(containerId);
+        connection.container.dispatchEvent(new CustomEvent('streaming-complete', {
+            detail: connection.lastPayload
+        }));
+    },
+
+    // Dispatch a transport frame as a streaming-data event. SSE frames carry JSON text;
+    // the other transports hand over already-parsed data.
+    handleStreamingFrame(containerId, connection, event) {
+        let payload = event.data;
+        if (typeof payload === 'string') {
+            try {
+                payload = JSON.parse(payload);
+            } catch (e) {
+                console.error('Error parsing streaming data:', e, 'Raw data:', event.data);
+                return;
+            }
+        }
+
+        if (event.retry) {
+            connection.serverRetry = event.retry;
+        }
+
+        // After a resume the server may replay frames we have already seen
+        if (this.isReplayedEvent(connection, event.lastEventId)) return;
+
+        // Only fresh data proves the connection is healthy again
+        connection.attempt = 0;
+        connection.messageCount++;
+        connection.lastPayload = payload;
+        if (event.lastEventId) {
+            connection.lastEventId = event.lastEventId;
+        }
+
+        connection.container.dispatchEvent(new CustomEvent('streaming-data', {
+            detail: payload
+        }));
+
+        if (this.isStreamComplete(payload)) {
+            this.completeStream(containerId, connection);
+        }
+    },
+
+    // Event ids are "{runId}:{sequence}" (or a bare sequence number, e.g. TestStreaming),
+    // so ids of the same run at or below the last seen one are replays
+    isReplayedEvent(connection, eventId) {
+        if (!eventId || !connection.lastEventId) return false;
+
+        const event = this.parseEventId(eventId);
+        const last = this.parseEventId(connection.lastEventId);
+        if (event.run !== last.run || Number.isNaN(event.sequence) || Number.isNaN(last.sequence)) return false;
+
+        return event.sequence <= last.sequence;
+    },
+
+    // Split an event id into its run and sequence number
+    parseEventId(eventId) {
+        const text = String(eventId);
+        const separator = text.lastIndexOf(':');
+        return {
+            run: separator === -1 ? '' : text.slice(0, separator),
+            sequence: Number(text.slice(separator + 1))
+        };
+    },
+
+    // The final TaskProcessingResultViewModel frame has IsCompleted set
+    isStreamComplete(payload) {
+        return !!payload && typeof payload === 'object' &&
+            (payload.isCompleted === true || payload.IsCompleted === true);
+    },
+
+    // Record a connection status, update its indicator and raise streaming-status
+    setStreamingStatus(connection, status) {
+        // Every reconnect attempt is reported, even though the status name repeats
+        if (connection.status !== status || status === 'reconnecting') {
+            connection.status = status;
+            connection.container.dispatchEvent(new CustomEvent('streaming-status', {
+                detail: { status: status, attempt: connection.attempt }
+            }));
+        }
+        this.updateStreamingStatus(connection.container, status, connection.attempt);
+    },
+
+    // Close the underlying transport and forget the connection
+    closeConnection(containerId) {
+        const connection = this.connections[containerId];
+        if (!connection) return null;
+
+        delete this.connections[containerId];
+        if (connection.retryTimer) {
+            clearTimeout(connection.retryTimer);
+            connection.retryTimer = null;
+        }
+        this.closeTransport(connection);
+        this.setStreamingStatus(connection, 'disconnected');
+
+        return connection;
     },
 
     // Stop streaming connection
     stopStreaming(containerId) {
-        const connection = this.connections[containerId];
+        const connection = this.closeConnection(containerId);
         if (!connection) {
             console.warn(`No active connection for ${containerId}`);
             return;
         }
         
-        this.updateStreamingStatus(connection.container, 'disconnected');
-        delete this.connections[containerId];
-        
         window.TaskListProcessor.showNotification(
             `Streaming connection closed for ${containerId}`, 
             'info'
         );
     },
 
-    // Simulate data streaming (replace with actual SignalR implementation)
-    simulateDataStream(container) {
-        const streamData = () => {
-            if (!this.connections[container.id]) return;
-            
-            // Generate random data point
-            const dataPoint = {
-                timestamp: new Date().toISOString(),
-                value: Math.random() * 100,
-                type: 'data-update'
-            };
-            
-            // Dispatch custom event
-            container.dispatchEvent(new CustomEvent('streaming-data', {
-                detail: dataPoint
-            }));
-            
-            // Continue streaming
-            setTimeout(streamData, 1000 + Math.random() * 2000);
-        };
-        
-        streamData();
-    },
-
     // Handle streaming data
     handleStreamingData(containerId, callback) {
         const container = document.getElementById(containerId);
@@ -139,131 +390,168 @@ const Streaming = {
         });
     },
 
-    // Create real-time log viewer
-    createLogViewer(containerId) {
-        const container = document.getElementById(containerId);
-        if (!container) return;
-        
-        const logViewer = document.createElement('div');
-        logViewer.className = 'log-viewer bg-dark text-light p-3 rounded';
-        logViewer.style.cssText = `
-            height: 300px;
-            overflow-y: auto;
-            font-family: 'Courier New', monospace;
-            font-size: 0.875rem;
-            line-height: 1.2;
-        `;
-        
-        container.appendChild(logViewer);
-        
-        // Handle streaming log data
-        this.handleStreamingData(containerId, (data) => {
-            this.addLogEntry(logViewer, data);
-        });
-        
-        return logViewer;
-    },
-
-    // Add log entry to viewer
-    addLogEntry(logViewer, data) {
-        const entry = document.createElement('div');
-        entry.className = 'log-entry mb-1';
-        
-        const timestamp = new Date().toLocaleTimeString();
-        const level = this.getLogLevel(data);
-        const message = typeof data === 'string' ? data : JSON.stringify(data);
-        
-        entry.innerHTML = `
-            <span class="text-muted">[${timestamp}]</span>
-            <span class="badge bg-${level} me-2">${level.toUpperCase()}</span>
-            <span>${message}</span>
-        `;
-        
-        logViewer.appendChild(entry);
-        
-        // Auto-scroll to bottom
-        logViewer.scrollTop = logViewer.scrollHeight;
-        
-        // Limit number of entries (keep last 100)
-        const entries = logViewer.querySelectorAll('.log-entry');
-        if (entries.length > 100) {
-            entries[0].remove();
-        }
-    },
-
-    // Get log level based on data
-    getLogLevel(data) {
-        if (typeof data === 'object' && data.level) {
-            return data.level.toLowerCase();
-        }
-        
-        // Simple heuristic based on content
-        const message = typeof data === 'string' ? data : JSON.stringify(data);
-        if (message.includes('error') || message.includes('Error')) return 'danger';
-        if (message.includes('warn') || message.includes('Warning')) return 'warning';
-        if (message.includes('info') || message.includes('Info')) return 'info';
-        return 'secondary';
+    // Create a structured log viewer for a container's streaming events (see the LogViewer module)
+    createLogViewer(containerId, options = {}) {
+        return window.TaskListProcessor.LogViewer.create(containerId, options);
     },
 
-    // Create real-time metrics display
-    createMetricsDisplay(containerId) {
+    // Create a real-time metrics dashboard fed by a streaming container's frames.
+    // Each card reads a field path of the streamed TaskProcessingResultViewModel:
+    //   { label, path: 'telemetrySummary.successRate', unit, digits, higherIsBetter, thresholds: { warning, danger } }
+    // The dashboard is appended to target (the streaming container by default).
+    createMetricsDisplay(containerId, cards = this.defaultMetricCards, target = null) {
         const container = document.getElementById(containerId);
         if (!container) return;
         
+        const { html } = window.TaskListProcessor.Core;
         const metricsDisplay = document.createElement('div');
         metricsDisplay.className = 'metrics-display row g-3';
-        
-        const metrics = ['CPU', 'Memory', 'Network', 'Disk'];
-        metrics.forEach(metric => {
-            const col = document.createElement('div');
-            col.className = 'col-md-3';
-            col.innerHTML = `
-                <div class="card text-center">
+        metricsDisplay.innerHTML = html`${cards.map((card, index) => html`
+            <div class="col-sm-6 col-xl-3">
+                <div class="card h-100 metric-card" data-metric-card="${index}">
                     <div class="card-body">
-                        <h5 class="card-title">${metric}</h5>
-                        <div class="metric-value h2 text-primary" data-metric="${metric.toLowerCase()}">
-                            0%
-                        </div>
-                        <div class="progress mt-2">
-                            <div class="progress-bar" role="progressbar" 
-                                 data-metric-bar="${metric.toLowerCase()}" 
-                                 style="width: 0%"></div>
+                        <div class="d-flex justify-content-between align-items-center">
+                            <small class="text-muted">${card.label}</small>
+                            <i class="bi bi-dash text-muted" data-metric-trend></i>
                         </div>
+                        <div class="metric-value h3 mb-1 text-body-secondary" data-metric-value>—</div>
+                        <div data-metric-sparkline></div>
                     </div>
                 </div>
-            `;
-            metricsDisplay.appendChild(col);
-        });
-        
-        container.appendChild(metricsDisplay);
-        
-        // Handle streaming metrics data
-        this.handleStreamingData(containerId, (data) => {
-            this.updateMetrics(metricsDisplay, data);
-        });
+            </div>
+        `)}`;
+
+        (target || container).appendChild(metricsDisplay);
+
+        const state = {
+            cards: cards.map(card => ({ ...card, values: [] })),
+            unbind: null
+        };
+        this.metricsDisplays.set(metricsDisplay, state);
+
+        const onData = (event) => this.updateMetrics(metricsDisplay, event.detail);
+
+        // A fresh run (not a reconnect) starts with empty cards
+        const onStatus = (event) => {
+            if (event.detail.status === 'connecting' && !event.detail.attempt) {
+                state.cards.forEach(card => { card.values = []; });
+                this.renderMetrics(metricsDisplay);
+            }
+        };
+
+        container.addEventListener('streaming-data', onData);
+        container.addEventListener('streaming-status', onStatus);
+        state.unbind = () => {
+            container.removeEventListener('streaming-data', onData);
+            container.removeEventListener('streaming-status', onStatus);
+        };
         
         return metricsDisplay;
     },
 
-    // Update metrics display
+    // Record the card values found in one streamed frame and redraw
     updateMetrics(metricsDisplay, data) {
-        if (typeof data !== 'object' || !data.metrics) return;
+        const state = this.metricsDisplays.get(metricsDisplay);
+        if (!state || typeof data !== 'object' || data === null) return;
         
-        Object.entries(data.metrics).forEach(([metric, value]) => {
-            const valueElement = metricsDisplay.querySelector(`[data-metric="${metric}"]`);
-            const barElement = metricsDisplay.querySelector(`[data-metric-bar="${metric}"]`);
-            
-            if (valueElement && barElement) {
-                valueElement.textContent = `${Math.round(value)}%`;
-                barElement.style.width = `${Math.min(100, Math.max(0, value))}%`;
-                
-                // Update color based on value
-                barElement.className = 'progress-bar';
-                if (value > 80) barElement.classList.add('bg-danger');
-                else if (value > 60) barElement.classList.add('bg-warning');
-                else barElement.classList.add('bg-success');
+        state.cards.forEach(card => {
+            const value = Number(this.getMetricValue(data, card.path));
+            if (!Number.isFinite(value)) return;
+
+            card.values.push(value);
+            if (card.values.length > this.metricHistoryLength) {
+                card.values.shift();
             }
         });
+
+        this.renderMetrics(metricsDisplay);
+    },
+
+    // Value, threshold color, trend arrow and sparkline for every card
+    renderMetrics(metricsDisplay) {
+        const state = this.metricsDisplays.get(metricsDisplay);
+        if (!state) return;
+
+        state.cards.forEach((card, index) => {
+            const element = metricsDisplay.querySelector(`[data-metric-card="${index}"]`);
+            if (!element) return;
+
+            const value = card.values[card.values.length - 1];
+            const status = value === undefined ? 'body-secondary' : this.getMetricStatus(card, value);
+            const trend = this.getMetricTrend(card);
+
+            const valueElement = element.querySelector('[data-metric-value]');
+            valueElement.textContent = value === undefined ? '—' : `${value.toFixed(card.digits ?? 0)}${card.unit || ''}`;
+            valueElement.className = `metric-value h3 mb-1 text-${status}`;
+
+            const trendElement = element.querySelector('[data-metric-trend]');
+            trendElement.className = `bi ${trend.icon} ${trend.color}`;
+            trendElement.title = trend.label;
+
+            element.querySelector('[data-metric-sparkline]').innerHTML = window.TaskListProcessor.Charts.renderSparkline(
+                card.values,
+                { color: status === 'body-secondary' ? 'var(--bs-secondary)' : `var(--bs-${status})` }
+            );
+        });
+    },
+
+    // Follow a dotted path (either JSON casing per segment) into a streamed frame
+    getMetricValue(data, path) {
+        return String(path).split('.').reduce(
+            (value, name) => window.TaskListProcessor.Core.getProperty(value, name),
+            data
+        );
+    },
+
+    // success, warning or danger from the card's thresholds; primary when it has none
+    getMetricStatus(card, value) {
+        const thresholds = card.thresholds;
+        if (!thresholds) return 'primary';
+
+        const breaches = (limit) => limit !== undefined && (card.higherIsBetter ? value <= limit : value >= limit);
+        if (breaches(thresholds.danger)) return 'danger';
+        if (breaches(thresholds.warning)) return 'warning';
+        return 'success';
+    },
+
+    // Direction of the latest change, colored by whether it is an improvement
+    getMetricTrend(card) {
+        const values = card.values;
+        if (values.length < 2 || values[values.length - 1] === values[values.length - 2]) {
+            return { icon: 'bi-dash', color: 'text-muted', label: 'No change' };
+        }
+
+        const rising = values[values.length - 1] > values[values.length - 2];
+        const improving = card.higherIsBetter ? rising : !rising;
+        return {
+            icon: rising ? 'bi-arrow-up-right' : 'bi-arrow-down-right',
+            color: improving ? 'text-success' : 'text-danger',
+            label: rising ? 'Rising' : 'Falling'
+        };
+    },
+
+    // Stop a metrics dashboard listening and remove it
+    destroyMetricsDisplay(metricsDisplay) {
+        const state = this.metricsDisplays.get(metricsDisplay);
+        if (state) {
+            state.unbind();
+            this.metricsDisplays.delete(metricsDisplay);
+        }
+        metricsDisplay.remove();
+    },
+
+    // Cards from a data-metrics JSON attribute, or the defaults
+    readMetricCards(element) {
+        if (!element.dataset.metrics) return this.defaultMetricCards;
+
+        try {
+            const cards = JSON.parse(element.dataset.metrics);
+            if (Array.isArray(cards) && cards.every(card => card && card.path)) return cards;
+        } catch (error) {
+            // Fall through to the warning below
+        }
+        console.warn('Invalid data-metrics configuration, using the default metric cards');
+        return this.defaultMetricCards;
     }
 };
 
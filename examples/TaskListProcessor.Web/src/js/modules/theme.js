@@ -0,0 +1,151 @@
+/**
+ * TaskListProcessor Web - Theme Module
+ * Light, dark and auto (prefers-color-scheme) themes on Bootstrap's data-bs-theme, saved in localStorage
+ */
+
+const Theme = {
+    // Same key as the inline script in _Layout.cshtml that applies the theme before first paint
+    storageKey: 'theme',
+    modes: ['light', 'dark', 'auto'],
+
+    icons: {
+        light: 'bi-sun-fill',
+        dark: 'bi-moon-fill',
+        auto: 'bi-circle-half'
+    },
+
+    labels: {
+        light: 'Light',
+        dark: 'Dark',
+        auto: 'Auto'
+    },
+
+    media: window.matchMedia('(prefers-color-scheme: dark)'),
+
+    isInitialized: false,
+
+    // Initialize theme module
+    init() {
+        if (this.isInitialized) return;
+
+        this.apply(this.getPreference());
+
+        document.addEventListener('click', (event) => {
+            const option = event.target.closest('[data-theme-value]');
+            if (option) {
+                this.setPreference(option.dataset.themeValue);
+            }
+        });
+
+        // Auto follows the operating system while the page is open
+        this.media.addEventListener('change', () => {
+            if (this.getPreference() === 'auto') {
+                this.apply('auto');
+            }
+        });
+
+        window.TaskListProcessor.Core.registerCommand({
+            id: 'theme.toggle',
+            title: 'Toggle theme (light, dark, auto)',
+            group: 'General',
+            icon: 'bi-circle-half',
+            keys: 't',
+            run: () => this.toggle()
+        });
+
+        this.isInitialized = true;
+        console.log('Theme module initialized');
+    },
+
+    // Saved mode, auto when nothing (or something unknown) is stored
+    getPreference() {
+        let mode = null;
+        try {
+            mode = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            // Storage can be unavailable (privacy modes); fall back to auto
+        }
+        return this.modes.includes(mode) ? mode : 'auto';
+    },
+
+    // Save and apply a mode
+    setPreference(mode) {
+        if (!this.modes.includes(mode)) return;
+
+        try {
+            if (mode === 'auto') {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, mode);
+            }
+        } catch (error) {
+            console.warn('Theme preference could not be saved:', error);
+        }
+
+        this.apply(mode);
+    },
+
+    // Cycle light -> dark -> auto
+    toggle() {
+        const current = this.modes.indexOf(this.getPreference());
+        this.setPreference(this.modes[(current + 1) % this.modes.length]);
+    },
+
+    // The theme a mode shows right now (auto resolves to light or dark)
+    resolve(mode) {
+        if (mode === 'auto') {
+            return this.media.matches ? 'dark' : 'light';
+        }
+        return mode;
+    },
+
+    // Theme currently on the page
+    getTheme() {
+        return document.documentElement.getAttribute('data-bs-theme') || 'light';
+    },
+
+    // Set data-bs-theme, update the navbar toggle and raise theme-changed on the document
+    apply(mode) {
+        const theme = this.resolve(mode);
+        const changed = theme !== this.getTheme();
+
+        document.documentElement.setAttribute('data-bs-theme', theme);
+        this.updateToggle(mode, theme);
+
+        if (changed) {
+            document.dispatchEvent(new CustomEvent('theme-changed', {
+                detail: { mode: mode, theme: theme }
+            }));
+        }
+    },
+
+    // Reflect the mode on the toggle icon and the dropdown options
+    updateToggle(mode, theme) {
+        document.querySelectorAll('[data-theme-icon]').forEach(icon => {
+            icon.className = `bi ${this.icons[mode]}`;
+        });
+
+        const toggle = document.getElementById('theme-toggle');
+        if (toggle) {
+            const label = mode === 'auto' ? `Auto (${this.labels[theme]})` : this.labels[mode];
+            toggle.setAttribute('title', `Theme: ${label}`);
+            toggle.setAttribute('aria-label', `Theme: ${label}`);
+        }
+
+        document.querySelectorAll('[data-theme-value]').forEach(option => {
+            const selected = option.dataset.themeValue === mode;
+            option.classList.toggle('active', selected);
+            option.setAttribute('aria-pressed', selected ? 'true' : 'false');
+        });
+    }
+};
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    Theme.init();
+});
+
+// Expose to global namespace
+window.TaskListProcessor.Theme = Theme;
+
+export default Theme;
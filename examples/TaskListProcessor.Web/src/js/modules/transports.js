@@ -0,0 +1,541 @@
+/**
+ * TaskListProcessor Web - Transports Module
+ * Streaming transports used by Streaming.startStreaming: SSE, WebSocket, long-polling and a SignalR hub
+ */
+
+const Transports = {
+    // Adapters by name; see register for the contract
+    adapters: {},
+
+    // Used when neither options.transport nor <meta name="streaming-transport"> names one
+    defaultTransport: 'sse',
+
+    // Server endpoints per transport; override per call with options.transportOptions
+    settings: {
+        websocket: {
+            url: '/Home/StreamingSocket'
+        },
+        'long-polling': {
+            startUrl: '/Home/StartStreamingSession',
+            pollUrl: '/Home/PollStreamingSession'
+        },
+        hub: {
+            url: '/hubs/task-streaming',
+            method: 'StreamTasks',
+            eventType: 'taskUpdate',
+            pingInterval: 15000
+        }
+    },
+
+    // SignalR JSON hub protocol message types
+    hubMessageTypes: {
+        streamItem: 2,
+        completion: 3,
+        streamInvocation: 4,
+        cancelInvocation: 5,
+        ping: 6,
+        close: 7
+    },
+
+    // Terminates every SignalR JSON hub protocol record
+    hubRecordSeparator: '\x1e',
+
+    // Last frame of every SSE and WebSocket stream, { error } carrying the message of a failed run.
+    // A stream that stops without it was cut short and is reported as a retryable failure.
+    endEventType: 'end',
+
+    // Register an adapter. open(connection, handlers) starts a transport and returns { close() }.
+    // It reports back through handlers.opened(), handlers.frame({ type, data, lastEventId, retry }),
+    // handlers.ended() and handlers.failed(message, retryable). Reconnects call open again.
+    register(name, adapter) {
+        if (!adapter || typeof adapter.open !== 'function') {
+            throw new Error(`Transport "${name}" must implement open(connection, handlers)`);
+        }
+        this.adapters[name] = adapter;
+    },
+
+    get(name) {
+        return this.adapters[name] || null;
+    },
+
+    // The deployment-wide transport, rendered into the layout from the Streaming:Transport setting
+    getDefault() {
+        const meta = document.querySelector('meta[name="streaming-transport"]');
+        const name = meta && meta.content.trim();
+        return name && this.adapters[name] ? name : this.defaultTransport;
+    },
+
+    // Endpoint settings for a transport, with the connection's overrides applied
+    getSettings(name, connection) {
+        const overrides = connection.options.transportOptions || {};
+        return { ...this.settings[name], ...overrides };
+    },
+
+    // Resolve a site-relative URL against the page and switch http(s) to ws(s)
+    toWebSocketUrl(url) {
+        const resolved = new URL(url, window.location.href);
+        resolved.protocol = resolved.protocol === 'https:' ? 'wss:' : 'ws:';
+        return resolved.toString();
+    },
+
+    // The request body as a value, for transports that embed it in their own messages
+    getBody(connection) {
+        const body = connection.options.body;
+        return typeof body === 'string' ? JSON.parse(body) : body;
+    },
+
+    // Append the last seen event id so a resumed stream can skip what we already have
+    getResumeUrl(connection) {
+        if (!connection.lastEventId) return connection.endpoint;
+
+        const separator = connection.endpoint.includes('?') ? '&' : '?';
+        return `${connection.endpoint}${separator}lastEventId=${encodeURIComponent(connection.lastEventId)}`;
+    },
+
+    // Report the server's end frame: a finished run, or a failed one that reconnecting cannot fix
+    endStream(handlers, data) {
+        const error = data && data.error;
+        if (error) {
+            handlers.failed(error, false);
+        } else {
+            handlers.ended();
+        }
+    },
+
+    // Parse an end frame's JSON text; an unreadable one still ends the stream
+    parseEndData(text) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            console.error('Error parsing end of stream:', e, 'Raw data:', text);
+            return null;
+        }
+    },
+
+    // An Error carrying whether reconnecting could help
+    createError(message, retryable) {
+        const error = new Error(message);
+        error.retryable = retryable;
+        return error;
+    },
+
+    // fetch that rejects with a retryable error for 5xx and a permanent one for 4xx
+    async fetchJson(url, init) {
+        const response = await fetch(url, {
+            ...init,
+            headers: { 'Accept': 'application/json', 'Content-Type': 'application/json', ...init.headers }
+        });
+        if (!response.ok) {
+            const text = await response.text();
+            throw this.createError(text || `HTTP ${response.status}: ${response.statusText}`, response.status >= 500);
+        }
+        return response.json();
+    },
+
+    // Report a failed request unless it was aborted by close()
+    reportFailure(handlers, signal, error) {
+        if (error.name === 'AbortError' || signal.aborted) return;
+
+        console.error('Streaming request failed:', error);
+        handlers.failed(error.message || 'Streaming connection failed', error.retryable !== false);
+    },
+
+    // Incremental text/event-stream parser (id:, event:, data:, retry: and comments).
+    // Calls onEvent({ type, data, lastEventId, retry }) for every completed frame.
+    createEventStreamParser(onEvent) {
+        let buffer = '';
+        let dataLines = [];
+        let eventType = '';
+        let lastEventId = '';
+        let retry = null;
+
+        const dispatch = () => {
+            if (dataLines.length > 0) {
+                onEvent({
+                    type: eventType || 'message',
+                    data: dataLines.join('\n'),
+                    lastEventId: lastEventId,
+                    retry: retry
+                });
+            }
+            dataLines = [];
+            eventType = '';
+        };
+
+        const processLine = (line) => {
+            if (line === '') {
+                dispatch();
+                return;
+            }
+            if (line.startsWith(':')) return;
+
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            let value = colon === -1 ? '' : line.slice(colon + 1);
+            if (value.startsWith(' ')) value = value.slice(1);
+
+            switch (field) {
+                case 'data':
+                    dataLines.push(value);
+                    break;
+                case 'event':
+                    eventType = value;
+                    break;
+                case 'id':
+                    if (!value.includes('\0')) lastEventId = value;
+                    break;
+                case 'retry':
+                    if (/^\d+$/.test(value)) retry = parseInt(value, 10);
+                    break;
+            }
+        };
+
+        // Per the SSE spec an unterminated frame at end of stream is discarded,
+        // so there is nothing to flush once the response ends
+        return {
+            push(chunk) {
+                buffer += chunk;
+
+                // A trailing \r may be the first half of \r\n; hold it for the next chunk
+                const holdCr = buffer.endsWith('\r');
+                const lines = (holdCr ? buffer.slice(0, -1) : buffer).split(/\r\n|\r|\n/);
+                buffer = lines.pop() + (holdCr ? '\r' : '');
+                lines.forEach(processLine);
+            }
+        };
+    },
+
+    // Split \x1e-terminated hub protocol records; a partial record waits for the next chunk
+    createHubRecordParser(onMessage) {
+        let buffer = '';
+
+        return {
+            push(chunk) {
+                buffer += chunk;
+                const records = buffer.split(Transports.hubRecordSeparator);
+                buffer = records.pop();
+                records.filter(Boolean).forEach(record => onMessage(JSON.parse(record)));
+            }
+        };
+    }
+};
+
+// Server-Sent Events. GET endpoints use the browser's EventSource; a request body
+// (or a non-GET method) is sent with fetch and the text/event-stream body parsed here.
+Transports.register('sse', {
+    open(connection, handlers) {
+        const options = connection.options;
+        if (options.body !== undefined || (options.method && options.method.toUpperCase() !== 'GET')) {
+            return this.openFetchStream(connection, handlers);
+        }
+        return this.openEventSource(connection, handlers);
+    },
+
+    // EventSource cannot set Last-Event-ID on a fresh instance, so it travels in the query string
+    openEventSource(connection, handlers) {
+        const source = new EventSource(Transports.getResumeUrl(connection));
+
+        source.onopen = () => handlers.opened();
+
+        // Unnamed frames arrive as "message"
+        const handleFrame = (event) => {
+            handlers.frame({
+                type: event.type,
+                data: event.data,
+                lastEventId: event.lastEventId,
+                retry: null
+            });
+        };
+        source.onmessage = handleFrame;
+        connection.eventTypes.forEach(type => source.addEventListener(type, handleFrame));
+
+        // EventSource reports the server closing the response the same way as a dropped
+        // connection, so a finished stream is recognised by its end frame instead
+        source.addEventListener(Transports.endEventType, (event) => {
+            source.close();
+            Transports.endStream(handlers, Transports.parseEndData(event.data));
+        });
+
+        // Native retries are suppressed: they would bypass the streaming module's backoff
+        source.onerror = () => {
+            source.close();
+            handlers.failed('Streaming connection failed', true);
+        };
+
+        return { close: () => source.close() };
+    },
+
+    openFetchStream(connection, handlers) {
+        const options = connection.options;
+        const controller = new AbortController();
+        const resumeHeaders = connection.lastEventId ? { 'Last-Event-ID': connection.lastEventId } : {};
+        const body = options.body === undefined || typeof options.body === 'string'
+            ? options.body
+            : JSON.stringify(options.body);
+
+        const read = async () => {
+            try {
+                const response = await fetch(connection.endpoint, {
+                    method: options.method || 'POST',
+                    headers: {
+                        'Accept': 'text/event-stream',
+                        'Content-Type': 'application/json',
+                        ...resumeHeaders,
+                        ...options.headers
+                    },
+                    body: body,
+                    signal: controller.signal
+                });
+
+                if (!response.ok) {
+                    // ProcessStreamingTasks answers validation failures with a plain-text 400
+                    const text = await response.text();
+                    throw Transports.createError(text || `HTTP ${response.status}: ${response.statusText}`, response.status >= 500);
+                }
+                if (!response.body) {
+                    throw Transports.createError('Streaming is not supported by this browser', false);
+                }
+
+                handlers.opened();
+
+                let endData;
+                const parser = Transports.createEventStreamParser((frame) => {
+                    if (frame.type === Transports.endEventType) {
+                        endData = Transports.parseEndData(frame.data);
+                    } else if (endData === undefined) {
+                        handlers.frame(frame);
+                    }
+                });
+                const reader = response.body.getReader();
+                const decoder = new TextDecoder();
+                while (!controller.signal.aborted && endData === undefined) {
+                    const { value, done } = await reader.read();
+                    if (done) break;
+                    parser.push(decoder.decode(value, { stream: true }));
+                }
+                parser.push(decoder.decode());
+
+                if (controller.signal.aborted) return;
+                if (endData !== undefined) {
+                    controller.abort();
+                    Transports.endStream(handlers, endData);
+                } else {
+                    handlers.failed('The streaming response ended before the run finished', true);
+                }
+            } catch (error) {
+                Transports.reportFailure(handlers, controller.signal, error);
+            }
+        };
+        read();
+
+        return { close: () => controller.abort() };
+    }
+});
+
+// WebSocket. The first message carries the request body and the last seen event id;
+// the server answers with { id, type, data } messages and a final { type: 'end', data: { error } },
+// then closes with 1000. A close without the end message was cut short and is retried, except
+// for close code 1008 (policy violation), which marks a rejected request.
+Transports.register('websocket', {
+    open(connection, handlers) {
+        const settings = Transports.getSettings('websocket', connection);
+        const socket = new WebSocket(Transports.toWebSocketUrl(settings.url));
+        let closed = false;
+
+        socket.onopen = () => {
+            socket.send(JSON.stringify({
+                lastEventId: connection.lastEventId,
+                body: Transports.getBody(connection)
+            }));
+            handlers.opened();
+        };
+
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) {
+                console.error('Error parsing WebSocket message:', e, 'Raw data:', event.data);
+                return;
+            }
+            if (message.type === Transports.endEventType) {
+                closed = true;
+                socket.close(1000);
+                Transports.endStream(handlers, message.data);
+                return;
+            }
+            handlers.frame({
+                type: message.type || 'message',
+                data: message.data,
+                lastEventId: message.id === undefined || message.id === null ? '' : String(message.id),
+                retry: message.retry || null
+            });
+        };
+
+        // onerror is always followed by onclose, which carries the code
+        socket.onclose = (event) => {
+            if (closed) return;
+            closed = true;
+
+            handlers.failed(event.reason || `WebSocket closed (code ${event.code})`, event.code !== 1008);
+        };
+
+        return {
+            close() {
+                closed = true;
+                if (socket.readyState === WebSocket.CONNECTING || socket.readyState === WebSocket.OPEN) {
+                    socket.close(1000);
+                }
+            }
+        };
+    }
+});
+
+// Long-polling, for proxies that buffer streamed responses. POST startUrl creates a server-side
+// session ({ sessionId }); GET pollUrl?sessionId=&after= then waits for
+// { events: [{ id, type, data }], completed, error }. Reconnects resume the same session
+// from the last seen event; a 404 means the session expired and the run cannot be resumed.
+Transports.register('long-polling', {
+    open(connection, handlers) {
+        const settings = Transports.getSettings('long-polling', connection);
+        const controller = new AbortController();
+        const signal = controller.signal;
+
+        const poll = async () => {
+            try {
+                if (!connection.sessionId) {
+                    const session = await Transports.fetchJson(settings.startUrl, {
+                        method: 'POST',
+                        headers: connection.options.headers,
+                        body: JSON.stringify(Transports.getBody(connection)),
+                        signal: signal
+                    });
+                    connection.sessionId = session.sessionId;
+                }
+
+                handlers.opened();
+
+                let after = connection.lastEventId || '0';
+                while (!signal.aborted) {
+                    const query = `sessionId=${encodeURIComponent(connection.sessionId)}&after=${encodeURIComponent(after)}`;
+                    const batch = await Transports.fetchJson(`${settings.pollUrl}?${query}`, {
+                        headers: connection.options.headers,
+                        signal: signal
+                    });
+
+                    (batch.events || []).forEach(event => {
+                        after = String(event.id);
+                        handlers.frame({ type: event.type || 'message', data: event.data, lastEventId: after, retry: null });
+                    });
+
+                    if (signal.aborted) return;
+                    if (batch.error) throw Transports.createError(batch.error, false);
+                    if (batch.completed) {
+                        handlers.ended();
+                        return;
+                    }
+                }
+            } catch (error) {
+                Transports.reportFailure(handlers, signal, error);
+            }
+        };
+        poll();
+
+        return { close: () => controller.abort() };
+    }
+});
+
+// SignalR JSON hub protocol over a WebSocket (no negotiate step). Invokes the hub's streaming
+// method with the request body and the last seen event id, which resumes the buffered run;
+// each StreamItem is an { id, type, data } frame and the Completion message ends the stream.
+Transports.register('hub', {
+    open(connection, handlers) {
+        const settings = Transports.getSettings('hub', connection);
+        const types = Transports.hubMessageTypes;
+        const socket = new WebSocket(Transports.toWebSocketUrl(settings.url));
+        const invocationId = '0';
+        let handshakeDone = false;
+        let closed = false;
+        let pingTimer = null;
+
+        const send = (message) => socket.send(JSON.stringify(message) + Transports.hubRecordSeparator);
+
+        const finish = (callback) => {
+            closed = true;
+            clearInterval(pingTimer);
+            if (socket.readyState === WebSocket.OPEN) socket.close(1000);
+            callback();
+        };
+
+        const handleMessage = (message) => {
+            // The first record is the handshake response: {} or { error }
+            if (!handshakeDone) {
+                if (message.error) {
+                    finish(() => handlers.failed(message.error, false));
+                    return;
+                }
+                handshakeDone = true;
+                send({ type: types.streamInvocation, invocationId: invocationId, target: settings.method, arguments: [Transports.getBody(connection), connection.lastEventId || null] });
+                pingTimer = setInterval(() => send({ type: types.ping }), settings.pingInterval);
+                handlers.opened();
+                return;
+            }
+
+            switch (message.type) {
+                case types.streamItem:
+                    handlers.frame({
+                        type: message.item.type || settings.eventType,
+                        data: message.item.data,
+                        lastEventId: message.item.id === undefined || message.item.id === null ? '' : String(message.item.id),
+                        retry: null
+                    });
+                    break;
+                case types.completion:
+                    finish(() => message.error ? handlers.failed(message.error, false) : handlers.ended());
+                    break;
+                case types.close:
+                    finish(() => handlers.failed(message.error || 'The hub closed the connection', message.allowReconnect === true));
+                    break;
+            }
+        };
+
+        const parser = Transports.createHubRecordParser(handleMessage);
+
+        socket.onopen = () => send({ protocol: 'json', version: 1 });
+
+        socket.onmessage = (event) => {
+            if (closed) return;
+            try {
+                parser.push(event.data);
+            } catch (e) {
+                console.error('Error parsing hub message:', e, 'Raw data:', event.data);
+            }
+        };
+
+        socket.onclose = (event) => {
+            if (closed) return;
+            closed = true;
+            clearInterval(pingTimer);
+            handlers.failed(event.reason || `Hub connection closed (code ${event.code})`, true);
+        };
+
+        return {
+            close() {
+                if (closed) return;
+                closed = true;
+                clearInterval(pingTimer);
+                if (socket.readyState === WebSocket.OPEN) {
+                    if (handshakeDone) send({ type: types.cancelInvocation, invocationId: invocationId });
+                    socket.close(1000);
+                } else if (socket.readyState === WebSocket.CONNECTING) {
+                    socket.close(1000);
+                }
+            }
+        };
+    }
+});
+
+// Expose to global namespace
+window.TaskListProcessor.Transports = Transports;
+
+export default Transports;
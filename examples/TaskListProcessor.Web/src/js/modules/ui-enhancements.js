@@ -4,11 +4,16 @@
  */
 
 const UIEnhancements = {
+    isInitialized: false,
+
     init() {
+        if (this.isInitialized) return;
+
         this.setupCardAnimations();
         this.setupButtonEnhancements();
         this.setupFormEnhancements();
         this.setupScrollEnhancements();
+        this.isInitialized = true;
         console.log('UI Enhancements initialized');
     },
 
@@ -182,15 +187,10 @@ const UIEnhancements = {
         });
     },
 
-    // Create loading overlay
+    // Create loading overlay (themed by the .loading-overlay styles)
     createLoadingOverlay(container) {
         const overlay = document.createElement('div');
         overlay.className = 'loading-overlay position-absolute top-0 start-0 w-100 h-100 d-flex align-items-center justify-content-center';
-        overlay.style.cssText = `
-            background-color: rgba(255, 255, 255, 0.8);
-            z-index: 10;
-            backdrop-filter: blur(2px);
-        `;
         overlay.innerHTML = `
             <div class="text-center">
                 <div class="loading mb-3"></div>
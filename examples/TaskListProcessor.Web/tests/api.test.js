@@ -0,0 +1,55 @@
+/**
+ * Api module: response parsing and error mapping
+ */
+
+import './helpers/browser.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import '../src/js/modules/api.js';
+
+const { Api } = window.TaskListProcessor;
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        if (request.url === '/json') {
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end('{"isCompleted":true}');
+        } else if (request.url === '/html') {
+            response.writeHead(200, { 'Content-Type': 'text/html' });
+            response.end('<html><body>Please sign in</body></html>');
+        } else {
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end('');
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('a JSON response resolves with its body', async () => {
+    assert.deepEqual(await Api.request(`${baseUrl}/json`), { isCompleted: true });
+});
+
+test('a successful response that is not JSON is an invalid-response error with the status and body', async () => {
+    await assert.rejects(Api.request(`${baseUrl}/html`), (error) => {
+        assert.equal(error.name, 'ApiError');
+        assert.equal(error.kind, 'invalid-response');
+        assert.equal(error.status, 200);
+        assert.match(Api.describeError(error), /Response began with: <html><body>Please sign in/);
+        return true;
+    });
+});
+
+test('an empty successful response is an invalid-response error', async () => {
+    await assert.rejects(Api.request(`${baseUrl}/empty`), (error) => {
+        assert.equal(error.kind, 'invalid-response');
+        assert.deepEqual(error.details.slice(1), ['The response body was empty']);
+        return true;
+    });
+});
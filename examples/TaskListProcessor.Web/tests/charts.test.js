@@ -0,0 +1,57 @@
+/**
+ * Charts module: colors from chart data cannot break out of their attributes
+ */
+
+import './helpers/browser.js';
+import { assertNoInjection } from './helpers/hostile.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/js/modules/core.js';
+import '../src/js/modules/charts.js';
+
+const { Charts } = window.TaskListProcessor;
+
+const hostileColor = 'red" onclick="x';
+const hostileStyle = 'red; background: url(https://example.com/track)';
+
+test('bar, line, pie and donut charts replace unsafe data colors with palette colors', () => {
+    const data = {
+        labels: ['London', 'Paris'],
+        datasets: [{ label: 'Duration', values: [120, 80], color: hostileColor, colors: [hostileStyle, '#ff0000'] }]
+    };
+
+    ['bar', 'line', 'pie', 'donut'].forEach(type => {
+        const markup = Charts.renderToString(type, { data: data });
+
+        assertNoInjection(assert, markup);
+        assert.doesNotMatch(markup, /url\(/);
+        assert.ok(markup.includes(Charts.palette[0]), `${type} falls back to the palette`);
+        assert.ok(markup.includes('#ff0000'), `${type} keeps a safe point color`);
+    });
+});
+
+test('legend swatches only take plain color tokens', () => {
+    const markup = Charts.renderToString('bar', {
+        data: {
+            labels: ['London'],
+            datasets: [{ label: 'Duration', values: [120] }],
+            legend: [
+                { label: 'Injected', color: hostileStyle },
+                { label: 'Themed', color: 'var(--bs-purple, #6f42c1)' },
+                { label: 'Faded', color: 'rgba(13, 110, 253, 0.5)' }
+            ]
+        }
+    });
+
+    assert.doesNotMatch(markup, /url\(/);
+    assert.ok(markup.includes('style="background: transparent"'));
+    assert.ok(markup.includes('style="background: var(--bs-purple, #6f42c1)"'));
+    assert.ok(markup.includes('style="background: rgba(13, 110, 253, 0.5)"'));
+});
+
+test('a sparkline ignores an unsafe color option', () => {
+    const markup = Charts.renderSparkline([1, 3, 2], { color: hostileColor });
+
+    assertNoInjection(assert, markup);
+    assert.ok(markup.includes('stroke="var(--bs-primary)"'));
+});
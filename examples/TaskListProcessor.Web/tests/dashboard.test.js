@@ -0,0 +1,81 @@
+/**
+ * Dashboard module: teardown
+ */
+
+import { FakeContainer } from './helpers/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/js/modules/core.js';
+import '../src/js/modules/api.js';
+import '../src/js/modules/transports.js';
+import '../src/js/modules/streaming.js';
+import '../src/js/modules/progress.js';
+import '../src/js/modules/charts.js';
+import '../src/js/modules/export.js';
+import '../src/js/modules/results.js';
+import '../src/js/modules/runs.js';
+import '../src/js/modules/dashboard.js';
+
+const { Dashboard, Progress, Runs, Transports } = window.TaskListProcessor;
+
+// Panels are created with document.createElement and queried for their fields
+document.createElement = () => new FakeContainer();
+
+test('destroy cancels running panels and no later event reaches them', (t) => {
+    // A transport that connects and then waits, so the run stays active until it is cancelled
+    const connections = [];
+    Transports.register('held', {
+        open(connection, handlers) {
+            connections.push(handlers);
+            handlers.opened();
+            return { close() {} };
+        }
+    });
+
+    const dashboard = Dashboard.create(new FakeContainer('dashboard'), { runs: 1 });
+    const running = Array.from(dashboard.slots.values())[0];
+    const idle = Dashboard.addSlot(dashboard);
+    const field = name => running.panel.querySelector(`[data-run-field="${name}"]`);
+    Object.assign(field('cities'), { value: 'London, Paris' });
+    Object.assign(field('concurrency'), { value: '4' });
+    Object.assign(field('transport'), { value: 'held' });
+    Dashboard.startSlot(dashboard, running);
+    assert.equal(running.status, 'running');
+
+    const updates = t.mock.method(Dashboard, 'updateSlot', () => {});
+    const finishes = t.mock.method(Dashboard, 'finishSlot');
+    const progress = t.mock.method(Progress, 'update');
+    const sendFrames = () => {
+        [running, idle].forEach(slot => {
+            const container = document.getElementById(slot.containerId);
+            container.dispatchEvent(new CustomEvent('streaming-data', { detail: { isCompleted: false } }));
+        });
+        connections.forEach(handlers => handlers.frame({ type: 'taskUpdate', data: { isCompleted: false }, lastEventId: '', retry: null }));
+    };
+
+    // While mounted, both panels and the running panel's progress hear their containers
+    sendFrames();
+    assert.equal(updates.mock.callCount(), 3);
+    assert.equal(progress.mock.callCount(), 2);
+    updates.mock.resetCalls();
+    progress.mock.resetCalls();
+
+    Dashboard.destroy(dashboard);
+    assert.equal(running.status, 'cancelled');
+    assert.equal(finishes.mock.callCount(), 1);
+    assert.deepEqual(Runs.getActiveRuns(), []);
+    assert.equal(dashboard.slots.size, 0);
+    assert.equal(Dashboard.dashboards.has(dashboard.element), false);
+
+    // A run-finished listener left behind would still look its panel up
+    const lookups = t.mock.method(dashboard.slots, 'get');
+    sendFrames();
+    [running, idle].forEach(slot => document.dispatchEvent(new CustomEvent('run-finished', {
+        detail: { id: 0, containerId: slot.containerId, status: 'completed' }
+    })));
+
+    assert.equal(updates.mock.callCount(), 0);
+    assert.equal(progress.mock.callCount(), 0);
+    assert.equal(lookups.mock.callCount(), 0);
+    assert.equal(finishes.mock.callCount(), 1);
+});
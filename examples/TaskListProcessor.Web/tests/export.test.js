@@ -0,0 +1,38 @@
+/**
+ * Export module: the HTML report and export menu escape server text
+ */
+
+import './helpers/browser.js';
+import { hostileCity, hostileError, hostileTask, hostileResult, assertNoInjection } from './helpers/hostile.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/js/modules/core.js';
+import '../src/js/modules/charts.js';
+import '../src/js/modules/export.js';
+
+const { Export, Core } = window.TaskListProcessor;
+
+test('the HTML report escapes city names, task names, errors and configuration', () => {
+    const report = Export.toHtmlReport(hostileResult(), {
+        Scenario: hostileError,
+        SelectedCities: [hostileCity],
+        MaxConcurrentTasks: 2,
+        TimeoutMinutes: 1
+    });
+
+    assert.equal(typeof report, 'string');
+    assert.ok(report.startsWith('<!DOCTYPE html>'));
+    assertNoInjection(assert, report);
+    assert.ok(report.includes(`<td>${Core.escapeHtml(hostileCity)}</td>`));
+    assert.ok(report.includes(`<td>${Core.escapeHtml(hostileTask)}</td>`));
+    assert.ok(report.includes(`Failed: ${Core.escapeHtml(hostileError)}`));
+    assert.match(report, /<svg/);
+});
+
+test('the export menu lists every format', () => {
+    const markup = String(Export.renderMenu());
+
+    Object.keys(Export.formats).forEach(format => {
+        assert.ok(markup.includes(`data-export-format="${format}"`));
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * TaskListProcessor Web - Test browser globals
+ * Just enough of window and document for the modules to load under node:test.
+ * Import this before any module; ES imports run in order.
+ */
+
+// Element stand-in: events, ids, data attributes and markup as a string
+export class FakeElement extends EventTarget {
+    #markup = '';
+
+    constructor(id = '') {
+        super();
+        this.id = id;
+        this.dataset = {};
+        this.style = {};
+        this.innerHTML = '';
+        this.textContent = '';
+        this.children = [];
+        this.attributes = new Map();
+        this.classList = {
+            names: new Set(),
+            add: (...names) => names.forEach(name => this.classList.names.add(name)),
+            remove: (...names) => names.forEach(name => this.classList.names.delete(name)),
+            contains: name => this.classList.names.has(name),
+            toggle: (name, force) => {
+                const on = force ?? !this.classList.names.has(name);
+                if (on) this.classList.names.add(name); else this.classList.names.delete(name);
+                return on;
+            }
+        };
+    }
+
+    // Markup is stored as a string, as the DOM serializes whatever is assigned
+    get innerHTML() {
+        return this.#markup;
+    }
+
+    set innerHTML(markup) {
+        this.#markup = String(markup);
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    querySelector() {
+        return null;
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    // The markup is kept as the new child's innerHTML
+    insertAdjacentHTML(position, markup) {
+        const child = new FakeElement();
+        child.innerHTML = markup;
+        this.appendChild(child);
+    }
+
+    get lastElementChild() {
+        return this.children[this.children.length - 1] || null;
+    }
+
+    remove() {
+        document.elements.delete(this.id);
+    }
+}
+
+// Element stand-in for modules that render markup and then query it: every selector finds a
+// stand-in child (the same one each time), and ids in assigned markup can be found by id
+export class FakeContainer extends FakeElement {
+    #found = new Map();
+
+    get innerHTML() {
+        return super.innerHTML;
+    }
+
+    set innerHTML(markup) {
+        super.innerHTML = markup;
+        for (const [, id] of this.innerHTML.matchAll(/\bid="([^"]+)"/g)) {
+            if (!document.elements.has(id)) addElement(id);
+        }
+    }
+
+    querySelector(selector) {
+        if (!this.#found.has(selector)) this.#found.set(selector, new FakeContainer());
+        return this.#found.get(selector);
+    }
+}
+
+// EventSource stand-in; tests drive it with open(), emit(), and drop()
+export class FakeEventSource extends EventTarget {
+    static instances = [];
+
+    constructor(url) {
+        super();
+        this.url = url;
+        this.readyState = 0;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        FakeEventSource.instances.push(this);
+    }
+
+    close() {
+        this.readyState = 2;
+    }
+
+    open() {
+        this.readyState = 1;
+        if (this.onopen) this.onopen(new Event('open'));
+    }
+
+    // Unnamed frames go to onmessage, named ones to their listeners
+    emit(type, data, lastEventId = '') {
+        if (this.readyState === 2) return;
+
+        const event = new MessageEvent(type, { data: JSON.stringify(data), lastEventId: lastEventId });
+        if (type === 'message') {
+            if (this.onmessage) this.onmessage(event);
+        } else {
+            this.dispatchEvent(event);
+        }
+    }
+
+    // The server closing the response or the network dropping; EventSource cannot tell them apart
+    drop() {
+        if (this.readyState === 2) return;
+
+        this.readyState = 0;
+        if (this.onerror) this.onerror(new Event('error'));
+    }
+}
+
+globalThis.window = globalThis;
+window.location = new URL('http://localhost/');
+window.TaskListProcessor = { showNotification: () => {} };
+window.EventSource = FakeEventSource;
+
+// Listeners and dispatchEvent work, for the run-* events modules raise on the document
+globalThis.document = Object.assign(new EventTarget(), {
+    elements: new Map(),
+    readyState: 'complete',
+    body: new FakeElement('body'),
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    getElementById(id) {
+        return this.elements.get(id) || null;
+    },
+    createElement: () => new FakeElement()
+});
+
+// Add an element the modules can find by id
+export function addElement(id) {
+    const element = new FakeElement(id);
+    document.elements.set(id, element);
+    return element;
+}
+
+// Resolve with the detail of the next event of that type
+export function nextEvent(target, type) {
+    return new Promise(resolve => {
+        target.addEventListener(type, event => resolve(event.detail), { once: true });
+    });
+}
+
+// Record the details of every event of the given types
+export function recordEvents(target, types) {
+    const events = [];
+    types.forEach(type => target.addEventListener(type, event => events.push({ type, detail: event.detail })));
+    return events;
+}
+
+// Let pending timers and promise callbacks run
+export function settle(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
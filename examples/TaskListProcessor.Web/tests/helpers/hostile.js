@@ -0,0 +1,36 @@
+/**
+ * TaskListProcessor Web - Hostile view-model data
+ * A run result whose server-supplied text tries to inject markup.
+ */
+
+export const hostileCity = '<img src=x onerror="alert(1)">';
+export const hostileError = '<script>alert("error")</script>';
+export const hostileTask = `Weather for "London" & 'Paris' <b>`;
+
+// TaskProcessingResultViewModel (camelCase, as the streaming endpoints send it)
+export function hostileResult() {
+    return {
+        isCompleted: true,
+        errorMessage: hostileError,
+        telemetrySummary: { totalTasks: 2, successfulTasks: 1, failedTasks: 1, successRate: 50, averageExecutionTime: 120, throughputPerSecond: 4 },
+        cityResults: [{
+            cityName: hostileCity,
+            weather: { isSuccessful: true, durationMs: 100, forecasts: [{ date: '2025-01-01', temperatureC: 5, summary: hostileCity }] },
+            activities: { isSuccessful: false, durationMs: 50, errorMessage: hostileError, activities: [] }
+        }],
+        detailedTelemetry: [
+            { taskName: hostileTask, elapsedMilliseconds: 100, isSuccessful: true, performanceLevel: 'Fast', performanceColor: 'success', performanceIcon: 'lightning' },
+            { taskName: hostileCity, elapsedMilliseconds: 140, isSuccessful: false, errorMessage: hostileError, performanceLevel: 'Slow', performanceColor: '" onclick="x', performanceIcon: 'x"><script>' }
+        ]
+    };
+}
+
+// Fail when markup still contains an injected element or attribute
+export function assertNoInjection(assert, markup) {
+    const text = String(markup);
+    assert.doesNotMatch(text, /<script/i);
+    assert.doesNotMatch(text, /<img/i);
+    assert.doesNotMatch(text, /<b>/);
+    assert.doesNotMatch(text, /onclick=/);
+    assert.doesNotMatch(text, /onerror="/);
+}
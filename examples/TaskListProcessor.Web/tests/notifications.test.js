@@ -0,0 +1,63 @@
+/**
+ * Notifications module: toast lifetime
+ */
+
+import './helpers/browser.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/js/modules/core.js';
+import '../src/js/modules/notifications.js';
+
+const { Notifications } = window.TaskListProcessor;
+
+// Bootstrap's Toast, recording the options each toast was created with
+window.bootstrap = {
+    Toast: class {
+        constructor(element, options) {
+            this.options = options;
+        }
+        show() {}
+        hide() {}
+    }
+};
+
+beforeEach(() => {
+    Notifications.visible.clear();
+    Notifications.history = [];
+});
+
+// Options of the Bootstrap toast shown for a notification
+function toastOptions(entry) {
+    return Notifications.visible.get(entry.key).toast.options;
+}
+
+test('errors stay until dismissed', () => {
+    assert.equal(toastOptions(Notifications.notify('Streaming run failed', 'danger')).autohide, false);
+});
+
+test("'error' is an alias for 'danger' and stays until dismissed", () => {
+    const entry = Notifications.notify('Request failed', 'error');
+
+    assert.equal(entry.type, 'danger');
+    assert.equal(toastOptions(entry).autohide, false);
+});
+
+test('errors with a duration or persistent: false hide themselves', () => {
+    assert.equal(toastOptions(Notifications.notify('Timed error', 'danger', 3000)).autohide, true);
+    assert.equal(toastOptions(Notifications.notify('Transient error', 'danger', { persistent: false })).autohide, true);
+});
+
+test('other types hide after the default duration', () => {
+    const options = toastOptions(Notifications.notify('Streaming run completed', 'success'));
+
+    assert.equal(options.autohide, true);
+    assert.equal(options.delay, Notifications.defaultDuration);
+});
+
+test('messages are shown as text, not markup', () => {
+    const entry = Notifications.notify('<img src=x onerror="alert(1)"> failed', 'danger');
+    const markup = Notifications.visible.get(entry.key).element.innerHTML;
+
+    assert.doesNotMatch(markup, /<img/);
+    assert.ok(markup.includes('&lt;img src=x onerror=&quot;alert(1)&quot;&gt; failed'));
+});
@@ -0,0 +1,37 @@
+/**
+ * Progress module: expected task counts follow TaskProcessingService for each scenario
+ */
+
+import './helpers/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/js/modules/core.js';
+import '../src/js/modules/progress.js';
+
+const { Progress } = window.TaskListProcessor;
+
+const cities = ['London', 'Paris', 'Tokyo'];
+
+test('city scenarios run a weather and an activities task per selected city', () => {
+    assert.equal(Progress.getExpectedTasks({ Scenario: 'MainProcessing', SelectedCities: cities }), 6);
+    assert.equal(Progress.getExpectedTasks({ Scenario: 'ConcurrentProcessingDemo', SelectedCities: cities }), 6);
+    assert.equal(Progress.getExpectedTasks({ scenario: 'StreamingDemo', selectedCities: cities }), 6);
+});
+
+test('a configuration without a scenario counts as MainProcessing', () => {
+    assert.equal(Progress.getExpectedTasks({ SelectedCities: cities }), 6);
+});
+
+test('IndividualTask runs one task whatever the selected cities', () => {
+    assert.equal(Progress.getExpectedTasks({ Scenario: 'IndividualTask', SelectedCities: cities }), 1);
+    assert.equal(Progress.getExpectedTasks({ Scenario: 'IndividualTask', SelectedCities: [] }), 1);
+});
+
+test('CancellationDemo runs its three timed tasks whatever the selected cities', () => {
+    assert.equal(Progress.getExpectedTasks({ Scenario: 'CancellationDemo', SelectedCities: cities }), 3);
+});
+
+test('an unknown scenario is indeterminate', () => {
+    assert.equal(Progress.getExpectedTasks({ Scenario: 'NightlyBatch', SelectedCities: cities }), 0);
+    assert.equal(Progress.getExpectedTasks({ Scenario: 'constructor', SelectedCities: cities }), 0);
+});
@@ -0,0 +1,38 @@
+/**
+ * Results module: server text is escaped in every rendering path
+ */
+
+import { addElement } from './helpers/browser.js';
+import { hostileCity, hostileError, hostileResult, assertNoInjection } from './helpers/hostile.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/js/modules/core.js';
+import '../src/js/modules/export.js';
+import '../src/js/modules/results.js';
+
+const { Results, Core } = window.TaskListProcessor;
+
+test('a rendered result escapes city names and error messages', () => {
+    const element = addElement('hostile-results');
+    Results.render(element, hostileResult());
+
+    assertNoInjection(assert, element.innerHTML);
+    assert.ok(element.innerHTML.includes(Core.escapeHtml(hostileCity)));
+    assert.ok(element.innerHTML.includes(Core.escapeHtml(hostileError)));
+    assert.equal(element.getAttribute('data-results-export'), '');
+});
+
+test('streamed task items escape task names and drop unsafe class tokens', () => {
+    const [fast, failed] = hostileResult().detailedTelemetry;
+
+    assert.ok(String(Results.renderTaskItem(fast)).includes('Weather for &quot;London&quot; &amp; &#39;Paris&#39; &lt;b&gt;'));
+    assertNoInjection(assert, Results.renderTaskItem(failed));
+    assert.match(String(Results.renderTaskItem(failed)), /badge bg-secondary/);
+});
+
+test('city cards escape forecast summaries and part errors', () => {
+    const markup = String(Results.renderCityResults(hostileResult().cityResults));
+
+    assertNoInjection(assert, markup);
+    assert.equal(markup.split(Core.escapeHtml(hostileCity)).length - 1, 2);
+});
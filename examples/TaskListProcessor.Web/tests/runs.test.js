@@ -0,0 +1,40 @@
+/**
+ * Runs module: one stream run per container
+ */
+
+import { addElement, recordEvents } from './helpers/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../src/js/modules/core.js';
+import '../src/js/modules/progress.js';
+import '../src/js/modules/runs.js';
+
+const { Runs } = window.TaskListProcessor;
+
+test('a second stream into a container cancels the run already streaming there', () => {
+    const closed = [];
+    window.TaskListProcessor.Api = { streamTasks: (containerId, input) => ({ options: { body: input } }) };
+    window.TaskListProcessor.Streaming = { closeConnection: containerId => closed.push(containerId) };
+
+    const container = addElement('replaced-streaming');
+    addElement('other-streaming');
+    const finished = recordEvents(document, ['run-finished']);
+
+    const first = Runs.streamTasks('replaced-streaming', { SelectedCities: ['London'] }, { notify: false });
+    const other = Runs.streamTasks('other-streaming', { SelectedCities: ['Paris'] }, { notify: false });
+    const second = Runs.streamTasks('replaced-streaming', { SelectedCities: ['Tokyo'] }, { notify: false });
+
+    assert.equal(first.status, 'cancelled');
+    assert.deepEqual(closed, ['replaced-streaming']);
+    assert.deepEqual(Runs.getActiveRuns(), [other, second]);
+
+    // Only the new run still listens to the container
+    container.dispatchEvent(new CustomEvent('streaming-complete', { detail: { isCompleted: true } }));
+
+    assert.deepEqual(finished.map(event => [event.detail.id, event.detail.status]), [
+        [first.id, 'cancelled'],
+        [second.id, 'completed']
+    ]);
+    assert.equal(other.status, 'running');
+    Runs.cancel(other.id);
+});
@@ -0,0 +1,150 @@
+/**
+ * Streaming module: end of stream, reconnects and resume
+ */
+
+import { FakeEventSource, addElement, nextEvent, recordEvents, settle } from './helpers/browser.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import '../src/js/modules/transports.js';
+import '../src/js/modules/streaming.js';
+
+const { Streaming, Transports } = window.TaskListProcessor;
+
+// Reconnect at once so tests do not wait on backoff
+const reconnect = { initialDelay: 0, jitter: 0 };
+
+beforeEach(() => {
+    FakeEventSource.instances = [];
+});
+
+test('a GET stream completes on the server\'s end frame without reconnecting', async () => {
+    const container = addElement('test-streaming');
+    const events = recordEvents(container, ['streaming-data', 'streaming-complete', 'streaming-error']);
+
+    Streaming.startStreaming('test-streaming', '/Home/TestStreaming', { transport: 'sse', notify: false, reconnect });
+    const source = FakeEventSource.instances[0];
+    source.open();
+    source.emit('test', { message: 'Test message 1' }, '1');
+    source.emit('test', { message: 'Test message 2' }, '2');
+    source.emit('end', { error: null });
+    source.drop();
+    await settle();
+
+    assert.deepEqual(events.map(event => event.type), ['streaming-data', 'streaming-data', 'streaming-complete']);
+    assert.deepEqual(events[2].detail, { message: 'Test message 2' });
+    assert.equal(FakeEventSource.instances.length, 1);
+    assert.equal(source.readyState, 2);
+    assert.equal(Streaming.connections['test-streaming'], undefined);
+});
+
+test('a GET stream dropped after frames reconnects from its last event id', async () => {
+    const container = addElement('midstream-streaming');
+    const events = recordEvents(container, ['streaming-data', 'streaming-complete', 'streaming-error']);
+
+    Streaming.startStreaming('midstream-streaming', '/Home/StreamingDemo', { transport: 'sse', notify: false, reconnect });
+    const first = FakeEventSource.instances[0];
+    first.open();
+    first.emit('taskUpdate', { isCompleted: false }, 'run:1');
+    first.drop();
+    await settle();
+
+    assert.equal(FakeEventSource.instances.length, 2);
+    const resumed = FakeEventSource.instances[1];
+    assert.equal(resumed.url, '/Home/StreamingDemo?lastEventId=run%3A1');
+    assert.deepEqual(events.map(event => event.type), ['streaming-data']);
+
+    resumed.open();
+    resumed.emit('taskUpdate', { isCompleted: true }, 'run:2');
+    await settle();
+
+    assert.deepEqual(events.map(event => event.type), ['streaming-data', 'streaming-data', 'streaming-complete']);
+});
+
+test('a GET stream dropped before its first frame reconnects', async () => {
+    const container = addElement('dropped-streaming');
+    const statuses = recordEvents(container, ['streaming-status']);
+
+    Streaming.startStreaming('dropped-streaming', '/Home/TestStreaming', { transport: 'sse', notify: false, reconnect });
+    FakeEventSource.instances[0].drop();
+    await settle();
+
+    assert.equal(FakeEventSource.instances.length, 2);
+    assert.deepEqual(statuses.map(event => event.detail.status), ['connecting', 'reconnecting', 'connecting']);
+
+    Streaming.closeConnection('dropped-streaming');
+});
+
+test('a resumed connection that drops before any new frame retries instead of completing', async () => {
+    // The first connection brings two frames; every reconnect drops while the server catches up
+    let opens = 0;
+    Transports.register('catching-up', {
+        open(connection, handlers) {
+            opens++;
+            handlers.opened();
+            if (opens === 1) {
+                handlers.frame({ type: 'taskUpdate', data: { step: 1 }, lastEventId: 'run:1', retry: null });
+                handlers.frame({ type: 'taskUpdate', data: { step: 2 }, lastEventId: 'run:2', retry: null });
+            }
+            setTimeout(() => handlers.failed('Streaming connection failed', true));
+            return { close() {} };
+        }
+    });
+
+    const container = addElement('catching-up-streaming');
+    const events = recordEvents(container, ['streaming-data', 'streaming-complete', 'streaming-error']);
+    Streaming.startStreaming('catching-up-streaming', '/stream', {
+        transport: 'catching-up',
+        notify: false,
+        reconnect: { ...reconnect, maxRetries: 2 }
+    });
+    await settle(30);
+
+    assert.equal(opens, 3);
+    assert.deepEqual(events.map(event => event.type), ['streaming-data', 'streaming-data', 'streaming-error']);
+    assert.match(events[2].detail.message, /after 2 reconnect attempt\(s\)/);
+});
+
+test('a dropped fetch stream resumes its run with Last-Event-ID', async (t) => {
+    // The dropped response is logged as a failed request
+    t.mock.method(console, 'error', () => {});
+
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push(request.headers['last-event-id']);
+        response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+
+        if (requests.length === 1) {
+            response.write('id: run:1\nevent: taskUpdate\ndata: {"isCompleted":false}\n\n');
+            response.write('id: run:2\nevent: taskUpdate\ndata: {"isCompleted":false}\n\n', () => response.destroy());
+        } else {
+            response.end('id: run:3\nevent: taskUpdate\ndata: {"isCompleted":true}\n\nevent: end\ndata: {"error":null}\n\n');
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const container = addElement('resumed-streaming');
+        const data = recordEvents(container, ['streaming-data']);
+        const completed = nextEvent(container, 'streaming-complete');
+
+        const endpoint = `http://127.0.0.1:${server.address().port}/Home/ProcessStreamingTasks`;
+        Streaming.startPostStreaming('resumed-streaming', endpoint, { SelectedCities: ['London'] }, { transport: 'sse', notify: false, reconnect });
+
+        assert.deepEqual(await completed, { isCompleted: true });
+        assert.deepEqual(requests, [undefined, 'run:2']);
+        assert.equal(data.length, 3);
+    } finally {
+        server.close();
+    }
+});
+
+test('ids of an earlier frame of the same run are replays', () => {
+    const connection = { lastEventId: 'run:2' };
+
+    assert.equal(Streaming.isReplayedEvent(connection, 'run:2'), true);
+    assert.equal(Streaming.isReplayedEvent(connection, 'run:1'), true);
+    assert.equal(Streaming.isReplayedEvent(connection, 'run:3'), false);
+    assert.equal(Streaming.isReplayedEvent(connection, 'other:1'), false);
+    assert.equal(Streaming.isReplayedEvent({ lastEventId: '4' }, '3'), true);
+});
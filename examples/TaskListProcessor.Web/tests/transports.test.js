@@ -0,0 +1,408 @@
+/**
+ * Transports module: the adapter contract against mock SSE, WebSocket, long-polling and hub servers
+ */
+
+import './helpers/browser.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { WebSocket, WebSocketServer } from 'ws';
+import '../src/js/modules/transports.js';
+
+const { Transports } = window.TaskListProcessor;
+const separator = Transports.hubRecordSeparator;
+const types = Transports.hubMessageTypes;
+
+// Node 20 has no WebSocket global
+window.WebSocket = WebSocket;
+
+const body = { SelectedCities: ['London', 'Paris'], MaxConcurrentTasks: 2 };
+
+// Each test sets the handlers its server endpoints need
+let routes;
+let server;
+let sockets;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer((request, response) => routes.http(request, response));
+    sockets = new WebSocketServer({ server });
+    sockets.on('connection', (socket, request) => routes.socket(socket, request));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    sockets.clients.forEach(socket => socket.terminate());
+    sockets.close();
+    server.closeAllConnections();
+    server.close();
+});
+
+beforeEach(() => {
+    routes = {
+        http: (request, response) => response.writeHead(404).end(),
+        socket: socket => socket.close(1011)
+    };
+});
+
+// A connection as Streaming.startStreaming creates it
+function createConnection(overrides = {}) {
+    return {
+        endpoint: `${baseUrl}/stream`,
+        options: { body: body, transportOptions: {} },
+        eventTypes: ['taskUpdate'],
+        sessionId: null,
+        lastEventId: null,
+        ...overrides
+    };
+}
+
+// Open an adapter and record its handler calls; finished resolves on ended or failed
+function openAdapter(name, connection) {
+    const calls = [];
+    let finish;
+    const finished = new Promise(resolve => { finish = resolve; });
+    const handle = Transports.get(name).open(connection, {
+        opened: () => calls.push(['opened']),
+        frame: frame => calls.push(['frame', frame]),
+        ended: () => {
+            calls.push(['ended']);
+            finish(calls);
+        },
+        failed: (message, retryable) => {
+            calls.push(['failed', message, retryable]);
+            finish(calls);
+        }
+    });
+    return { handle, calls, finished };
+}
+
+// The frames among recorded calls
+function framesOf(calls) {
+    return calls.filter(call => call[0] === 'frame').map(call => call[1]);
+}
+
+// The whole request body as JSON
+async function readJson(request) {
+    let text = '';
+    for await (const chunk of request) text += chunk;
+    return JSON.parse(text);
+}
+
+// The next message a mock WebSocket server receives, as text
+function nextMessage(socket) {
+    return new Promise(resolve => socket.once('message', data => resolve(data.toString())));
+}
+
+// SSE
+
+// The SSE endpoints' last frame
+const sseEnd = (error = null) => `event: end\ndata: ${JSON.stringify({ error })}\n\n`;
+
+test('sse: a POST stream sends the body, reports each frame and ends with the end frame', async () => {
+    let received;
+    routes.http = async (request, response) => {
+        received = { method: request.method, accept: request.headers.accept, body: await readJson(request) };
+        response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        response.write('id: 1\nevent: taskUpdate\ndata: {"isCompleted":false}\n\n');
+        response.end(': keep-alive\n\nid: 2\nevent: taskUpdate\ndata: {"isCompleted":true}\n\n' + sseEnd());
+    };
+
+    const { calls, finished } = openAdapter('sse', createConnection());
+    await finished;
+
+    assert.deepEqual(received, { method: 'POST', accept: 'text/event-stream', body: body });
+    assert.deepEqual(calls.map(call => call[0]), ['opened', 'frame', 'frame', 'ended']);
+    assert.deepEqual(framesOf(calls), [
+        { type: 'taskUpdate', data: '{"isCompleted":false}', lastEventId: '1', retry: null },
+        { type: 'taskUpdate', data: '{"isCompleted":true}', lastEventId: '2', retry: null }
+    ]);
+});
+
+test('sse: a resumed POST stream sends Last-Event-ID', async () => {
+    let lastEventId;
+    routes.http = (request, response) => {
+        lastEventId = request.headers['last-event-id'];
+        response.writeHead(200, { 'Content-Type': 'text/event-stream' }).end(sseEnd());
+    };
+
+    await openAdapter('sse', createConnection({ lastEventId: 'run:2' })).finished;
+
+    assert.equal(lastEventId, 'run:2');
+});
+
+test('sse: a response that closes without the end frame is a retryable failure', async () => {
+    routes.http = (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        response.end('id: 1\nevent: taskUpdate\ndata: {"isCompleted":false}\n\n');
+    };
+
+    const calls = await openAdapter('sse', createConnection()).finished;
+
+    assert.deepEqual(calls.map(call => call[0]), ['opened', 'frame', 'failed']);
+    assert.deepEqual(calls.at(-1), ['failed', 'The streaming response ended before the run finished', true]);
+});
+
+test('sse: an end frame with an error is a permanent failure', async () => {
+    routes.http = (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'text/event-stream' }).end(sseEnd('An error occurred during streaming: boom'));
+    };
+
+    const calls = await openAdapter('sse', createConnection()).finished;
+
+    assert.deepEqual(calls, [['opened'], ['failed', 'An error occurred during streaming: boom', false]]);
+});
+
+test('sse: a 400 is a permanent failure and a 503 a retryable one', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    routes.http = (request, response) => {
+        const status = request.url === '/rejected' ? 400 : 503;
+        response.writeHead(status, { 'Content-Type': 'text/plain' }).end(status === 400 ? 'At least one city must be selected' : '');
+    };
+
+    const rejected = await openAdapter('sse', createConnection({ endpoint: `${baseUrl}/rejected` })).finished;
+    const unavailable = await openAdapter('sse', createConnection({ endpoint: `${baseUrl}/unavailable` })).finished;
+
+    assert.deepEqual(rejected, [['failed', 'At least one city must be selected', false]]);
+    assert.deepEqual(unavailable, [['failed', 'HTTP 503: Service Unavailable', true]]);
+});
+
+// WebSocket
+
+// StreamingSocket's last message
+const socketEnd = (error = null) => JSON.stringify({ type: 'end', data: { error } });
+
+test('websocket: the first message carries the body, frames follow and the end message ends the stream', async () => {
+    let request;
+    routes.socket = async (socket) => {
+        request = JSON.parse(await nextMessage(socket));
+        socket.send(JSON.stringify({ id: 1, type: 'taskUpdate', data: { isCompleted: false } }));
+        socket.send(JSON.stringify({ id: 2, type: 'taskUpdate', data: { isCompleted: true } }));
+        socket.send(socketEnd());
+        socket.close(1000, 'Streaming completed');
+    };
+
+    const connection = createConnection({ options: { body: body, transportOptions: { url: `${baseUrl}/Home/StreamingSocket` } } });
+    const { calls, finished } = openAdapter('websocket', connection);
+    await finished;
+
+    assert.deepEqual(request, { lastEventId: null, body: body });
+    assert.deepEqual(calls.map(call => call[0]), ['opened', 'frame', 'frame', 'ended']);
+    assert.deepEqual(framesOf(calls), [
+        { type: 'taskUpdate', data: { isCompleted: false }, lastEventId: '1', retry: null },
+        { type: 'taskUpdate', data: { isCompleted: true }, lastEventId: '2', retry: null }
+    ]);
+});
+
+test('websocket: a resumed connection sends the last event id', async () => {
+    let request;
+    routes.socket = async (socket) => {
+        request = JSON.parse(await nextMessage(socket));
+        socket.close(1000);
+    };
+
+    const connection = createConnection({ lastEventId: 'run:2', options: { body: body, transportOptions: { url: baseUrl } } });
+    await openAdapter('websocket', connection).finished;
+
+    assert.equal(request.lastEventId, 'run:2');
+});
+
+test('websocket: close 1000 without the end message is retryable, an end message with an error is not', async () => {
+    routes.socket = async (socket, request) => {
+        await nextMessage(socket);
+        if (request.url === '/failed') {
+            socket.send(socketEnd('An error occurred during streaming: boom'));
+        }
+        socket.close(1000);
+    };
+
+    const open = path => openAdapter('websocket', createConnection({ options: { body: body, transportOptions: { url: `${baseUrl}${path}` } } })).finished;
+    const closed = await open('/closed');
+    const failed = await open('/failed');
+
+    assert.deepEqual(closed.at(-1), ['failed', 'WebSocket closed (code 1000)', true]);
+    assert.deepEqual(failed.at(-1), ['failed', 'An error occurred during streaming: boom', false]);
+});
+
+test('websocket: close 1008 is a permanent failure and a dropped socket a retryable one', async () => {
+    routes.socket = async (socket, request) => {
+        await nextMessage(socket);
+        if (request.url === '/rejected') {
+            socket.close(1008, 'At least one city must be selected');
+        } else {
+            socket.terminate();
+        }
+    };
+
+    const open = path => openAdapter('websocket', createConnection({ options: { body: body, transportOptions: { url: `${baseUrl}${path}` } } })).finished;
+    const rejected = await open('/rejected');
+    const dropped = await open('/dropped');
+
+    assert.deepEqual(rejected.at(-1), ['failed', 'At least one city must be selected', false]);
+    assert.deepEqual(dropped.at(-1), ['failed', 'WebSocket closed (code 1006)', true]);
+});
+
+// Long-polling
+
+// Start and poll endpoints serving three events in two batches
+function pollingRoutes(requests) {
+    return async (request, response) => {
+        const url = new URL(request.url, baseUrl);
+        requests.push(`${request.method} ${url.pathname}${url.search}`);
+        response.setHeader('Content-Type', 'application/json');
+
+        if (url.pathname === '/start') {
+            assert.deepEqual(await readJson(request), body);
+            response.end(JSON.stringify({ sessionId: 'abc' }));
+        } else if (url.searchParams.get('sessionId') !== 'abc') {
+            response.writeHead(404, { 'Content-Type': 'text/plain' }).end('Streaming session not found or expired');
+        } else if (url.searchParams.get('after') === '0') {
+            response.end(JSON.stringify({ events: [{ id: 1, type: 'taskUpdate', data: { step: 1 } }, { id: 2, type: 'taskUpdate', data: { step: 2 } }], completed: false, error: null }));
+        } else {
+            response.end(JSON.stringify({ events: [{ id: 3, type: 'taskUpdate', data: { step: 3 } }], completed: true, error: null }));
+        }
+    };
+}
+
+const pollingOptions = () => ({ body: body, transportOptions: { startUrl: `${baseUrl}/start`, pollUrl: `${baseUrl}/poll` } });
+
+test('long-polling: starts a session and polls after the last event until it completes', async () => {
+    const requests = [];
+    routes.http = pollingRoutes(requests);
+
+    const connection = createConnection({ options: pollingOptions() });
+    const { calls, finished } = openAdapter('long-polling', connection);
+    await finished;
+
+    assert.deepEqual(requests, ['POST /start', 'GET /poll?sessionId=abc&after=0', 'GET /poll?sessionId=abc&after=2']);
+    assert.equal(connection.sessionId, 'abc');
+    assert.deepEqual(calls.map(call => call[0]), ['opened', 'frame', 'frame', 'frame', 'ended']);
+    assert.deepEqual(framesOf(calls).map(frame => [frame.lastEventId, frame.data.step]), [['1', 1], ['2', 2], ['3', 3]]);
+});
+
+test('long-polling: a reconnect resumes its session from the last event id', async () => {
+    const requests = [];
+    routes.http = pollingRoutes(requests);
+
+    const connection = createConnection({ sessionId: 'abc', lastEventId: '2', options: pollingOptions() });
+    const { calls, finished } = openAdapter('long-polling', connection);
+    await finished;
+
+    assert.deepEqual(requests, ['GET /poll?sessionId=abc&after=2']);
+    assert.deepEqual(framesOf(calls).map(frame => frame.lastEventId), ['3']);
+});
+
+test('long-polling: an expired session and a run error are permanent failures', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    routes.http = pollingRoutes([]);
+
+    const expired = await openAdapter('long-polling', createConnection({ sessionId: 'gone', options: pollingOptions() })).finished;
+    assert.deepEqual(expired.at(-1), ['failed', 'Streaming session not found or expired', false]);
+
+    routes.http = (request, response) => {
+        response.setHeader('Content-Type', 'application/json');
+        response.end(JSON.stringify({ events: [], completed: true, error: 'The streaming session expired' }));
+    };
+    const failed = await openAdapter('long-polling', createConnection({ sessionId: 'abc', options: pollingOptions() })).finished;
+    assert.deepEqual(failed.at(-1), ['failed', 'The streaming session expired', false]);
+});
+
+// SignalR hub
+
+// Hub protocol records a mock hub received or sends
+const record = message => JSON.stringify(message) + separator;
+const parseRecords = text => text.split(separator).filter(Boolean).map(item => JSON.parse(item));
+
+// Mock hub: answers the handshake, then hands each invocation to onInvocation
+function hubRoute(onInvocation, received = []) {
+    return (socket) => {
+        socket.on('message', data => {
+            parseRecords(data.toString()).forEach(message => {
+                received.push(message);
+                if (message.protocol) {
+                    socket.send(record({}));
+                } else if (message.type === types.streamInvocation) {
+                    onInvocation(socket, message);
+                }
+            });
+        });
+    };
+}
+
+const hubOptions = () => ({ body: body, transportOptions: { url: `${baseUrl}/hubs/task-streaming`, pingInterval: 60000 } });
+
+// StreamTasks item: a buffered frame of the run
+const hubItem = (invocation, id, step) => record({
+    type: types.streamItem,
+    invocationId: invocation.invocationId,
+    item: { id: `run:${id}`, type: 'taskUpdate', data: { step } }
+});
+
+test('hub: handshakes, invokes StreamTasks and reports its items until completion', async () => {
+    const received = [];
+    routes.socket = hubRoute((socket, invocation) => {
+        // Two items in one message, the completion split across two
+        socket.send(hubItem(invocation, 1, 1) + hubItem(invocation, 2, 2));
+        const completion = record({ type: types.completion, invocationId: invocation.invocationId });
+        socket.send(completion.slice(0, 5));
+        socket.send(completion.slice(5));
+    }, received);
+
+    const { calls, finished } = openAdapter('hub', createConnection({ options: hubOptions() }));
+    await finished;
+
+    assert.deepEqual(received.slice(0, 2), [
+        { protocol: 'json', version: 1 },
+        { type: types.streamInvocation, invocationId: '0', target: 'StreamTasks', arguments: [body, null] }
+    ]);
+    assert.deepEqual(calls.map(call => call[0]), ['opened', 'frame', 'frame', 'ended']);
+    assert.deepEqual(framesOf(calls), [
+        { type: 'taskUpdate', data: { step: 1 }, lastEventId: 'run:1', retry: null },
+        { type: 'taskUpdate', data: { step: 2 }, lastEventId: 'run:2', retry: null }
+    ]);
+});
+
+test('hub: a resumed stream passes the last event id', async () => {
+    const received = [];
+    routes.socket = hubRoute((socket, invocation) => {
+        socket.send(hubItem(invocation, 3, 3) + record({ type: types.completion, invocationId: invocation.invocationId }));
+    }, received);
+
+    const { calls, finished } = openAdapter('hub', createConnection({ lastEventId: 'run:2', options: hubOptions() }));
+    await finished;
+
+    assert.deepEqual(received[1].arguments, [body, 'run:2']);
+    assert.deepEqual(framesOf(calls).map(frame => frame.lastEventId), ['run:3']);
+});
+
+test('hub: handshake and completion errors are permanent failures', async () => {
+    routes.socket = socket => socket.once('message', () => socket.send(record({ error: 'Requested protocol is not available' })));
+    const handshake = await openAdapter('hub', createConnection({ options: hubOptions() })).finished;
+    assert.deepEqual(handshake, [['failed', 'Requested protocol is not available', false]]);
+
+    routes.socket = hubRoute((socket, invocation) => {
+        socket.send(record({ type: types.completion, invocationId: invocation.invocationId, error: 'At least one city must be selected' }));
+    });
+    const completion = await openAdapter('hub', createConnection({ options: hubOptions() })).finished;
+    assert.deepEqual(completion, [['opened'], ['failed', 'At least one city must be selected', false]]);
+});
+
+test('hub: closing the connection cancels the invocation', async () => {
+    const received = [];
+    let invoked;
+    const invocation = new Promise(resolve => { invoked = resolve; });
+    const closed = new Promise(resolve => {
+        routes.socket = (socket) => {
+            hubRoute(() => invoked(), received)(socket);
+            socket.on('close', resolve);
+        };
+    });
+
+    const { handle } = openAdapter('hub', createConnection({ options: hubOptions() }));
+    await invocation;
+    handle.close();
+    await closed;
+
+    assert.deepEqual(received.at(-1), { type: types.cancelInvocation, invocationId: '0' });
+});